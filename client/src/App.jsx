@@ -1,17 +1,23 @@
 import { useState, useEffect } from 'react'
 import axios from 'axios'
 import CourseViewer from './components/CourseViewer'
-import CourseCreator from './components/CourseCreator'
+import CourseCreator, { ACTIVE_JOB_STORAGE_KEY } from './components/CourseCreator'
 import CourseList from './components/CourseList'
 import AdminViewer from './components/AdminViewer'
 import PasswordModal from './components/PasswordModal'
+import PromptTemplateEditor from './components/PromptTemplateEditor'
+import UsagePage from './components/UsagePage'
 import { API_BASE_URL } from './config/api'
 import './App.css'
 
 const ADMIN_STORAGE_KEY = 'courseBuilder_adminMode'
+const USER_NAME_STORAGE_KEY = 'courseBuilder_userName'
 
 function App() {
-  const [view, setView] = useState('list') // 'list', 'create', 'view', 'admin'
+  const [view, setView] = useState(() => {
+    // Return to the creator if a generation job was running when the page was reloaded
+    return localStorage.getItem(ACTIVE_JOB_STORAGE_KEY) ? 'create' : 'list'
+  }) // 'list', 'create', 'view', 'admin', 'templates', 'usage'
   const [courses, setCourses] = useState([])
   const [selectedCourse, setSelectedCourse] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -19,6 +25,7 @@ function App() {
     // Check localStorage for admin mode
     return localStorage.getItem(ADMIN_STORAGE_KEY) === 'true'
   })
+  const [userName, setUserName] = useState(() => localStorage.getItem(USER_NAME_STORAGE_KEY) || '')
   const [showPasswordModal, setShowPasswordModal] = useState(false)
   const [apiError, setApiError] = useState(null)
 
@@ -26,6 +33,16 @@ function App() {
     loadCourses()
   }, [])
 
+  useEffect(() => {
+    // Every request carries the name, so model usage and budgets are tracked per user
+    localStorage.setItem(USER_NAME_STORAGE_KEY, userName)
+    if (userName.trim()) {
+      axios.defaults.headers.common['X-User-Name'] = userName.trim()
+    } else {
+      delete axios.defaults.headers.common['X-User-Name']
+    }
+  }, [userName])
+
   useEffect(() => {
     // Save admin mode to localStorage
     localStorage.setItem(ADMIN_STORAGE_KEY, isAdminMode.toString())
@@ -185,6 +202,31 @@ function App() {
           >
             Create Course
           </button>
+          {isAdminMode && (
+            <button
+              className={view === 'templates' ? 'active' : ''}
+              onClick={() => setView('templates')}
+            >
+              Prompt Templates
+            </button>
+          )}
+          {isAdminMode && (
+            <button
+              className={view === 'usage' ? 'active' : ''}
+              onClick={() => setView('usage')}
+            >
+              Usage
+            </button>
+          )}
+          <input
+            type="text"
+            className="user-name-input"
+            value={userName}
+            onChange={(e) => setUserName(e.target.value)}
+            placeholder="Your name"
+            title="Used to track model usage and budgets per person"
+            maxLength={100}
+          />
           <div className="admin-toggle">
             <span className="toggle-label-text">Mode:</span>
             <label className="toggle-label" title={isAdminMode ? 'Switch to Expert Mode' : 'Switch to Admin Mode (Password Required)'}>
@@ -250,7 +292,7 @@ function App() {
           />
         )}
         {view === 'create' && (
-          <CourseCreator onCourseCreated={handleCourseCreated} />
+          <CourseCreator onCourseCreated={handleCourseCreated} isAdminMode={isAdminMode} />
         )}
         {view === 'view' && selectedCourse && (
           <CourseViewer 
@@ -266,6 +308,12 @@ function App() {
             onCourseUpdated={handleCourseUpdated}
           />
         )}
+        {view === 'templates' && isAdminMode && (
+          <PromptTemplateEditor />
+        )}
+        {view === 'usage' && isAdminMode && (
+          <UsagePage />
+        )}
       </main>
     </div>
   )
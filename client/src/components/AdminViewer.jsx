@@ -3,6 +3,16 @@ import { marked } from 'marked'
 import Editor from '@monaco-editor/react'
 import axios from 'axios'
 import { API_BASE_URL } from '../config/api'
+import ViolationList from './ViolationList'
+import RegeneratePanel from './RegeneratePanel'
+import ResyncPanel from './ResyncPanel'
+import SourcePanel, { CitationList } from './SourcePanel'
+import GroundingBadge, { GroundingDetails } from './GroundingBadge'
+import QuestionAnswerEditor from './QuestionAnswerEditor'
+import FlashcardDeckEditor from './FlashcardDeckEditor'
+import { ANSWER_FIELDS, QUESTION_TYPES, answerFieldsForType, questionTypeLabel } from '../utils/questions'
+import { LESSON_TYPES, parseTags } from '../utils/lessons'
+import { resolveAssetLinks } from '../utils/assets'
 import './AdminViewer.css'
 
 function AdminViewer({ course, onBack, onCourseUpdated }) {
@@ -12,6 +22,10 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
   const [expandedLessons, setExpandedLessons] = useState({})
   const [expandedQuestions, setExpandedQuestions] = useState({})
   const [expandedExercises, setExpandedExercises] = useState({})
+  const [regeneration, setRegeneration] = useState(null)
+  const [showResync, setShowResync] = useState(false)
+  const [openCitation, setOpenCitation] = useState(null)
+  const [verifyingLessons, setVerifyingLessons] = useState({})
 
   useEffect(() => {
     // Deep clone the course for editing
@@ -42,49 +56,35 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
     })
   }
 
-  const updateQuestionField = (lessonIndex, questionIndex, field, value) => {
+  // Any edit to a question clears its grounding verdict until the lesson is checked again
+  const updateQuestionFields = (lessonIndex, questionIndex, fields) => {
     setEditedCourse((prev) => {
       const updated = { ...prev }
       updated.lessons[lessonIndex].questions[questionIndex] = {
         ...updated.lessons[lessonIndex].questions[questionIndex],
-        [field]: value
+        ...fields,
+        grounding: undefined
       }
       return updated
     })
   }
 
-  const updateQuestionOption = (lessonIndex, questionIndex, optionIndex, value) => {
-    setEditedCourse((prev) => {
-      const updated = { ...prev }
-      const options = [...updated.lessons[lessonIndex].questions[questionIndex].options]
-      options[optionIndex] = value
-      updated.lessons[lessonIndex].questions[questionIndex].options = options
-      return updated
-    })
-  }
-
-  const addQuestionOption = (lessonIndex, questionIndex) => {
-    setEditedCourse((prev) => {
-      const updated = { ...prev }
-      const options = [...updated.lessons[lessonIndex].questions[questionIndex].options]
-      options.push('New Option')
-      updated.lessons[lessonIndex].questions[questionIndex].options = options
-      return updated
-    })
+  const updateQuestionField = (lessonIndex, questionIndex, field, value) => {
+    updateQuestionFields(lessonIndex, questionIndex, { [field]: value })
   }
 
-  const removeQuestionOption = (lessonIndex, questionIndex, optionIndex) => {
+  // Switching type drops the old answer fields and fills in the new type's, keeping what carries over
+  const changeQuestionType = (lessonIndex, questionIndex, type) => {
     setEditedCourse((prev) => {
       const updated = { ...prev }
-      const options = [...updated.lessons[lessonIndex].questions[questionIndex].options]
-      if (options.length > 1) {
-        options.splice(optionIndex, 1)
-        updated.lessons[lessonIndex].questions[questionIndex].options = options
-        // Adjust correctAnswer if needed
-        const correctAnswer = updated.lessons[lessonIndex].questions[questionIndex].correctAnswer
-        if (correctAnswer >= options.length) {
-          updated.lessons[lessonIndex].questions[questionIndex].correctAnswer = options.length - 1
-        }
+      const question = updated.lessons[lessonIndex].questions[questionIndex]
+      const kept = Object.fromEntries(
+        Object.entries(question).filter(([field]) => !ANSWER_FIELDS.includes(field) && field !== 'grounding')
+      )
+      updated.lessons[lessonIndex].questions[questionIndex] = {
+        ...kept,
+        type,
+        ...answerFieldsForType(type, question)
       }
       return updated
     })
@@ -158,6 +158,97 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
     })
   }
 
+  const getRegenerationItem = (target, lessonIndex, itemIndex) => {
+    const lesson = editedCourse.lessons[lessonIndex]
+    if (target === 'question') return lesson.questions[itemIndex]
+    if (target === 'exercise') return lesson.codingExercises[itemIndex]
+    return lesson
+  }
+
+  const verifyLesson = async (lessonIndex) => {
+    const lesson = editedCourse.lessons[lessonIndex]
+    setVerifyingLessons((prev) => ({ ...prev, [lesson.id]: true }))
+    setSaveMessage(null)
+
+    try {
+      // Check the lesson as currently edited so fixes can be confirmed before saving
+      const response = await axios.post(`${API_BASE_URL}/api/course/${course.id}/verify`, { lesson })
+      const { grounding } = response.data
+      setEditedCourse((prev) => {
+        const updated = { ...prev }
+        updated.lessons = updated.lessons.map((l) =>
+          l.id === lesson.id
+            ? { ...l, questions: l.questions.map((q) => (grounding[q.id] ? { ...q, grounding: grounding[q.id] } : q)) }
+            : l
+        )
+        return updated
+      })
+    } catch (error) {
+      console.error('Error checking lesson against sources:', error)
+      setSaveMessage({
+        type: 'error',
+        text: error.response?.data?.details || error.response?.data?.error || 'Error checking answers. Please try again.',
+        violations: error.response?.data?.violations
+      })
+    } finally {
+      setVerifyingLessons((prev) => ({ ...prev, [lesson.id]: false }))
+    }
+  }
+
+  const openRegeneration = (target, lessonIndex, itemIndex = null) => {
+    setRegeneration({
+      target,
+      lessonIndex,
+      itemIndex,
+      original: getRegenerationItem(target, lessonIndex, itemIndex),
+      regenerated: null,
+      instructions: '',
+      isLoading: false,
+      error: null,
+      violations: null
+    })
+  }
+
+  const requestRegeneration = async () => {
+    const { target, lessonIndex, original, instructions } = regeneration
+    setRegeneration((prev) => ({ ...prev, isLoading: true, error: null, violations: null }))
+
+    try {
+      // Send the lesson as currently edited so unsaved changes are used as context
+      const response = await axios.post(`${API_BASE_URL}/api/course/${course.id}/regenerate`, {
+        target,
+        lesson: editedCourse.lessons[lessonIndex],
+        itemId: target === 'lesson' ? undefined : original.id,
+        instructions: instructions || undefined
+      })
+      setRegeneration((prev) => prev && { ...prev, isLoading: false, regenerated: response.data.regenerated })
+    } catch (error) {
+      console.error('Error regenerating content:', error)
+      setRegeneration((prev) => prev && {
+        ...prev,
+        isLoading: false,
+        error: error.response?.data?.details || error.response?.data?.error || 'Error regenerating content. Please try again.',
+        violations: error.response?.data?.violations
+      })
+    }
+  }
+
+  const acceptRegeneration = () => {
+    const { target, lessonIndex, itemIndex, regenerated } = regeneration
+    setEditedCourse((prev) => {
+      const updated = { ...prev }
+      if (target === 'question') {
+        updated.lessons[lessonIndex].questions[itemIndex] = regenerated
+      } else if (target === 'exercise') {
+        updated.lessons[lessonIndex].codingExercises[itemIndex] = regenerated
+      } else {
+        updated.lessons[lessonIndex] = regenerated
+      }
+      return updated
+    })
+    setRegeneration(null)
+  }
+
   const handleSave = async () => {
     if (!editedCourse) return
 
@@ -180,7 +271,8 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
       console.error('Error saving course:', error)
       setSaveMessage({
         type: 'error',
-        text: error.response?.data?.error || 'Error saving course. Please try again.'
+        text: error.response?.data?.error || 'Error saving course. Please try again.',
+        violations: error.response?.data?.violations
       })
     } finally {
       setIsSaving(false)
@@ -191,6 +283,11 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
     return <div>Loading...</div>
   }
 
+  const isFlagged = (question) => question.grounding && question.grounding.status !== 'supported'
+  const flaggedCount = (editedCourse.lessons || [])
+    .flatMap((lesson) => lesson.questions || [])
+    .filter(isFlagged).length
+
   return (
     <div className="admin-viewer">
       <div className="admin-header">
@@ -198,6 +295,9 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
           ← Back to Courses
         </button>
         <div className="admin-actions">
+          <button onClick={() => setShowResync(true)} className="back-btn">
+            Re-sync Sources
+          </button>
           <button
             onClick={handleSave}
             disabled={isSaving}
@@ -213,6 +313,51 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
         </div>
       </div>
 
+      {saveMessage?.violations?.length > 0 && (
+        <div className="validation-errors">
+          <strong>Fix these problems before saving:</strong>
+          <ViolationList violations={saveMessage.violations} />
+        </div>
+      )}
+
+      {flaggedCount > 0 && (
+        <div className="grounding-warning">
+          <strong>{flaggedCount} question{flaggedCount === 1 ? '' : 's'} not supported by the source docs.</strong>{' '}
+          Fix or regenerate {flaggedCount === 1 ? 'it' : 'them'}, then check the lesson again before sharing the course.
+        </div>
+      )}
+
+      <RegeneratePanel
+        regeneration={regeneration}
+        courseId={course.id}
+        onInstructionsChange={(instructions) => setRegeneration((prev) => ({ ...prev, instructions }))}
+        onGenerate={requestRegeneration}
+        onAccept={acceptRegeneration}
+        onClose={() => setRegeneration(null)}
+      />
+
+      <SourcePanel
+        sources={editedCourse.sources}
+        citation={openCitation}
+        courseId={course.id}
+        onClose={() => setOpenCitation(null)}
+      />
+
+      <ResyncPanel
+        courseId={course.id}
+        repository={course.repository}
+        sourceMode={course.generationOptions?.sourceMode}
+        isOpen={showResync}
+        onClose={() => setShowResync(false)}
+        onApplied={(resyncedCourse) => {
+          setShowResync(false)
+          setSaveMessage({ type: 'success', text: 'Course re-synced with the updated sources' })
+          if (onCourseUpdated) {
+            onCourseUpdated(resyncedCourse)
+          }
+        }}
+      />
+
       <div className="admin-content">
         {/* Course-level editing */}
         <div className="admin-section">
@@ -235,6 +380,11 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
               rows="3"
             />
           </div>
+          {editedCourse.promptTemplate && (
+            <p className="generated-with">
+              Generated with prompt template {editedCourse.promptTemplate.name} (v{editedCourse.promptTemplate.version})
+            </p>
+          )}
         </div>
 
         {/* Lessons editing */}
@@ -249,7 +399,22 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
                 <div className="lesson-header" onClick={() => toggleLesson(lessonId)}>
                   <h3>
                     {isExpanded ? '▼' : '▶'} Lesson {lessonIdx + 1}: {lesson.title || 'Untitled'}
+                    {lesson.section && <span className="lesson-section-label">{lesson.section}</span>}
+                    {lesson.questions?.some(isFlagged) && (
+                      <span className="lesson-flag">
+                        ⚠ {lesson.questions.filter(isFlagged).length} to review
+                      </span>
+                    )}
                   </h3>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      openRegeneration('lesson', lessonIdx)
+                    }}
+                    className="regenerate-btn"
+                  >
+                    Regenerate
+                  </button>
                 </div>
 
                 {isExpanded && (
@@ -264,6 +429,53 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
                       />
                     </div>
 
+                    <div className="lesson-structure-fields">
+                      <div className="form-group">
+                        <label>Section</label>
+                        <input
+                          type="text"
+                          value={lesson.section || ''}
+                          onChange={(e) => updateLessonField(lessonIdx, 'section', e.target.value || undefined)}
+                          className="form-input"
+                          placeholder="None"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Tags (comma separated)</label>
+                        {/* Parsed on blur so commas can be typed; the key resets it to the parsed tags */}
+                        <input
+                          key={`${lessonId}-${(lesson.tags || []).join(',')}`}
+                          type="text"
+                          defaultValue={(lesson.tags || []).join(', ')}
+                          onBlur={(e) => {
+                            const tags = parseTags(e.target.value)
+                            updateLessonField(lessonIdx, 'tags', tags.length > 0 ? tags : undefined)
+                          }}
+                          className="form-input"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Lesson Type</label>
+                        <select
+                          value={lesson.type || 'lesson'}
+                          onChange={(e) =>
+                            updateLessonField(lessonIdx, 'type', e.target.value === 'lesson' ? undefined : e.target.value)
+                          }
+                          className="form-select"
+                        >
+                          {LESSON_TYPES.map((type) => (
+                            <option key={type.value} value={type.value}>
+                              {type.label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                    <p className="help-text">
+                      Set from the source files' folders and front matter. The type changes what a regenerated lesson
+                      contains: overviews have no questions or exercises, quizzes no exercises.
+                    </p>
+
                     <div className="form-group">
                       <label>Lesson Content (Markdown)</label>
                       <textarea
@@ -276,21 +488,36 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
                         <strong>Preview:</strong>
                         <div
                           className="preview-content"
-                          dangerouslySetInnerHTML={{ __html: marked.parse(lesson.content || '') }}
+                          dangerouslySetInnerHTML={{ __html: marked.parse(resolveAssetLinks(lesson.content, course.id)) }}
                         />
                       </div>
+                      <CitationList
+                        citations={lesson.citations}
+                        canOpen={editedCourse.sources?.length > 0}
+                        onOpen={setOpenCitation}
+                      />
                     </div>
 
                     {/* Questions */}
                     <div className="questions-editor">
                       <div className="section-header">
                         <h4>Questions</h4>
-                        <button
-                          onClick={() => addQuestion(lessonIdx)}
-                          className="add-btn"
-                        >
-                          + Add Question
-                        </button>
+                        <div className="item-actions">
+                          <button
+                            onClick={() => verifyLesson(lessonIdx)}
+                            disabled={verifyingLessons[lesson.id] || !editedCourse.sources?.length}
+                            className="back-btn"
+                            title={editedCourse.sources?.length ? 'Check every answer against the source markdown' : 'This course has no stored sources'}
+                          >
+                            {verifyingLessons[lesson.id] ? 'Checking...' : 'Check Answers'}
+                          </button>
+                          <button
+                            onClick={() => addQuestion(lessonIdx)}
+                            className="add-btn"
+                          >
+                            + Add Question
+                          </button>
+                        </div>
                       </div>
 
                       {lesson.questions?.map((q, qIdx) => {
@@ -303,20 +530,36 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
                               className="question-header"
                               onClick={() => toggleQuestion(questionKey)}
                             >
-                              <span>{isQExpanded ? '▼' : '▶'} Question {qIdx + 1}</span>
-                              <button
-                                onClick={(e) => {
-                                  e.stopPropagation()
-                                  deleteQuestion(lessonIdx, qIdx)
-                                }}
-                                className="delete-btn"
-                              >
-                                Delete
-                              </button>
+                              <span>
+                                {isQExpanded ? '▼' : '▶'} Question {qIdx + 1}
+                                <span className="question-type-label">{questionTypeLabel(q.type)}</span>
+                              </span>
+                              <div className="item-actions">
+                                <GroundingBadge grounding={q.grounding} />
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation()
+                                    openRegeneration('question', lessonIdx, qIdx)
+                                  }}
+                                  className="regenerate-btn"
+                                >
+                                  Regenerate
+                                </button>
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation()
+                                    deleteQuestion(lessonIdx, qIdx)
+                                  }}
+                                  className="delete-btn"
+                                >
+                                  Delete
+                                </button>
+                              </div>
                             </div>
 
                             {isQExpanded && (
                               <div className="question-content-editor">
+                                <GroundingDetails grounding={q.grounding} />
                                 <div className="form-group">
                                   <label>Question Text</label>
                                   <textarea
@@ -330,47 +573,26 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
                                 </div>
 
                                 <div className="form-group">
-                                  <label>Options</label>
-                                  {q.options?.map((option, optIdx) => (
-                                    <div key={optIdx} className="option-editor">
-                                      <input
-                                        type="radio"
-                                        name={`correct-${questionKey}`}
-                                        checked={q.correctAnswer === optIdx}
-                                        onChange={() =>
-                                          updateQuestionField(lessonIdx, qIdx, 'correctAnswer', optIdx)
-                                        }
-                                        className="correct-radio"
-                                      />
-                                      <input
-                                        type="text"
-                                        value={option}
-                                        onChange={(e) =>
-                                          updateQuestionOption(lessonIdx, qIdx, optIdx, e.target.value)
-                                        }
-                                        className="form-input option-input"
-                                        placeholder={`Option ${optIdx + 1}`}
-                                      />
-                                      <button
-                                        onClick={() => removeQuestionOption(lessonIdx, qIdx, optIdx)}
-                                        className="remove-btn"
-                                        disabled={q.options.length <= 1}
-                                      >
-                                        ×
-                                      </button>
-                                    </div>
-                                  ))}
-                                  <button
-                                    onClick={() => addQuestionOption(lessonIdx, qIdx)}
-                                    className="add-option-btn"
+                                  <label>Question Type</label>
+                                  <select
+                                    value={q.type}
+                                    onChange={(e) => changeQuestionType(lessonIdx, qIdx, e.target.value)}
+                                    className="form-select"
                                   >
-                                    + Add Option
-                                  </button>
-                                  <small className="help-text">
-                                    Select the radio button next to the correct answer
-                                  </small>
+                                    {QUESTION_TYPES.map((type) => (
+                                      <option key={type.value} value={type.value}>
+                                        {type.label}
+                                      </option>
+                                    ))}
+                                  </select>
                                 </div>
 
+                                <QuestionAnswerEditor
+                                  question={q}
+                                  name={questionKey}
+                                  onChange={(fields) => updateQuestionFields(lessonIdx, qIdx, fields)}
+                                />
+
                                 <div className="form-group">
                                   <label>Explanation</label>
                                   <textarea
@@ -381,6 +603,11 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
                                     className="form-textarea"
                                     rows="2"
                                   />
+                                  <CitationList
+                                    citations={q.citations}
+                                    canOpen={editedCourse.sources?.length > 0}
+                                    onOpen={setOpenCitation}
+                                  />
                                 </div>
                               </div>
                             )}
@@ -412,15 +639,26 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
                               onClick={() => toggleExercise(exerciseId)}
                             >
                               <span>{isExExpanded ? '▼' : '▶'} {ex.title || 'Untitled Exercise'}</span>
-                              <button
-                                onClick={(e) => {
-                                  e.stopPropagation()
-                                  deleteExercise(lessonIdx, exIdx)
-                                }}
-                                className="delete-btn"
-                              >
-                                Delete
-                              </button>
+                              <div className="item-actions">
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation()
+                                    openRegeneration('exercise', lessonIdx, exIdx)
+                                  }}
+                                  className="regenerate-btn"
+                                >
+                                  Regenerate
+                                </button>
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation()
+                                    deleteExercise(lessonIdx, exIdx)
+                                  }}
+                                  className="delete-btn"
+                                >
+                                  Delete
+                                </button>
+                              </div>
                             </div>
 
                             {isExExpanded && (
@@ -516,6 +754,12 @@ function AdminViewer({ course, onBack, onCourseUpdated }) {
             )
           })}
         </div>
+
+        <FlashcardDeckEditor
+          course={editedCourse}
+          onUpdate={(update) => setEditedCourse((prev) => ({ ...prev, flashcards: update(prev.flashcards || []) }))}
+          onError={(message) => setSaveMessage({ type: 'error', ...message })}
+        />
       </div>
     </div>
   )
@@ -0,0 +1,45 @@
+import './ConversionList.css'
+
+const FORMAT_LABELS = {
+  markdown: 'Markdown',
+  text: 'Text',
+  html: 'HTML',
+  notebook: 'Notebook',
+  docx: 'Word',
+  javascript: 'JavaScript',
+  typescript: 'TypeScript',
+  python: 'Python',
+}
+
+// Source files the server converted to markdown ({ name, format, warnings, error }).
+// Files that failed to convert were left out of the course.
+function ConversionList({ conversions }) {
+  if (!conversions || conversions.length === 0) return null
+
+  return (
+    <div className="conversion-list">
+      <h4>Source files</h4>
+      <ul>
+        {conversions.map((conversion) => (
+          <li key={conversion.name} className={conversion.error ? 'failed' : ''}>
+            <code>{conversion.name}</code>
+            <span className="conversion-format">{FORMAT_LABELS[conversion.format] || conversion.format}</span>
+            {conversion.error ? (
+              <span className="conversion-status">Left out: {conversion.error}</span>
+            ) : conversion.warnings.length === 0 ? (
+              <span className="conversion-status">Converted</span>
+            ) : (
+              <ul className="conversion-warnings">
+                {conversion.warnings.map((warning, idx) => (
+                  <li key={idx}>{warning}</li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default ConversionList
@@ -1,13 +1,191 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import axios from 'axios'
 import { API_BASE_URL } from '../config/api'
+import LessonCard from './LessonCard'
+import ViolationList from './ViolationList'
+import ConversionList from './ConversionList'
+import { QUESTION_TYPES } from '../utils/questions'
+import { sourceFileAccept } from '../utils/assets'
 import './CourseCreator.css'
 
-function CourseCreator({ onCourseCreated }) {
+// Lets a reloaded page reattach to a generation job that is still running
+export const ACTIVE_JOB_STORAGE_KEY = 'courseBuilder_activeJob'
+
+const EXERCISE_LANGUAGES = [
+  { value: 'javascript', label: 'JavaScript' },
+  { value: 'typescript', label: 'TypeScript' },
+  { value: 'python', label: 'Python' },
+  { value: 'java', label: 'Java' },
+  { value: 'cpp', label: 'C++' },
+  { value: 'c', label: 'C' },
+  { value: 'go', label: 'Go' },
+  { value: 'rust', label: 'Rust' },
+]
+
+const CACHE_MODES = [
+  { value: 'use', label: 'Reuse cached responses' },
+  { value: 'bypass', label: 'Bypass the cache' },
+  { value: 'refresh', label: 'Refresh cached responses' },
+]
+
+// Empty values let the model decide, matching the server defaults
+const EMPTY_REPOSITORY = { path: '', ref: '', subdirectory: '' }
+
+const DEFAULT_OPTIONS = {
+  audience: '',
+  difficulty: '',
+  lessonCount: '',
+  questionsPerLesson: '',
+  questionTypes: [],
+  includeCodingExercises: true,
+  exerciseLanguage: '',
+  sourceMode: 'documents',
+}
+
+function CourseCreator({ onCourseCreated, isAdminMode }) {
   const [folderPath, setFolderPath] = useState('')
+  const [repository, setRepository] = useState(EMPTY_REPOSITORY)
+  const [repositoryRefs, setRepositoryRefs] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [violations, setViolations] = useState(null)
   const [files, setFiles] = useState([])
+  const [options, setOptions] = useState(DEFAULT_OPTIONS)
+  const [templates, setTemplates] = useState([])
+  const [templateId, setTemplateId] = useState('default')
+  const [cacheMode, setCacheMode] = useState('use')
+  const [jobId, setJobId] = useState(() => localStorage.getItem(ACTIVE_JOB_STORAGE_KEY))
+  const [job, setJob] = useState(null)
+  const [partialLessons, setPartialLessons] = useState([])
+
+  useEffect(() => {
+    if (!jobId) return
+
+    let cancelled = false
+    setIsLoading(true)
+    setPartialLessons([])
+
+    const finish = () => {
+      localStorage.removeItem(ACTIVE_JOB_STORAGE_KEY)
+      setJobId(null)
+      setIsLoading(false)
+    }
+
+    const openCourse = async (courseId) => {
+      const courseResponse = await axios.get(`${API_BASE_URL}/api/course/${courseId}`)
+      if (cancelled) return
+      finish()
+      onCourseCreated({ id: courseId, ...courseResponse.data })
+    }
+
+    const handleFailure = (message, failureViolations = null) => {
+      finish()
+      setError(message || 'Error creating course. Please try again.')
+      setViolations(failureViolations)
+    }
+
+    // The server replays lessons generated so far, so reconnecting after a reload loses nothing
+    const events = new EventSource(`${API_BASE_URL}/api/jobs/${jobId}/events`)
+
+    events.addEventListener('progress', (e) => {
+      setJob(JSON.parse(e.data))
+    })
+
+    events.addEventListener('lesson', (e) => {
+      const { index, lesson } = JSON.parse(e.data)
+      setPartialLessons((prev) => {
+        const next = [...prev]
+        next[index] = lesson
+        return next
+      })
+    })
+
+    events.addEventListener('complete', (e) => {
+      events.close()
+      const status = JSON.parse(e.data)
+      setJob(status)
+      openCourse(status.courseId).catch((err) => {
+        console.error('Error loading generated course:', err)
+        handleFailure(err.response?.data?.error || 'Course was generated but could not be loaded.')
+      })
+    })
+
+    events.addEventListener('failed', (e) => {
+      events.close()
+      const status = JSON.parse(e.data)
+      setJob(status)
+      handleFailure(status.error, status.violations)
+    })
+
+    events.onerror = async () => {
+      // EventSource retries dropped connections itself; only act once it gives up
+      if (events.readyState !== EventSource.CLOSED || cancelled) return
+
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/jobs/${jobId}`)
+        if (cancelled) return
+        const status = response.data
+        if (status.status === 'completed') {
+          await openCourse(status.courseId)
+        } else if (status.status === 'failed') {
+          handleFailure(status.error, status.violations)
+        } else {
+          setIsLoading(false)
+          setError('Lost connection to the generation progress stream. Reload the page to reconnect.')
+        }
+      } catch (err) {
+        if (cancelled) return
+        console.error('Error checking job status:', err)
+        handleFailure(
+          err.response?.status === 404
+            ? 'The generation job could not be found. It may have been lost when the server restarted.'
+            : err.response?.data?.error || 'Error checking course generation progress.'
+        )
+      }
+    }
+
+    return () => {
+      cancelled = true
+      events.close()
+    }
+  }, [jobId])
+
+  useEffect(() => {
+    if (!isAdminMode) return
+
+    axios.get(`${API_BASE_URL}/api/prompt-templates`)
+      .then((response) => setTemplates(response.data.templates))
+      .catch((err) => console.error('Error loading prompt templates:', err))
+  }, [isAdminMode])
+
+  const updateOption = (field, value) => {
+    setOptions((prev) => ({ ...prev, [field]: value }))
+  }
+
+  // No ticked types means the model mixes every type
+  const toggleQuestionType = (type) => {
+    setOptions((prev) => ({
+      ...prev,
+      questionTypes: prev.questionTypes.includes(type)
+        ? prev.questionTypes.filter((t) => t !== type)
+        : [...prev.questionTypes, type],
+    }))
+  }
+
+  const updateRepository = (field, value) => {
+    setRepository((prev) => ({ ...prev, [field]: value }))
+  }
+
+  // Branches and tags to pick from; a wrong path is reported when the course is created
+  const loadRepositoryRefs = async () => {
+    if (!repository.path) return
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/repository/refs`, { params: { path: repository.path } })
+      setRepositoryRefs([...response.data.branches, ...response.data.tags])
+    } catch {
+      setRepositoryRefs([])
+    }
+  }
 
   const handleFileSelect = (e) => {
     const selectedFiles = Array.from(e.target.files)
@@ -15,13 +193,15 @@ function CourseCreator({ onCourseCreated }) {
   }
 
   const handleUpload = async () => {
-    if (files.length === 0 && !folderPath) {
-      setError('Please select files or provide a folder path')
+    if (files.length === 0 && !folderPath && !repository.path) {
+      setError('Please select files, provide a folder path or a git repository')
       return
     }
 
     setIsLoading(true)
     setError(null)
+    setViolations(null)
+    setJob(null)
 
     try {
       let response
@@ -29,29 +209,42 @@ function CourseCreator({ onCourseCreated }) {
       if (files.length > 0) {
         // Upload files
         const formData = new FormData()
-        const folderId = `folder-${Date.now()}`
         files.forEach((file) => {
           formData.append('files', file)
         })
-        formData.append('folderId', folderId)
+        formData.append('options', JSON.stringify(options))
+        formData.append('templateId', templateId)
+        formData.append('cache', cacheMode)
 
         response = await axios.post(`${API_BASE_URL}/api/upload`, formData, {
           headers: {
             'Content-Type': 'multipart/form-data',
           },
         })
+      } else if (repository.path) {
+        response = await axios.post(`${API_BASE_URL}/api/create-course`, {
+          repository,
+          options,
+          templateId,
+          cache: cacheMode,
+        })
       } else {
         // Use folder path
         response = await axios.post(`${API_BASE_URL}/api/create-course`, {
           folderPath: folderPath,
+          options,
+          templateId,
+          cache: cacheMode,
         })
       }
 
-      onCourseCreated(response.data.course)
+      // Generation continues in the background; the effect above streams its progress
+      localStorage.setItem(ACTIVE_JOB_STORAGE_KEY, response.data.jobId)
+      setJobId(response.data.jobId)
     } catch (err) {
       setError(err.response?.data?.error || 'Error creating course. Please try again.')
+      setViolations(err.response?.data?.violations || null)
       console.error('Error creating course:', err)
-    } finally {
       setIsLoading(false)
     }
   }
@@ -60,19 +253,23 @@ function CourseCreator({ onCourseCreated }) {
     <div className="course-creator">
       <h2>Create New Course</h2>
       <p className="subtitle">
-        Upload markdown files or provide a folder path to generate an interactive course
+        Upload source files or provide a folder path to generate an interactive course
       </p>
 
       <div className="creator-form">
         <div className="input-section">
-          <label>Option 1: Upload Markdown Files</label>
+          <label>Option 1: Upload Source Files</label>
           <input
             type="file"
             multiple
-            accept=".md"
+            accept={sourceFileAccept(options.sourceMode)}
             onChange={handleFileSelect}
             className="file-input"
           />
+          <small>
+            Markdown, text, HTML, Jupyter notebooks (.ipynb) and Word documents (.docx). Select the images and
+            other files they link to along with them, or upload a single .zip of the folder to keep its sections
+          </small>
           {files.length > 0 && (
             <div className="file-list">
               <p>Selected files:</p>
@@ -95,17 +292,213 @@ function CourseCreator({ onCourseCreated }) {
             type="text"
             value={folderPath}
             onChange={(e) => setFolderPath(e.target.value)}
-            placeholder="/path/to/markdown/folder"
+            placeholder="/path/to/source/folder"
             className="path-input"
           />
-          <small>Enter the absolute path to a folder containing markdown files</small>
+          <small>Enter the absolute path to a folder containing source files, inside one of the folders the server allows (SOURCE_ROOTS)</small>
+        </div>
+
+        <div className="divider">
+          <span>OR</span>
+        </div>
+
+        <div className="input-section">
+          <label>Option 3: Git Repository</label>
+          <input
+            type="text"
+            value={repository.path}
+            onChange={(e) => updateRepository('path', e.target.value)}
+            onBlur={loadRepositoryRefs}
+            placeholder="/path/to/repository"
+            className="path-input"
+          />
+          <div className="repository-fields">
+            <input
+              type="text"
+              list="repository-refs"
+              value={repository.ref}
+              onChange={(e) => updateRepository('ref', e.target.value)}
+              placeholder="Branch or tag (default: HEAD)"
+              className="path-input"
+            />
+            <datalist id="repository-refs">
+              {repositoryRefs.map((ref) => (
+                <option key={ref} value={ref} />
+              ))}
+            </datalist>
+            <input
+              type="text"
+              value={repository.subdirectory}
+              onChange={(e) => updateRepository('subdirectory', e.target.value)}
+              placeholder="Subdirectory (optional), e.g. docs"
+              className="path-input"
+            />
+          </div>
+          <small>Reads the files committed at that branch or tag; the course records the commit it was built from. The repository must be inside SOURCE_ROOTS too</small>
+        </div>
+
+        <div className="generation-options">
+          <h3>Generation Settings</h3>
+          <div className="options-grid">
+            <div className="input-section">
+              <label>Source Type</label>
+              <select
+                value={options.sourceMode}
+                onChange={(e) => updateOption('sourceMode', e.target.value)}
+                className="option-select"
+              >
+                <option value="documents">Documentation</option>
+                <option value="code">Source code (JavaScript, TypeScript, Python)</option>
+              </select>
+              {options.sourceMode === 'code' && (
+                <small>Lessons and exercises are built from each module's exports and doc comments</small>
+              )}
+            </div>
+
+            <div className="input-section">
+              <label>Target Audience</label>
+              <input
+                type="text"
+                value={options.audience}
+                onChange={(e) => updateOption('audience', e.target.value)}
+                placeholder="e.g. Backend engineers new to our platform"
+                className="path-input"
+              />
+            </div>
+
+            <div className="input-section">
+              <label>Difficulty</label>
+              <select
+                value={options.difficulty}
+                onChange={(e) => updateOption('difficulty', e.target.value)}
+                className="option-select"
+              >
+                <option value="">Any</option>
+                <option value="beginner">Beginner</option>
+                <option value="intermediate">Intermediate</option>
+                <option value="advanced">Advanced</option>
+              </select>
+            </div>
+
+            <div className="input-section">
+              <label>Number of Lessons</label>
+              <input
+                type="number"
+                min="1"
+                max="30"
+                value={options.lessonCount}
+                onChange={(e) => updateOption('lessonCount', e.target.value)}
+                placeholder="Auto"
+                className="path-input"
+              />
+            </div>
+
+            <div className="input-section">
+              <label>Questions per Lesson</label>
+              <input
+                type="number"
+                min="0"
+                max="10"
+                value={options.questionsPerLesson}
+                onChange={(e) => updateOption('questionsPerLesson', e.target.value)}
+                placeholder="Auto (2-3)"
+                className="path-input"
+              />
+            </div>
+
+            <div className="input-section question-types">
+              <label>Question Types</label>
+              <div className="question-type-options">
+                {QUESTION_TYPES.map((type) => (
+                  <label key={type.value} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={options.questionTypes.includes(type.value)}
+                      onChange={() => toggleQuestionType(type.value)}
+                      disabled={options.questionsPerLesson === '0'}
+                    />
+                    {type.label}
+                  </label>
+                ))}
+              </div>
+              <small>Leave all unticked to let the generator mix every type</small>
+            </div>
+
+            <div className="input-section">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={options.includeCodingExercises}
+                  onChange={(e) => updateOption('includeCodingExercises', e.target.checked)}
+                />
+                Include coding exercises
+              </label>
+            </div>
+
+            <div className="input-section">
+              <label>Exercise Language</label>
+              <select
+                value={options.exerciseLanguage}
+                onChange={(e) => updateOption('exerciseLanguage', e.target.value)}
+                disabled={!options.includeCodingExercises}
+                className="option-select"
+              >
+                <option value="">Match the material</option>
+                {EXERCISE_LANGUAGES.map((language) => (
+                  <option key={language.value} value={language.value}>
+                    {language.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {isAdminMode && templates.length > 0 && (
+              <div className="input-section">
+                <label>Prompt Template</label>
+                <select
+                  value={templateId}
+                  onChange={(e) => setTemplateId(e.target.value)}
+                  className="option-select"
+                >
+                  {templates.map((template) => (
+                    <option key={template.id} value={template.id}>
+                      {template.name} (v{template.version})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {isAdminMode && (
+              <div className="input-section">
+                <label>Response Cache</label>
+                <select
+                  value={cacheMode}
+                  onChange={(e) => setCacheMode(e.target.value)}
+                  className="option-select"
+                >
+                  {CACHE_MODES.map((mode) => (
+                    <option key={mode.value} value={mode.value}>
+                      {mode.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
         </div>
 
-        {error && <div className="error-message">{error}</div>}
+        {error && (
+          <div className="error-message">
+            {error}
+            <ViolationList violations={violations} />
+            {!isLoading && <ConversionList conversions={job?.conversions} />}
+          </div>
+        )}
 
         <button
           onClick={handleUpload}
-          disabled={isLoading || (files.length === 0 && !folderPath)}
+          disabled={isLoading || (files.length === 0 && !folderPath && !repository.path)}
           className="create-btn"
         >
           {isLoading ? 'Generating course...' : 'Create Course'}
@@ -114,8 +507,30 @@ function CourseCreator({ onCourseCreated }) {
 
       {isLoading && (
         <div className="loading">
-          <p>Generating course...</p>
-          <p className="loading-note">This may take a minute or two.</p>
+          <p>{job?.message || 'Starting course generation...'}</p>
+          <div className="progress-bar">
+            <div className="progress-fill" style={{ width: `${job?.percent || 0}%` }} />
+          </div>
+          <p className="loading-note">{job?.percent || 0}% complete</p>
+          {job?.warnings?.length > 0 && (
+            <ul className="job-warnings">
+              {job.warnings.map((warning, idx) => (
+                <li key={idx}>{warning}</li>
+              ))}
+            </ul>
+          )}
+          <ConversionList conversions={job?.conversions} />
+        </div>
+      )}
+
+      {partialLessons.some(Boolean) && (
+        <div className="partial-lessons">
+          <h3>Lessons so far</h3>
+          <div className="lessons">
+            {partialLessons.map((lesson, idx) =>
+              lesson ? <LessonCard key={idx} lesson={lesson} /> : null
+            )}
+          </div>
         </div>
       )}
     </div>
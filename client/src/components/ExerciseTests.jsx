@@ -0,0 +1,63 @@
+import { useState } from 'react'
+import { runExerciseTests } from '../utils/exercises'
+import './ExerciseTests.css'
+
+// "Run Tests" for a JavaScript coding exercise: runs the code in the editor against each test
+// case in a sandboxed frame of its own (utils/exercises.js) and shows which pass, with what the code logged.
+function ExerciseTests({ exercise, code }) {
+  const [isRunning, setIsRunning] = useState(false)
+  const [results, setResults] = useState(null)
+
+  const runTests = async () => {
+    setIsRunning(true)
+    try {
+      setResults(await runExerciseTests(exercise, code || ''))
+    } finally {
+      setIsRunning(false)
+    }
+  }
+
+  const passedCount = results?.filter((result) => result.passed).length
+
+  return (
+    <div className="exercise-tests">
+      <button className="run-tests-btn" onClick={runTests} disabled={isRunning}>
+        {isRunning ? 'Running...' : 'Run Tests'}
+      </button>
+      {results && (
+        <div className="test-results">
+          <p className={`test-summary ${passedCount === results.length ? 'all-passed' : ''}`}>
+            {passedCount} of {results.length} tests passed
+          </p>
+          <ul>
+            {results.map((result, idx) => {
+              const testCase = exercise.testCases[idx]
+              return (
+                <li key={idx} className={result.passed ? 'passed' : 'failed'}>
+                  <strong>
+                    {result.passed ? '✓' : '✗'} Test {idx + 1}
+                  </strong>
+                  <div>
+                    Input: <code>{testCase.input}</code> → Expected: <code>{testCase.expectedOutput}</code>
+                  </div>
+                  {result.error ? (
+                    <div className="test-error">{result.error}</div>
+                  ) : (
+                    !result.passed && (
+                      <div>
+                        Got: <code>{result.actual}</code>
+                      </div>
+                    )
+                  )}
+                  {result.logs.length > 0 && <pre className="test-logs">{result.logs.join('\n')}</pre>}
+                </li>
+              )
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExerciseTests
@@ -0,0 +1,170 @@
+import { useState } from 'react'
+import axios from 'axios'
+import { API_BASE_URL } from '../config/api'
+import { FLASHCARD_KINDS, newCardId } from '../utils/flashcards'
+import './FlashcardDeckEditor.css'
+
+// Admin editor for the course's flashcard deck, grouped by lesson. Generated cards replace
+// a lesson's existing cards in the edited course; nothing is stored until the course is saved.
+// onUpdate receives a function from the current deck to the new one.
+function FlashcardDeckEditor({ course, onUpdate, onError }) {
+  const [generating, setGenerating] = useState(null)
+  const deck = course.flashcards || []
+  const lessons = course.lessons || []
+  const lessonIds = new Set(lessons.map((lesson) => lesson.id))
+  const unlinkedCards = deck.filter((card) => !lessonIds.has(card.lessonId))
+
+  // Keep the deck in lesson order so new cards are reviewed in the order they are taught
+  const replaceLessonCards = (lessonId, cards) => {
+    onUpdate((current) => [
+      ...lessons.flatMap((lesson) =>
+        lesson.id === lessonId ? cards : current.filter((card) => card.lessonId === lesson.id)
+      ),
+      ...current.filter((card) => !lessonIds.has(card.lessonId)),
+    ])
+  }
+
+  const requestLessonCards = async (lesson) => {
+    const response = await axios.post(`${API_BASE_URL}/api/course/${course.id}/flashcards/generate`, { lesson })
+    replaceLessonCards(lesson.id, response.data.flashcards)
+  }
+
+  const generateForLessons = async (targets) => {
+    const failures = []
+    for (const [idx, lesson] of targets.entries()) {
+      setGenerating({ lessonId: lesson.id, done: idx, total: targets.length })
+      try {
+        await requestLessonCards(lesson)
+      } catch (error) {
+        console.error('Error generating flashcards:', error)
+        failures.push({
+          text: `${lesson.title}: ${error.response?.data?.details || error.response?.data?.error || error.message}`,
+          violations: error.response?.data?.violations,
+        })
+      }
+    }
+    setGenerating(null)
+
+    if (failures.length > 0) {
+      onError({
+        text: `Flashcards could not be written for ${failures.length} lesson${failures.length === 1 ? '' : 's'}. ${failures.map((failure) => failure.text).join(' ')}`,
+        violations: failures.flatMap((failure) => failure.violations || []),
+      })
+    }
+  }
+
+  const generateDeck = () => {
+    if (deck.length > 0 && !window.confirm('Replace the flashcards of every lesson with newly generated ones? Unsaved edits to those cards will be lost.')) {
+      return
+    }
+    generateForLessons(lessons.filter((lesson) => lesson.content?.trim()))
+  }
+
+  const generateLesson = (lesson, cardCount) => {
+    if (cardCount > 0 && !window.confirm(`Replace this lesson's ${cardCount} flashcard${cardCount === 1 ? '' : 's'} with newly generated ones?`)) {
+      return
+    }
+    generateForLessons([lesson])
+  }
+
+  const updateCard = (cardId, field, value) => {
+    onUpdate((current) => current.map((card) => (card.id === cardId ? { ...card, [field]: value } : card)))
+  }
+
+  const deleteCard = (cardId) => {
+    onUpdate((current) => current.filter((card) => card.id !== cardId))
+  }
+
+  const addCard = (lessonId) => {
+    const lessonCards = deck.filter((card) => card.lessonId === lessonId)
+    replaceLessonCards(lessonId, [
+      ...lessonCards,
+      { id: newCardId(), kind: 'term', front: 'New term', back: 'Definition', lessonId },
+    ])
+  }
+
+  const renderCard = (card) => (
+    <div key={card.id} className="flashcard-editor">
+      <select
+        value={card.kind}
+        onChange={(e) => updateCard(card.id, 'kind', e.target.value)}
+        className="form-select flashcard-kind"
+      >
+        {FLASHCARD_KINDS.map((kind) => (
+          <option key={kind.value} value={kind.value}>
+            {kind.label}
+          </option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={card.front}
+        onChange={(e) => updateCard(card.id, 'front', e.target.value)}
+        className="form-input"
+        placeholder={card.kind === 'term' ? 'Term' : 'Question'}
+      />
+      <textarea
+        value={card.back}
+        onChange={(e) => updateCard(card.id, 'back', e.target.value)}
+        className="form-textarea"
+        rows="2"
+        placeholder={card.kind === 'term' ? 'Definition' : 'Fact'}
+      />
+      <button onClick={() => deleteCard(card.id)} className="remove-btn" title="Delete card">
+        ×
+      </button>
+    </div>
+  )
+
+  return (
+    <div className="admin-section">
+      <div className="flashcard-deck-header">
+        <h2>Flashcards ({deck.length})</h2>
+        <button onClick={generateDeck} disabled={Boolean(generating)} className="back-btn">
+          {generating ? `Writing cards for lesson ${generating.done + 1} of ${generating.total}...` : 'Generate Flashcards'}
+        </button>
+      </div>
+      <p className="help-text">
+        Learners review these cards with spaced repetition from the course page. Generated cards are written from each
+        lesson's content; save the course to publish changes.
+      </p>
+
+      {lessons.map((lesson, lessonIdx) => {
+        const cards = deck.filter((card) => card.lessonId === lesson.id)
+        return (
+          <div key={lesson.id} className="flashcard-group">
+            <div className="flashcard-group-header">
+              <h4>
+                Lesson {lessonIdx + 1}: {lesson.title || 'Untitled'} ({cards.length})
+              </h4>
+              <div className="item-actions">
+                <button
+                  onClick={() => generateLesson(lesson, cards.length)}
+                  disabled={Boolean(generating) || !lesson.content?.trim()}
+                  className="regenerate-btn"
+                >
+                  {generating?.lessonId === lesson.id ? 'Writing...' : cards.length > 0 ? 'Regenerate' : 'Generate'}
+                </button>
+                <button onClick={() => addCard(lesson.id)} className="add-btn">
+                  + Add Card
+                </button>
+              </div>
+            </div>
+            {cards.map(renderCard)}
+          </div>
+        )
+      })}
+
+      {unlinkedCards.length > 0 && (
+        <div className="flashcard-group">
+          <div className="flashcard-group-header">
+            <h4>Not linked to a lesson ({unlinkedCards.length})</h4>
+          </div>
+          {unlinkedCards.map(renderCard)}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FlashcardDeckEditor
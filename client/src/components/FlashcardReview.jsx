@@ -0,0 +1,126 @@
+import { useEffect, useState } from 'react'
+import axios from 'axios'
+import { API_BASE_URL } from '../config/api'
+import { REVIEW_RATINGS, dueCards, formatInterval, nextDueDate } from '../utils/flashcards'
+import './FlashcardReview.css'
+
+// Spaced-repetition review of a course's flashcards. The session is built once from the
+// learner's saved review state; cards rated "Again" come back at the end of the session.
+function FlashcardReview({ course, onClose }) {
+  const cards = course.flashcards || []
+  const [reviews, setReviews] = useState(null)
+  const [queue, setQueue] = useState([])
+  const [isFlipped, setIsFlipped] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+  const [reviewedCount, setReviewedCount] = useState(0)
+  const [lastInterval, setLastInterval] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const loadReviews = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/course/${course.id}/flashcards/reviews`)
+        setReviews(response.data.reviews)
+        setQueue(dueCards(cards, response.data.reviews))
+      } catch (err) {
+        console.error('Error loading flashcard reviews:', err)
+        setError(err.response?.data?.details || err.response?.data?.error || 'Error loading your review history.')
+      }
+    }
+    loadReviews()
+  }, [course.id])
+
+  const card = queue[0]
+  const lessonTitle = card && course.lessons?.find((lesson) => lesson.id === card.lessonId)?.title
+
+  const rateCard = async (quality) => {
+    setIsSaving(true)
+    setError(null)
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/course/${course.id}/flashcards/${card.id}/review`, {
+        quality,
+      })
+      const { review } = response.data
+      setReviews((prev) => ({ ...prev, [card.id]: review }))
+      setQueue((prev) => (quality < 3 ? [...prev.slice(1), prev[0]] : prev.slice(1)))
+      setReviewedCount((count) => count + 1)
+      setLastInterval(review.interval)
+      setIsFlipped(false)
+    } catch (err) {
+      console.error('Error saving flashcard review:', err)
+      setError(err.response?.data?.details || err.response?.data?.error || 'Error saving your review. Please try again.')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const renderBody = () => {
+    if (!reviews) {
+      return error ? null : <p className="review-status">Loading your review history...</p>
+    }
+
+    if (!card) {
+      const nextDue = nextDueDate(cards, reviews)
+      return (
+        <div className="review-done">
+          <h3>{reviewedCount > 0 ? 'Session complete' : 'Nothing to review'}</h3>
+          <p>
+            {reviewedCount > 0 && `You reviewed ${reviewedCount} card${reviewedCount === 1 ? '' : 's'}. `}
+            {nextDue ? `Your next card is due ${nextDue.toLocaleString()}.` : 'There are no cards in this deck yet.'}
+          </p>
+          <button onClick={onClose} className="back-btn">
+            Back to Lessons
+          </button>
+        </div>
+      )
+    }
+
+    return (
+      <>
+        <p className="review-status">
+          {queue.length} card{queue.length === 1 ? '' : 's'} left in this session
+          {lastInterval !== null && ` · last card due again in ${formatInterval(lastInterval)}`}
+        </p>
+        <div className={`flashcard ${isFlipped ? 'flipped' : ''}`}>
+          {lessonTitle && <span className="flashcard-lesson">{lessonTitle}</span>}
+          <div className="flashcard-front">{card.front}</div>
+          {isFlipped && <div className="flashcard-back">{card.back}</div>}
+        </div>
+        {isFlipped ? (
+          <div className="review-ratings">
+            {REVIEW_RATINGS.map((rating) => (
+              <button
+                key={rating.quality}
+                onClick={() => rateCard(rating.quality)}
+                disabled={isSaving}
+                className={`rating-btn rating-${rating.label.toLowerCase()}`}
+                title={rating.hint}
+              >
+                {rating.label}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <button onClick={() => setIsFlipped(true)} className="show-answer-btn">
+            Show Answer
+          </button>
+        )}
+      </>
+    )
+  }
+
+  return (
+    <div className="flashcard-review">
+      <div className="review-header">
+        <h2>Flashcard Review</h2>
+        <button onClick={onClose} className="back-btn">
+          Back to Lessons
+        </button>
+      </div>
+      {error && <p className="review-error">{error}</p>}
+      {renderBody()}
+    </div>
+  )
+}
+
+export default FlashcardReview
@@ -0,0 +1,103 @@
+import { useState } from 'react'
+import axios from 'axios'
+import { API_BASE_URL } from '../config/api'
+import { CitationList } from './SourcePanel'
+import { MAX_ANSWER_LENGTH } from '../utils/questions'
+import './FreeResponseCard.css'
+
+// A short-answer or essay question. The answer is sent to the server, which grades it
+// against the question's rubric with the model. courseId is missing in unsaved previews.
+function FreeResponseCard({ question, courseId, lessonId, canOpenSources, onOpenCitation }) {
+  const [answer, setAnswer] = useState('')
+  const [isGrading, setIsGrading] = useState(false)
+  const [grade, setGrade] = useState(null)
+  const [error, setError] = useState(null)
+
+  const isEssay = question.type === 'essay'
+  const maxLength = MAX_ANSWER_LENGTH[question.type]
+
+  const submitAnswer = async () => {
+    setIsGrading(true)
+    setError(null)
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/course/${courseId}/grade`, {
+        lessonId,
+        questionId: question.id,
+        answer,
+      })
+      setGrade(response.data.grade)
+    } catch (err) {
+      console.error('Error grading answer:', err)
+      setError(err.response?.data?.details || err.response?.data?.error || 'Error grading your answer. Please try again.')
+    } finally {
+      setIsGrading(false)
+    }
+  }
+
+  return (
+    <div className="question">
+      <h4>{question.question}</h4>
+      <textarea
+        value={answer}
+        onChange={(e) => setAnswer(e.target.value)}
+        className="free-response-input"
+        rows={isEssay ? 10 : 3}
+        maxLength={maxLength}
+        placeholder={isEssay ? 'Write your essay here...' : 'Write your answer here...'}
+        disabled={isGrading}
+      />
+      <div className="free-response-footer">
+        <button
+          className="check-btn"
+          onClick={submitAnswer}
+          disabled={!courseId || isGrading || answer.trim() === ''}
+        >
+          {isGrading ? 'Grading...' : grade ? 'Grade Again' : 'Submit for Grading'}
+        </button>
+        <span className="free-response-count">
+          {answer.length} / {maxLength}
+        </span>
+      </div>
+      {!courseId && (
+        <p className="question-hint">Answers can be graded once the course is saved.</p>
+      )}
+      {error && <p className="free-response-error">{error}</p>}
+
+      {grade && (
+        <div className="explanation">
+          <p className="question-result">
+            Score: {grade.score} / {grade.maxScore}
+          </p>
+          <p className="ai-grade-note">
+            This grade and feedback were written by AI and can be wrong. Compare your answer with the model answer below.
+          </p>
+          <ul className="rubric-results">
+            {grade.criteria.map((item, idx) => (
+              <li key={idx}>
+                <span className="rubric-points">
+                  {item.awarded} / {item.points}
+                </span>
+                <div>
+                  <strong>{item.criterion}</strong>
+                  {item.feedback && <p>{item.feedback}</p>}
+                </div>
+              </li>
+            ))}
+          </ul>
+          {grade.feedback && <p className="grade-feedback">{grade.feedback}</p>}
+          <div className="model-answer">
+            <strong>Model answer:</strong> {question.modelAnswer}
+          </div>
+          {question.explanation && (
+            <p>
+              <strong>Explanation:</strong> {question.explanation}
+            </p>
+          )}
+          <CitationList citations={question.citations} canOpen={canOpenSources} onOpen={onOpenCitation} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FreeResponseCard
@@ -0,0 +1,36 @@
+import './GroundingBadge.css'
+
+const STATUS_LABELS = {
+  supported: '✓ Supported',
+  unsupported: '⚠ Unsupported',
+  contradicted: '✗ Contradicted',
+}
+
+// Verdict from checking a question's answer against the course's source markdown
+function GroundingBadge({ grounding }) {
+  if (!grounding) {
+    return <span className="grounding-badge unchecked">Not checked</span>
+  }
+
+  return (
+    <span className={`grounding-badge ${grounding.status}`} title={grounding.reason}>
+      {STATUS_LABELS[grounding.status] || grounding.status}
+    </span>
+  )
+}
+
+// Reason and supporting quote, shown when a question is expanded in the editor
+export function GroundingDetails({ grounding }) {
+  if (!grounding) return null
+
+  return (
+    <div className={`grounding-details ${grounding.status}`}>
+      <strong>{STATUS_LABELS[grounding.status]}:</strong> {grounding.reason}
+      {grounding.evidence && (
+        <blockquote>{grounding.evidence}</blockquote>
+      )}
+    </div>
+  )
+}
+
+export default GroundingBadge
@@ -0,0 +1,145 @@
+import { useState } from 'react'
+import { marked } from 'marked'
+import Editor from '@monaco-editor/react'
+import SourcePanel, { CitationList } from './SourcePanel'
+import QuestionCard from './QuestionCard'
+import FreeResponseCard from './FreeResponseCard'
+import ExerciseTests from './ExerciseTests'
+import { isGradedType } from '../utils/questions'
+import { lessonTypeLabel } from '../utils/lessons'
+import { resolveAssetLinks } from '../utils/assets'
+import { isRunnableExercise } from '../utils/exercises'
+import './LessonCard.css'
+
+// sources is the course's stored markdown; citations can only be opened when it is available.
+// courseId is needed to grade free-response answers and is missing in unsaved previews.
+function LessonCard({ lesson, sources, courseId }) {
+  const [codeSolutions, setCodeSolutions] = useState({})
+  const [codeValues, setCodeValues] = useState({})
+  const [openCitation, setOpenCitation] = useState(null)
+  const canOpenSources = sources?.length > 0
+
+  const toggleCodeSolution = (exerciseId) => {
+    setCodeSolutions((prev) => ({ ...prev, [exerciseId]: !prev[exerciseId] }))
+  }
+
+  const handleCodeChange = (exerciseId, value) => {
+    setCodeValues((prev) => ({ ...prev, [exerciseId]: value }))
+  }
+
+  return (
+    <div className="lesson-card">
+      <h2>{lesson.title}</h2>
+      {(lesson.tags?.length > 0 || (lesson.type && lesson.type !== 'lesson')) && (
+        <div className="lesson-tags">
+          {lesson.type && lesson.type !== 'lesson' && (
+            <span className="lesson-type">{lessonTypeLabel(lesson.type)}</span>
+          )}
+          {lesson.tags?.map((tag) => (
+            <span key={tag} className="lesson-tag">
+              {tag}
+            </span>
+          ))}
+        </div>
+      )}
+      <div
+        className="lesson-content"
+        dangerouslySetInnerHTML={{ __html: marked.parse(resolveAssetLinks(lesson.content, courseId)) }}
+      />
+      <CitationList citations={lesson.citations} canOpen={canOpenSources} onOpen={setOpenCitation} />
+
+      {lesson.questions && lesson.questions.length > 0 && (
+        <div className="questions-section">
+          <h3>Questions</h3>
+          {lesson.questions.map((q, qIdx) => {
+            // Create a unique key combining lesson ID and question ID/index
+            const uniqueQuestionId = `${lesson.id}-${q.id || qIdx}`
+            if (isGradedType(q.type)) {
+              return (
+                <FreeResponseCard
+                  key={uniqueQuestionId}
+                  question={q}
+                  courseId={courseId}
+                  lessonId={lesson.id}
+                  canOpenSources={canOpenSources}
+                  onOpenCitation={setOpenCitation}
+                />
+              )
+            }
+            return (
+              <QuestionCard
+                key={uniqueQuestionId}
+                question={q}
+                canOpenSources={canOpenSources}
+                onOpenCitation={setOpenCitation}
+              />
+            )
+          })}
+        </div>
+      )}
+
+      {lesson.codingExercises && lesson.codingExercises.length > 0 && (
+        <div className="coding-section">
+          <h3>Coding Exercises</h3>
+          {lesson.codingExercises.map((ex) => (
+            <div key={ex.id} className="coding-exercise">
+              <h4>{ex.title}</h4>
+              <p>{ex.description}</p>
+              {ex.testCases && ex.testCases.length > 0 && (
+                <div className="test-cases">
+                  <strong>Test Cases:</strong>
+                  <ul>
+                    {ex.testCases.map((testCase, idx) => (
+                      <li key={idx}>
+                        Input: <code>{testCase.input}</code> → Expected:{' '}
+                        <code>{testCase.expectedOutput}</code>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <div className="editor-container">
+                <Editor
+                  height="400px"
+                  language={ex.language || 'javascript'}
+                  value={codeValues[ex.id] || ex.starterCode}
+                  onChange={(value) => handleCodeChange(ex.id, value)}
+                  theme="vs-dark"
+                  options={{
+                    minimap: { enabled: false },
+                    fontSize: 14,
+                    wordWrap: 'on',
+                  }}
+                />
+              </div>
+              {isRunnableExercise(ex) && <ExerciseTests exercise={ex} code={codeValues[ex.id] || ex.starterCode} />}
+              <button
+                className="solution-btn"
+                onClick={() => toggleCodeSolution(ex.id)}
+              >
+                {codeSolutions[ex.id] ? 'Hide Solution' : 'Show Solution'}
+              </button>
+              {codeSolutions[ex.id] && (
+                <div className="solution">
+                  <strong>Solution:</strong>
+                  <pre>
+                    <code>{ex.solution}</code>
+                  </pre>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <SourcePanel
+        sources={sources}
+        citation={openCitation}
+        courseId={courseId}
+        onClose={() => setOpenCitation(null)}
+      />
+    </div>
+  )
+}
+
+export default LessonCard
@@ -0,0 +1,259 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import { API_BASE_URL } from '../config/api'
+import ViolationList from './ViolationList'
+import './PromptTemplateEditor.css'
+
+const PROMPT_FIELDS = [
+  { field: 'outlinePrompt', kind: 'outline', label: 'Outline Prompt' },
+  { field: 'lessonPrompt', kind: 'lesson', label: 'Lesson Prompt' },
+]
+
+const toDraft = (template) => ({
+  id: template.id,
+  version: template.version,
+  name: template.name,
+  description: template.description || '',
+  outlinePrompt: template.outlinePrompt,
+  lessonPrompt: template.lessonPrompt,
+})
+
+// Admin page for the prompts that drive course generation.
+// Saving always creates a new version; older versions can be loaded back and saved again.
+function PromptTemplateEditor() {
+  const [templates, setTemplates] = useState([])
+  const [variables, setVariables] = useState({})
+  const [versions, setVersions] = useState([])
+  const [draft, setDraft] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  const loadTemplates = async (selectId) => {
+    try {
+      setIsLoading(true)
+      const response = await axios.get(`${API_BASE_URL}/api/prompt-templates`)
+      setTemplates(response.data.templates)
+      setVariables(response.data.variables)
+
+      const selected = response.data.templates.find((t) => t.id === selectId) || response.data.templates[0]
+      if (selected) {
+        await selectTemplate(selected)
+      }
+    } catch (error) {
+      console.error('Error loading prompt templates:', error)
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.error || 'Error loading prompt templates',
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadTemplates()
+  }, [])
+
+  const selectTemplate = async (template) => {
+    setDraft(toDraft(template))
+    setPreview(null)
+    setMessage(null)
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/prompt-templates/${template.id}/versions`)
+      setVersions(response.data)
+    } catch (error) {
+      console.error('Error loading template versions:', error)
+      setVersions([template])
+    }
+  }
+
+  const startNewTemplate = () => {
+    // New templates start from the default prompts rather than a blank page
+    const base = templates.find((t) => t.id === 'default') || templates[0]
+    setDraft({
+      id: null,
+      version: null,
+      name: '',
+      description: '',
+      outlinePrompt: base?.outlinePrompt || '',
+      lessonPrompt: base?.lessonPrompt || '',
+    })
+    setVersions([])
+    setPreview(null)
+    setMessage(null)
+  }
+
+  const loadVersion = (version) => {
+    const selected = versions.find((v) => v.version === Number(version))
+    if (selected) {
+      setDraft(toDraft(selected))
+      setPreview(null)
+    }
+  }
+
+  const updateDraft = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }))
+  }
+
+  const handlePreview = async () => {
+    setMessage(null)
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/prompt-templates/preview`, { template: draft })
+      setPreview(response.data)
+    } catch (error) {
+      setPreview(null)
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.error || 'Error previewing template',
+        violations: error.response?.data?.violations,
+      })
+    }
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    setMessage(null)
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/prompt-templates`, { template: draft })
+      await loadTemplates(response.data.id)
+      setMessage({ type: 'success', text: `Saved ${response.data.name} as version ${response.data.version}` })
+    } catch (error) {
+      console.error('Error saving prompt template:', error)
+      setMessage({
+        type: 'error',
+        text: error.response?.data?.details || error.response?.data?.error || 'Error saving template',
+        violations: error.response?.data?.violations,
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const latestVersion = versions[0]?.version
+
+  return (
+    <div className="prompt-templates">
+      <div className="prompt-templates-header">
+        <h2>Prompt Templates</h2>
+        <button onClick={startNewTemplate} className="add-btn">
+          + New Template
+        </button>
+      </div>
+
+      {isLoading && templates.length === 0 ? (
+        <p className="prompt-templates-note">Loading templates...</p>
+      ) : (
+        <div className="prompt-templates-layout">
+          <ul className="template-list">
+            {templates.map((template) => (
+              <li
+                key={template.id}
+                className={draft?.id === template.id ? 'active' : ''}
+                onClick={() => selectTemplate(template)}
+              >
+                <strong>{template.name}</strong>
+                <span>v{template.version}{template.builtIn ? ' (built-in)' : ''}</span>
+              </li>
+            ))}
+          </ul>
+
+          {draft && (
+            <div className="template-editor">
+              {versions.length > 0 && (
+                <div className="form-group">
+                  <label>Version</label>
+                  <select
+                    value={draft.version ?? ''}
+                    onChange={(e) => loadVersion(e.target.value)}
+                    className="form-select"
+                  >
+                    {versions.map((version) => (
+                      <option key={version.version} value={version.version}>
+                        v{version.version}
+                        {version.version === latestVersion ? ' (latest)' : ''}
+                        {version.createdAt ? ` - ${new Date(version.createdAt).toLocaleString()}` : ''}
+                      </option>
+                    ))}
+                  </select>
+                  {draft.version !== latestVersion && (
+                    <small>Saving an older version makes it the latest again.</small>
+                  )}
+                </div>
+              )}
+
+              <div className="form-group">
+                <label>Name</label>
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => updateDraft('name', e.target.value)}
+                  className="form-input"
+                />
+              </div>
+
+              <div className="form-group">
+                <label>Description</label>
+                <input
+                  type="text"
+                  value={draft.description}
+                  onChange={(e) => updateDraft('description', e.target.value)}
+                  className="form-input"
+                />
+              </div>
+
+              {PROMPT_FIELDS.map(({ field, kind, label }) => (
+                <div key={field} className="form-group">
+                  <label>{label}</label>
+                  <textarea
+                    value={draft[field]}
+                    onChange={(e) => updateDraft(field, e.target.value)}
+                    className="form-textarea markdown-editor"
+                    rows="14"
+                  />
+                  <ul className="template-variables">
+                    {Object.entries(variables[kind] || {}).map(([name, variable]) => (
+                      <li key={name}>
+                        <code>{`{{${name}}}`}</code>
+                        {variable.required && <span className="required-badge">required</span>}
+                        {' '}{variable.description}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+
+              {message && (
+                <div className={`save-message ${message.type}`}>
+                  {message.text}
+                  <ViolationList violations={message.violations} />
+                </div>
+              )}
+
+              <div className="template-actions">
+                <button onClick={handlePreview} className="back-btn">
+                  Preview
+                </button>
+                <button onClick={handleSave} disabled={isSaving} className="save-btn">
+                  {isSaving ? 'Saving...' : draft.id ? 'Save New Version' : 'Create Template'}
+                </button>
+              </div>
+
+              {preview && (
+                <div className="template-preview">
+                  <h3>Outline prompt (sample course)</h3>
+                  <pre>{preview.outline}</pre>
+                  <h3>Lesson prompt (first sample lesson)</h3>
+                  <pre>{preview.lesson}</pre>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PromptTemplateEditor
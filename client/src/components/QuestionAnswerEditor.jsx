@@ -0,0 +1,298 @@
+import { MAX_RUBRIC_POINTS, countBlanks } from '../utils/questions'
+import './QuestionAnswerEditor.css'
+
+// Admin editor for a question's answer fields. Every change is reported as a partial
+// update, e.g. onChange({ options, correctAnswer }), so the caller can merge it in.
+function QuestionAnswerEditor({ question, name, onChange }) {
+  const options = question.options || []
+
+  const updateOption = (optIdx, value) => {
+    const next = [...options]
+    next[optIdx] = value
+    onChange({ options: next })
+  }
+
+  // Keep the marked answers pointing at the same options after one is removed
+  const removeOption = (optIdx) => {
+    const next = options.filter((_, idx) => idx !== optIdx)
+    if (question.type === 'multi-select') {
+      onChange({
+        options: next,
+        correctAnswers: (question.correctAnswers || [])
+          .filter((idx) => idx !== optIdx)
+          .map((idx) => (idx > optIdx ? idx - 1 : idx)),
+      })
+    } else {
+      const correct = question.correctAnswer
+      onChange({
+        options: next,
+        correctAnswer: correct > optIdx ? correct - 1 : Math.min(correct, next.length - 1),
+      })
+    }
+  }
+
+  const toggleCorrectAnswer = (optIdx) => {
+    const current = question.correctAnswers || []
+    onChange({
+      correctAnswers: current.includes(optIdx)
+        ? current.filter((idx) => idx !== optIdx)
+        : [...current, optIdx].sort((a, b) => a - b),
+    })
+  }
+
+  // answers holds one list of accepted answers per ___ in the question text
+  const updateBlankAnswers = (blanks, idx, accepted) => {
+    const answers = Array.from({ length: blanks }, (_, i) => question.answers?.[i] || [])
+    answers[idx] = accepted
+    onChange({ answers })
+  }
+
+  const updateListItem = (field, idx, value) => {
+    const next = [...(question[field] || [])]
+    next[idx] = value
+    onChange({ [field]: next })
+  }
+
+  const removeListItem = (field, idx) => {
+    onChange({ [field]: (question[field] || []).filter((_, i) => i !== idx) })
+  }
+
+  const moveItem = (idx, offset) => {
+    const next = [...(question.items || [])]
+    ;[next[idx], next[idx + offset]] = [next[idx + offset], next[idx]]
+    onChange({ items: next })
+  }
+
+  switch (question.type) {
+    case 'multiple-choice':
+    case 'multi-select': {
+      const isMulti = question.type === 'multi-select'
+      return (
+        <div className="form-group">
+          <label>Options</label>
+          {options.map((option, optIdx) => (
+            <div key={optIdx} className="option-editor">
+              <input
+                type={isMulti ? 'checkbox' : 'radio'}
+                name={`correct-${name}`}
+                checked={isMulti ? (question.correctAnswers || []).includes(optIdx) : question.correctAnswer === optIdx}
+                onChange={() => (isMulti ? toggleCorrectAnswer(optIdx) : onChange({ correctAnswer: optIdx }))}
+                className="correct-radio"
+              />
+              <input
+                type="text"
+                value={option}
+                onChange={(e) => updateOption(optIdx, e.target.value)}
+                className="form-input option-input"
+                placeholder={`Option ${optIdx + 1}`}
+              />
+              <button
+                onClick={() => removeOption(optIdx)}
+                className="remove-btn"
+                disabled={options.length <= 1}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button onClick={() => onChange({ options: [...options, 'New Option'] })} className="add-option-btn">
+            + Add Option
+          </button>
+          <small className="help-text">
+            {isMulti
+              ? 'Tick every correct answer'
+              : 'Select the radio button next to the correct answer'}
+          </small>
+        </div>
+      )
+    }
+
+    case 'true-false':
+      return (
+        <div className="form-group">
+          <label>Correct Answer</label>
+          {[true, false].map((value) => (
+            <label key={String(value)} className="option-editor true-false-option">
+              <input
+                type="radio"
+                name={`correct-${name}`}
+                checked={question.correctAnswer === value}
+                onChange={() => onChange({ correctAnswer: value })}
+                className="correct-radio"
+              />
+              {value ? 'True' : 'False'}
+            </label>
+          ))}
+        </div>
+      )
+
+    case 'fill-in-the-blank': {
+      const blanks = countBlanks(question.question)
+      return (
+        <div className="form-group">
+          <label>Accepted Answers</label>
+          {blanks === 0 && (
+            <small className="help-text">Write ___ in the question text for each blank.</small>
+          )}
+          {Array.from({ length: blanks }, (_, idx) => (
+            <div key={idx} className="option-editor">
+              <span className="blank-label">Blank {idx + 1}</span>
+              <textarea
+                value={(question.answers?.[idx] || []).join('\n')}
+                onChange={(e) => updateBlankAnswers(blanks, idx, e.target.value.split('\n'))}
+                onBlur={(e) => updateBlankAnswers(blanks, idx, e.target.value.split('\n').filter((answer) => answer.trim()))}
+                className="form-textarea option-input"
+                rows="2"
+                placeholder="One accepted answer per line"
+              />
+            </div>
+          ))}
+          {blanks > 0 && (
+            <small className="help-text">
+              Put each accepted answer on its own line. Checking ignores case and extra spaces.
+            </small>
+          )}
+        </div>
+      )
+    }
+
+    case 'ordering': {
+      const items = question.items || []
+      return (
+        <div className="form-group">
+          <label>Items in the Correct Order</label>
+          {items.map((item, idx) => (
+            <div key={idx} className="option-editor">
+              <span className="blank-label">{idx + 1}.</span>
+              <input
+                type="text"
+                value={item}
+                onChange={(e) => updateListItem('items', idx, e.target.value)}
+                className="form-input option-input"
+              />
+              <button onClick={() => moveItem(idx, -1)} className="move-btn" disabled={idx === 0}>↑</button>
+              <button onClick={() => moveItem(idx, 1)} className="move-btn" disabled={idx === items.length - 1}>↓</button>
+              <button
+                onClick={() => removeListItem('items', idx)}
+                className="remove-btn"
+                disabled={items.length <= 2}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button onClick={() => onChange({ items: [...items, 'New Item'] })} className="add-option-btn">
+            + Add Item
+          </button>
+          <small className="help-text">Learners see the items shuffled and put them back in this order</small>
+        </div>
+      )
+    }
+
+    case 'matching': {
+      const pairs = question.pairs || []
+      return (
+        <div className="form-group">
+          <label>Matching Pairs</label>
+          {pairs.map((pair, idx) => (
+            <div key={idx} className="option-editor">
+              <input
+                type="text"
+                value={pair.left}
+                onChange={(e) => updateListItem('pairs', idx, { ...pair, left: e.target.value })}
+                className="form-input option-input"
+                placeholder="Left"
+              />
+              <span className="blank-label">→</span>
+              <input
+                type="text"
+                value={pair.right}
+                onChange={(e) => updateListItem('pairs', idx, { ...pair, right: e.target.value })}
+                className="form-input option-input"
+                placeholder="Right"
+              />
+              <button
+                onClick={() => removeListItem('pairs', idx)}
+                className="remove-btn"
+                disabled={pairs.length <= 2}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => onChange({ pairs: [...pairs, { left: 'New term', right: 'New match' }] })}
+            className="add-option-btn"
+          >
+            + Add Pair
+          </button>
+          <small className="help-text">Learners match each left side to one of the shuffled right sides</small>
+        </div>
+      )
+    }
+
+    case 'short-answer':
+    case 'essay': {
+      const rubric = question.rubric || []
+      const totalPoints = rubric.reduce((sum, item) => sum + (Number(item.points) || 0), 0)
+      return (
+        <>
+          <div className="form-group">
+            <label>Model Answer</label>
+            <textarea
+              value={question.modelAnswer || ''}
+              onChange={(e) => onChange({ modelAnswer: e.target.value })}
+              className="form-textarea"
+              rows={question.type === 'essay' ? 8 : 3}
+            />
+            <small className="help-text">Shown to learners after grading and used by the grader as a reference</small>
+          </div>
+          <div className="form-group">
+            <label>Rubric ({totalPoints} points)</label>
+            {rubric.map((item, idx) => (
+              <div key={idx} className="option-editor">
+                <input
+                  type="text"
+                  value={item.criterion}
+                  onChange={(e) => updateListItem('rubric', idx, { ...item, criterion: e.target.value })}
+                  className="form-input option-input"
+                  placeholder="What a good answer covers"
+                />
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_RUBRIC_POINTS}
+                  value={item.points}
+                  onChange={(e) => updateListItem('rubric', idx, { ...item, points: Number(e.target.value) })}
+                  className="form-input rubric-points-input"
+                  title="Points"
+                />
+                <button
+                  onClick={() => removeListItem('rubric', idx)}
+                  className="remove-btn"
+                  disabled={rubric.length <= 1}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => onChange({ rubric: [...rubric, { criterion: 'New criterion', points: 1 }] })}
+              className="add-option-btn"
+            >
+              + Add Criterion
+            </button>
+            <small className="help-text">
+              Answers are graded by AI against each criterion, from 0 up to its points (at most {MAX_RUBRIC_POINTS})
+            </small>
+          </div>
+        </>
+      )
+    }
+
+    default:
+      return null
+  }
+}
+
+export default QuestionAnswerEditor
@@ -0,0 +1,245 @@
+import { useState } from 'react'
+import { CitationList } from './SourcePanel'
+import {
+  isAnswerComplete,
+  isAnswerCorrect,
+  isBlankCorrect,
+  shuffledIndexes,
+  splitBlanks,
+} from '../utils/questions'
+import './QuestionCard.css'
+
+const TRUE_FALSE_OPTIONS = [
+  { value: true, label: 'True' },
+  { value: false, label: 'False' },
+]
+
+const optionClass = (selected, correct, checked) =>
+  `option ${selected ? 'selected' : ''} ${checked && correct ? 'correct' : ''} ${
+    checked && selected && !correct ? 'incorrect' : ''
+  }`
+
+// One interactive question. The answer's shape depends on the type; see isAnswerComplete.
+function QuestionCard({ question, canOpenSources, onOpenCitation }) {
+  const [answer, setAnswer] = useState(() => {
+    // Ordering starts shuffled; matching starts with nothing chosen
+    if (question.type === 'ordering') return shuffledIndexes(question.items?.length || 0)
+    if (question.type === 'matching') return []
+    return undefined
+  })
+  const [checked, setChecked] = useState(false)
+  // Right-hand sides of a matching question, listed in a fixed random order
+  const [rightOrder] = useState(() => shuffledIndexes(question.pairs?.length || 0))
+
+  const isOrdering = question.type === 'ordering'
+  const canCheck = isOrdering || isAnswerComplete(question, answer)
+
+  const moveItem = (position, offset) => {
+    setAnswer((prev) => {
+      const next = [...prev]
+      ;[next[position], next[position + offset]] = [next[position + offset], next[position]]
+      return next
+    })
+  }
+
+  const renderAnswerArea = () => {
+    switch (question.type) {
+      case 'true-false':
+        return (
+          <div className="options">
+            {TRUE_FALSE_OPTIONS.map((option) => (
+              <div
+                key={option.label}
+                className={optionClass(answer === option.value, option.value === question.correctAnswer, checked)}
+                onClick={() => setAnswer(option.value)}
+              >
+                {option.label}
+              </div>
+            ))}
+          </div>
+        )
+
+      case 'multi-select': {
+        const selected = answer || []
+        const correct = question.correctAnswers || []
+        return (
+          <div className="options">
+            <p className="question-hint">Select all that apply</p>
+            {question.options.map((option, idx) => (
+              <div
+                key={idx}
+                className={`${optionClass(selected.includes(idx), correct.includes(idx), checked)} ${
+                  checked && correct.includes(idx) && !selected.includes(idx) ? 'missed' : ''
+                }`}
+                onClick={() =>
+                  setAnswer(selected.includes(idx) ? selected.filter((i) => i !== idx) : [...selected, idx])
+                }
+              >
+                <input type="checkbox" checked={selected.includes(idx)} readOnly tabIndex={-1} />
+                {option}
+              </div>
+            ))}
+          </div>
+        )
+      }
+
+      case 'ordering':
+        return (
+          <ol className="ordering-list">
+            {answer.map((itemIndex, position) => (
+              <li
+                key={itemIndex}
+                className={checked ? (itemIndex === position ? 'correct' : 'incorrect') : ''}
+              >
+                <span className="ordering-text">{question.items[itemIndex]}</span>
+                <span className="ordering-controls">
+                  <button onClick={() => moveItem(position, -1)} disabled={position === 0} title="Move up">
+                    ↑
+                  </button>
+                  <button onClick={() => moveItem(position, 1)} disabled={position === answer.length - 1} title="Move down">
+                    ↓
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ol>
+        )
+
+      case 'matching':
+        return (
+          <div className="matching-list">
+            {question.pairs.map((pair, idx) => (
+              <div
+                key={idx}
+                className={`matching-row ${checked ? (answer[idx] === idx ? 'correct' : 'incorrect') : ''}`}
+              >
+                <span className="matching-left">{pair.left}</span>
+                <select
+                  value={answer[idx] ?? ''}
+                  onChange={(e) => {
+                    const next = [...answer]
+                    next[idx] = e.target.value === '' ? undefined : Number(e.target.value)
+                    setAnswer(next)
+                  }}
+                  className="matching-select"
+                >
+                  <option value="">Choose a match...</option>
+                  {rightOrder.map((rightIdx) => (
+                    <option key={rightIdx} value={rightIdx}>
+                      {question.pairs[rightIdx].right}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )
+
+      case 'fill-in-the-blank':
+        // The blanks are inputs inside the question text itself
+        return null
+
+      default:
+        return (
+          <div className="options">
+            {(question.options || []).map((option, idx) => (
+              <div
+                key={idx}
+                className={optionClass(answer === idx, idx === question.correctAnswer, checked)}
+                onClick={() => setAnswer(idx)}
+              >
+                {option}
+              </div>
+            ))}
+          </div>
+        )
+    }
+  }
+
+  const renderQuestionText = () => {
+    if (question.type !== 'fill-in-the-blank') {
+      return <h4>{question.question}</h4>
+    }
+
+    const parts = splitBlanks(question.question)
+    const values = answer || []
+    return (
+      <h4 className="blank-question">
+        {parts.map((part, idx) => (
+          <span key={idx}>
+            {part}
+            {idx < parts.length - 1 && (
+              <input
+                type="text"
+                value={values[idx] || ''}
+                onChange={(e) => {
+                  const next = [...values]
+                  next[idx] = e.target.value
+                  setAnswer(next)
+                }}
+                className={`blank-input ${
+                  checked ? (isBlankCorrect(question.answers?.[idx], values[idx]) ? 'correct' : 'incorrect') : ''
+                }`}
+                aria-label={`Blank ${idx + 1}`}
+              />
+            )}
+          </span>
+        ))}
+      </h4>
+    )
+  }
+
+  // What the right answer was, for types where the highlighting alone does not show it
+  const renderCorrection = () => {
+    switch (question.type) {
+      case 'fill-in-the-blank':
+        return (
+          <p className="question-correction">
+            Accepted answers:{' '}
+            {(question.answers || []).map((accepted, idx) => (
+              <span key={idx}>
+                {idx > 0 && '; '}
+                {accepted.join(' / ')}
+              </span>
+            ))}
+          </p>
+        )
+      case 'ordering':
+        return <p className="question-correction">Correct order: {question.items.join(' → ')}</p>
+      case 'matching':
+        return (
+          <p className="question-correction">
+            Correct matches: {question.pairs.map((pair) => `${pair.left} → ${pair.right}`).join('; ')}
+          </p>
+        )
+      default:
+        return null
+    }
+  }
+
+  const isCorrect = checked && isAnswerCorrect(question, answer)
+
+  return (
+    <div className="question">
+      {renderQuestionText()}
+      {renderAnswerArea()}
+      {canCheck && (
+        <button className="check-btn" onClick={() => setChecked(true)}>
+          Check Answer
+        </button>
+      )}
+      {checked && (
+        <div className="explanation">
+          <p className={`question-result ${isCorrect ? 'correct' : 'incorrect'}`}>
+            {isCorrect ? '✓ Correct' : '✗ Not quite'}
+          </p>
+          {!isCorrect && renderCorrection()}
+          <strong>Explanation:</strong> {question.explanation}
+          <CitationList citations={question.citations} canOpen={canOpenSources} onOpen={onOpenCitation} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default QuestionCard
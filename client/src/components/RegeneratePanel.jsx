@@ -0,0 +1,138 @@
+import { marked } from 'marked'
+import ViolationList from './ViolationList'
+import { resolveAssetLinks } from '../utils/assets'
+import './RegeneratePanel.css'
+
+const TARGET_LABELS = {
+  lesson: 'Lesson',
+  question: 'Question',
+  exercise: 'Coding Exercise',
+}
+
+function QuestionPreview({ question }) {
+  return (
+    <div className="regenerate-question">
+      <p className="regenerate-question-text">{question.question}</p>
+      <ol type="A">
+        {question.options?.map((option, idx) => (
+          <li key={idx} className={idx === question.correctAnswer ? 'correct-option' : ''}>
+            {option}
+          </li>
+        ))}
+      </ol>
+      {question.explanation && (
+        <p className="regenerate-note">
+          <strong>Explanation:</strong> {question.explanation}
+        </p>
+      )}
+    </div>
+  )
+}
+
+function ExercisePreview({ exercise }) {
+  return (
+    <div>
+      <h4>{exercise.title}</h4>
+      <p>{exercise.description}</p>
+      {exercise.testCases?.length > 0 && (
+        <ul className="regenerate-test-cases">
+          {exercise.testCases.map((testCase, idx) => (
+            <li key={idx}>
+              <code>{testCase.input}</code> → <code>{testCase.expectedOutput}</code>
+            </li>
+          ))}
+        </ul>
+      )}
+      <strong>Starter Code</strong>
+      <pre><code>{exercise.starterCode}</code></pre>
+      <strong>Solution</strong>
+      <pre><code>{exercise.solution}</code></pre>
+    </div>
+  )
+}
+
+function LessonPreview({ lesson, courseId }) {
+  return (
+    <div>
+      <h4>{lesson.title}</h4>
+      <div
+        className="preview-content"
+        dangerouslySetInnerHTML={{ __html: marked.parse(resolveAssetLinks(lesson.content, courseId)) }}
+      />
+      <p className="regenerate-note">
+        {lesson.questions?.length || 0} question(s), {lesson.codingExercises?.length || 0} coding exercise(s)
+      </p>
+    </div>
+  )
+}
+
+function ItemPreview({ target, item, courseId }) {
+  if (target === 'question') return <QuestionPreview question={item} />
+  if (target === 'exercise') return <ExercisePreview exercise={item} />
+  return <LessonPreview lesson={item} courseId={courseId} />
+}
+
+// Side-by-side comparison of an item and its regenerated version.
+// Nothing changes in the course until the author accepts the new version.
+function RegeneratePanel({ regeneration, courseId, onInstructionsChange, onGenerate, onAccept, onClose }) {
+  if (!regeneration) return null
+
+  const { target, original, regenerated, instructions, isLoading, error, violations } = regeneration
+
+  return (
+    <div className="regenerate-overlay" onClick={onClose}>
+      <div className="regenerate-panel" onClick={(e) => e.stopPropagation()}>
+        <h2>Regenerate {TARGET_LABELS[target]}</h2>
+
+        <div className="form-group">
+          <label>Instructions for the model (optional)</label>
+          <input
+            type="text"
+            value={instructions}
+            onChange={(e) => onInstructionsChange(e.target.value)}
+            placeholder="e.g. Make it harder, focus on error handling"
+            className="form-input"
+          />
+        </div>
+
+        {error && (
+          <div className="save-message error">
+            {error}
+            <ViolationList violations={violations} />
+          </div>
+        )}
+
+        <div className="regenerate-compare">
+          <div className="regenerate-column">
+            <h3>Current</h3>
+            <ItemPreview target={target} item={original} courseId={courseId} />
+          </div>
+          <div className="regenerate-column">
+            <h3>New</h3>
+            {isLoading ? (
+              <p className="regenerate-note">Generating a new version...</p>
+            ) : regenerated ? (
+              <ItemPreview target={target} item={regenerated} courseId={courseId} />
+            ) : (
+              <p className="regenerate-note">Generate a new version to compare it here.</p>
+            )}
+          </div>
+        </div>
+
+        <div className="regenerate-actions">
+          <button onClick={onClose} className="back-btn">
+            {regenerated ? 'Discard' : 'Cancel'}
+          </button>
+          <button onClick={onGenerate} disabled={isLoading} className="add-btn">
+            {regenerated ? 'Try Again' : 'Generate'}
+          </button>
+          <button onClick={onAccept} disabled={!regenerated || isLoading} className="save-btn">
+            Accept New Version
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RegeneratePanel
@@ -0,0 +1,334 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import { API_BASE_URL } from '../config/api'
+import ViolationList from './ViolationList'
+import ConversionList from './ConversionList'
+import { sourceFileAccept } from '../utils/assets'
+import './ResyncPanel.css'
+
+const ACTION_LABELS = {
+  keep: 'Keep',
+  regenerate: 'Regenerate',
+  remove: 'Remove',
+}
+
+const CHANGE_GROUPS = [
+  { key: 'added', label: 'Added' },
+  { key: 'changed', label: 'Changed' },
+  { key: 'removed', label: 'Removed' },
+]
+
+const shortCommit = (commit) => commit.slice(0, 7)
+
+// Commits are counted on the course's source folder, so unrelated commits do not show up
+function describeRepositoryStatus({ ref, commit, latestCommit, commitsBehind }) {
+  if (commitsBehind === null) {
+    return `${shortCommit(commit)}, the commit the course was built from, is no longer in the repository. ${ref} is at ${shortCommit(latestCommit)}.`
+  }
+  if (commit === latestCommit) {
+    return `The course is at the latest commit on ${ref} (${shortCommit(commit)}).`
+  }
+  if (commitsBehind === 0) {
+    return `No commits on ${ref} have changed the sources since ${shortCommit(commit)}. Applying records ${shortCommit(latestCommit)} as the course's commit.`
+  }
+  return `The course is ${commitsBehind} commit${commitsBehind === 1 ? '' : 's'} behind ${ref}: built from ${shortCommit(commit)}, ${ref} is now at ${shortCommit(latestCommit)}.`
+}
+
+// Re-sync a course with updated source files. The author first sees which files
+// changed and what will happen to each lesson, then applies the plan as a background job.
+function ResyncPanel({ courseId, repository, sourceMode, isOpen, onClose, onApplied }) {
+  const [files, setFiles] = useState([])
+  const [folderPath, setFolderPath] = useState('')
+  const [plan, setPlan] = useState(null)
+  const [isChecking, setIsChecking] = useState(false)
+  const [jobId, setJobId] = useState(null)
+  const [job, setJob] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!jobId) return
+
+    let cancelled = false
+    const events = new EventSource(`${API_BASE_URL}/api/jobs/${jobId}/events`)
+
+    events.addEventListener('progress', (e) => {
+      setJob(JSON.parse(e.data))
+    })
+
+    events.addEventListener('complete', async (e) => {
+      events.close()
+      setJob(JSON.parse(e.data))
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/course/${courseId}`)
+        if (cancelled) return
+        onApplied({ id: courseId, ...response.data })
+        reset()
+      } catch (err) {
+        console.error('Error loading re-synced course:', err)
+        setJobId(null)
+        setError({ text: 'Course was re-synced but could not be reloaded. Refresh the page.' })
+      }
+    })
+
+    events.addEventListener('failed', (e) => {
+      events.close()
+      const status = JSON.parse(e.data)
+      setJobId(null)
+      setJob(status)
+      setError({ text: status.error, violations: status.violations })
+    })
+
+    events.onerror = () => {
+      if (events.readyState !== EventSource.CLOSED || cancelled) return
+      setJobId(null)
+      setError({ text: 'Lost connection to the re-sync progress stream. Reopen the course to see the result.' })
+    }
+
+    return () => {
+      cancelled = true
+      events.close()
+    }
+  }, [jobId])
+
+  const reset = () => {
+    setFiles([])
+    setFolderPath('')
+    setPlan(null)
+    setJobId(null)
+    setJob(null)
+    setError(null)
+  }
+
+  const handleClose = () => {
+    // A running job carries on in the background; closing only hides its progress
+    reset()
+    onClose()
+  }
+
+  // fromRepository reads the course's git repository at its branch or tag again
+  const checkForChanges = async (fromRepository = false) => {
+    setIsChecking(true)
+    setError(null)
+    setPlan(null)
+
+    try {
+      let response
+      if (fromRepository) {
+        response = await axios.post(`${API_BASE_URL}/api/course/${courseId}/resync`, { fromRepository: true })
+      } else if (files.length > 0) {
+        const formData = new FormData()
+        files.forEach((file) => {
+          formData.append('files', file)
+        })
+        response = await axios.post(`${API_BASE_URL}/api/course/${courseId}/resync`, formData, {
+          headers: {
+            'Content-Type': 'multipart/form-data',
+          },
+        })
+      } else {
+        response = await axios.post(`${API_BASE_URL}/api/course/${courseId}/resync`, { folderPath })
+      }
+      setPlan(response.data)
+    } catch (err) {
+      console.error('Error checking for source changes:', err)
+      setError({
+        text: err.response?.data?.details || err.response?.data?.error || 'Error checking for changes',
+        violations: err.response?.data?.violations,
+        conversions: err.response?.data?.conversions,
+      })
+    } finally {
+      setIsChecking(false)
+    }
+  }
+
+  const applyPlan = async () => {
+    setError(null)
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/course/${courseId}/resync/${plan.syncId}/apply`)
+      setJob(null)
+      setJobId(response.data.jobId)
+    } catch (err) {
+      console.error('Error applying re-sync:', err)
+      setError({ text: err.response?.data?.error || 'Error applying re-sync' })
+    }
+  }
+
+  if (!isOpen) return null
+
+  const isApplying = Boolean(jobId)
+  const assetChanges = CHANGE_GROUPS.filter(({ key }) => plan?.assetChanges?.[key]?.length > 0).map(
+    ({ key, label }) => `${plan.assetChanges[key].length} ${label.toLowerCase()}`
+  )
+
+  return (
+    <div className="regenerate-overlay" onClick={isApplying ? undefined : handleClose}>
+      <div className="regenerate-panel resync-panel" onClick={(e) => e.stopPropagation()}>
+        <h2>Re-sync Sources</h2>
+        <p className="regenerate-note">
+          Provide the updated source files. Only lessons built from changed files are regenerated;
+          every other lesson, including your edits, is kept.
+        </p>
+
+        {!plan && repository && (
+          <p className="regenerate-note">
+            Built from <code>{repository.ref}</code> at <code>{shortCommit(repository.commit)}</code> in{' '}
+            <code>{repository.subdirectory ? `${repository.path}/${repository.subdirectory}` : repository.path}</code>.
+            Check the repository for new commits, or provide other sources below; the course then no longer
+            follows the repository.
+          </p>
+        )}
+
+        {!plan && (
+          <div className="resync-inputs">
+            <div className="form-group">
+              <label>Upload Source Files</label>
+              <input
+                type="file"
+                multiple
+                accept={sourceFileAccept(sourceMode)}
+                onChange={(e) => setFiles(Array.from(e.target.files))}
+              />
+            </div>
+            <div className="form-group">
+              <label>Or Folder Path</label>
+              <input
+                type="text"
+                value={folderPath}
+                onChange={(e) => setFolderPath(e.target.value)}
+                placeholder="/path/to/source/folder"
+                className="form-input"
+              />
+            </div>
+          </div>
+        )}
+
+        {plan?.repository && (
+          <p className="regenerate-note">{describeRepositoryStatus(plan.repository)}</p>
+        )}
+
+        {plan && (
+          <div className="resync-summary">
+            {plan.hasChanges ? (
+              <>
+                <div className="resync-changes">
+                  {CHANGE_GROUPS.map(({ key, label }) => (
+                    <div key={key} className={`resync-change-group ${key}`}>
+                      <h3>{label} ({plan.changes[key].length})</h3>
+                      <ul>
+                        {plan.changes[key].map((name) => (
+                          <li key={name}>{name}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+                {assetChanges.length > 0 && (
+                  <p className="regenerate-note">
+                    Assets: {assetChanges.join(', ')}. Assets are replaced when the changes are applied and never
+                    regenerate a lesson.
+                  </p>
+                )}
+
+                <h3>Lessons</h3>
+                <ul className="resync-lessons">
+                  {plan.lessons.map((lesson) => (
+                    <li key={lesson.id}>
+                      <span className={`resync-action ${lesson.action}`}>{ACTION_LABELS[lesson.action]}</span>
+                      <strong>{lesson.title}</strong>
+                      <span className="resync-reason">{lesson.reason}</span>
+                    </li>
+                  ))}
+                  {plan.newSourceFiles.length > 0 && (
+                    <li>
+                      <span className="resync-action add">Add</span>
+                      <strong>New lessons</strong>
+                      <span className="resync-reason">From {plan.newSourceFiles.join(', ')}</span>
+                    </li>
+                  )}
+                </ul>
+                <p className="regenerate-note">
+                  Regenerated lessons replace their current content, including manual edits.
+                  Save any unsaved changes before applying; the course reloads afterwards.
+                </p>
+              </>
+            ) : (
+              <p className="regenerate-note">The course is already up to date with these files.</p>
+            )}
+          </div>
+        )}
+
+        {plan?.warnings?.length > 0 && (
+          <ul className="job-warnings">
+            {plan.warnings.map((warning, idx) => (
+              <li key={idx}>{warning}</li>
+            ))}
+          </ul>
+        )}
+
+        <ConversionList conversions={plan?.conversions} />
+
+        {isApplying && (
+          <div className="resync-progress">
+            <p>{job?.message || 'Starting re-sync...'}</p>
+            <div className="progress-bar">
+              <div className="progress-fill" style={{ width: `${job?.percent || 0}%` }} />
+            </div>
+          </div>
+        )}
+
+        {job?.warnings?.length > 0 && (
+          <ul className="job-warnings">
+            {job.warnings.map((warning, idx) => (
+              <li key={idx}>{warning}</li>
+            ))}
+          </ul>
+        )}
+
+        {error && (
+          <div className="save-message error">
+            {error.text}
+            <ViolationList violations={error.violations} />
+            <ConversionList conversions={error.conversions} />
+          </div>
+        )}
+
+        <div className="regenerate-actions">
+          <button onClick={handleClose} disabled={isApplying} className="back-btn">
+            Cancel
+          </button>
+          {plan ? (
+            <>
+              <button onClick={() => setPlan(null)} disabled={isApplying} className="back-btn">
+                Choose Other Files
+              </button>
+              <button
+                onClick={applyPlan}
+                disabled={!plan.hasChanges || isApplying}
+                className="save-btn"
+              >
+                {isApplying ? 'Applying...' : 'Apply Changes'}
+              </button>
+            </>
+          ) : (
+            <>
+              {repository && (
+                <button onClick={() => checkForChanges(true)} disabled={isChecking} className="add-btn">
+                  Check Repository
+                </button>
+              )}
+              <button
+                onClick={() => checkForChanges()}
+                disabled={isChecking || (files.length === 0 && !folderPath)}
+                className="add-btn"
+              >
+                {isChecking ? 'Checking...' : 'Check for Changes'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResyncPanel
@@ -0,0 +1,108 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { Marked } from 'marked'
+import { resolveAssetLinks } from '../utils/assets'
+import './SourcePanel.css'
+
+// Must match slugifyHeading in server/source-citations.js so citation anchors resolve
+const slugifyHeading = (text) =>
+  text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[`*_~]/g, '')
+    .replace(/<[^>]*>/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-')
+
+// Render markdown with an id on every heading, numbering repeats the way the server does
+function renderSource(markdown) {
+  const seen = new Map()
+  const marked = new Marked({
+    renderer: {
+      heading(text, level, raw) {
+        const slug = slugifyHeading(raw)
+        const count = seen.get(slug) || 0
+        seen.set(slug, count + 1)
+        const anchor = count === 0 ? slug : `${slug}-${count}`
+        return `<h${level} id="source-${anchor}" data-level="${level}">${text}</h${level}>\n`
+      },
+    },
+  })
+  return marked.parse(markdown || '')
+}
+
+const citationLabel = (citation) =>
+  citation.heading ? `${citation.file} › ${citation.heading.replace(/[`*_]/g, '')}` : citation.file
+
+// Clickable list of a lesson's or question's citations. Without sources the
+// citations are shown as plain labels, since there is nothing to open.
+export function CitationList({ citations, canOpen = true, onOpen }) {
+  if (!citations || citations.length === 0) return null
+
+  return (
+    <div className="citation-list">
+      <span className="citation-list-label">Sources:</span>
+      {citations.map((citation, idx) => (
+        canOpen ? (
+          <button key={idx} className="citation-chip" onClick={() => onOpen(citation)}>
+            {citationLabel(citation)}
+          </button>
+        ) : (
+          <span key={idx} className="citation-chip">{citationLabel(citation)}</span>
+        )
+      ))}
+    </div>
+  )
+}
+
+// Shows the cited source file with the cited section scrolled into view and highlighted.
+// The section runs from its heading to the next heading of the same or a higher level.
+function SourcePanel({ sources, citation, courseId, onClose }) {
+  const bodyRef = useRef(null)
+  const source = citation && sources?.find((file) => file.name === citation.file)
+  const html = useMemo(() => (source ? renderSource(resolveAssetLinks(source.content, courseId)) : ''), [source, courseId])
+
+  useEffect(() => {
+    if (!bodyRef.current) return
+    bodyRef.current.querySelectorAll('.cited-section').forEach((el) => el.classList.remove('cited-section'))
+    if (!citation?.anchor) return
+
+    const heading = bodyRef.current.querySelector(`#${CSS.escape(`source-${citation.anchor}`)}`)
+    if (!heading) return
+
+    const level = Number(heading.dataset.level)
+    let element = heading
+    do {
+      element.classList.add('cited-section')
+      element = element.nextElementSibling
+    } while (element && !(element.dataset.level && Number(element.dataset.level) <= level))
+
+    heading.scrollIntoView({ block: 'start' })
+  }, [html, citation])
+
+  if (!citation) return null
+
+  return (
+    <div className="source-overlay" onClick={onClose}>
+      <div className="source-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="source-panel-header">
+          <h2>Source: {citationLabel(citation)}</h2>
+          <button onClick={onClose} className="source-close-btn">×</button>
+        </div>
+        {source ? (
+          <div
+            ref={bodyRef}
+            className="source-panel-body"
+            dangerouslySetInnerHTML={{ __html: html }}
+          />
+        ) : (
+          <p className="source-missing">
+            The source file "{citation.file}" is not stored with this course.
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SourcePanel
@@ -0,0 +1,284 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import { API_BASE_URL } from '../config/api'
+import './UsagePage.css'
+
+const RANGE_OPTIONS = [7, 30, 90]
+
+const formatCost = (cost) => `$${(Number(cost) || 0).toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`
+const formatTokens = (tokens) => (Number(tokens) || 0).toLocaleString()
+
+function TotalsTable({ title, keyLabel, rows }) {
+  return (
+    <div className="usage-card">
+      <h3>{title}</h3>
+      {rows.length === 0 ? (
+        <p className="usage-empty">No model calls in this period.</p>
+      ) : (
+        <table className="usage-table">
+          <thead>
+            <tr>
+              <th>{keyLabel}</th>
+              <th>Calls</th>
+              <th>Prompt tokens</th>
+              <th>Completion tokens</th>
+              <th>Est. cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key}>
+                <td>{row.key}</td>
+                <td>{row.calls}</td>
+                <td>{formatTokens(row.promptTokens)}</td>
+                <td>{formatTokens(row.completionTokens)}</td>
+                <td>{formatCost(row.cost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+// Admin page for the token usage ledger: spending per day, course and user,
+// the most recent model calls, and the monthly budgets that cap new generations.
+function UsagePage() {
+  const [days, setDays] = useState(30)
+  const [usage, setUsage] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [budgetUser, setBudgetUser] = useState('')
+  const [budgetLimit, setBudgetLimit] = useState('')
+  const [message, setMessage] = useState(null)
+  const [cachedResponses, setCachedResponses] = useState(null)
+  const [cacheMessage, setCacheMessage] = useState(null)
+
+  const loadUsage = async () => {
+    try {
+      setIsLoading(true)
+      setError(null)
+      const response = await axios.get(`${API_BASE_URL}/api/usage`, { params: { days } })
+      setUsage(response.data)
+    } catch (err) {
+      console.error('Error loading usage:', err)
+      setError(err.response?.data?.code || err.response?.data?.error || 'Error loading usage')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const loadCache = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/response-cache`)
+      setCachedResponses(response.data.entries)
+    } catch (err) {
+      console.error('Error loading response cache:', err)
+      setCacheMessage({ type: 'error', text: err.response?.data?.code || err.response?.data?.error || 'Error loading response cache' })
+    }
+  }
+
+  useEffect(() => {
+    loadUsage()
+  }, [days])
+
+  useEffect(() => {
+    loadCache()
+  }, [])
+
+  const clearCache = async () => {
+    if (!window.confirm('Remove every cached model response? The next generations will call the model again.')) {
+      return
+    }
+    try {
+      setCacheMessage(null)
+      const response = await axios.delete(`${API_BASE_URL}/api/response-cache`)
+      setCacheMessage({ type: 'success', text: `Removed ${response.data.deleted} cached responses` })
+      setCachedResponses(0)
+    } catch (err) {
+      console.error('Error clearing response cache:', err)
+      setCacheMessage({ type: 'error', text: err.response?.data?.error || 'Error clearing response cache' })
+    }
+  }
+
+  const saveBudget = async (userId, monthlyLimit) => {
+    try {
+      setMessage(null)
+      await axios.put(`${API_BASE_URL}/api/usage/budgets`, { userId: userId || null, monthlyLimit })
+      setMessage({
+        type: 'success',
+        text: monthlyLimit === null ? 'Budget removed' : 'Budget saved',
+      })
+      setBudgetUser('')
+      setBudgetLimit('')
+      loadUsage()
+    } catch (err) {
+      console.error('Error saving budget:', err)
+      setMessage({ type: 'error', text: err.response?.data?.error || 'Error saving budget' })
+    }
+  }
+
+  const handleBudgetSubmit = (e) => {
+    e.preventDefault()
+    const limit = Number(budgetLimit)
+    if (budgetLimit === '' || !Number.isFinite(limit) || limit < 0) {
+      setMessage({ type: 'error', text: 'Enter a monthly limit in USD' })
+      return
+    }
+    saveBudget(budgetUser.trim(), limit)
+  }
+
+  const spentBy = (budget) =>
+    budget.userId ? usage.monthToDate.perUser[budget.userId] || 0 : usage.monthToDate.cost
+
+  return (
+    <div className="usage-page">
+      <div className="usage-header">
+        <div>
+          <h2>Usage</h2>
+          <p className="usage-note">Token counts reported by the provider; costs are estimates.</p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="form-select usage-range"
+        >
+          {RANGE_OPTIONS.map((option) => (
+            <option key={option} value={option}>Last {option} days</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="save-message error">{error}</div>}
+      {isLoading && !usage && <p className="usage-empty">Loading usage...</p>}
+
+      {usage && (
+        <>
+          <div className="usage-card">
+            <h3>This Month</h3>
+            <p className="usage-month-total">
+              {formatCost(usage.monthToDate.cost)} spent since {new Date(usage.monthToDate.since).toLocaleDateString()}
+            </p>
+
+            {usage.budgets.length > 0 && (
+              <table className="usage-table">
+                <thead>
+                  <tr>
+                    <th>Budget</th>
+                    <th>Spent</th>
+                    <th>Monthly limit</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usage.budgets.map((budget) => {
+                    const spent = spentBy(budget)
+                    return (
+                      <tr key={budget.scope} className={spent >= budget.monthlyLimit ? 'over-budget' : ''}>
+                        <td>{budget.userId || 'Everyone'}</td>
+                        <td>{formatCost(spent)}</td>
+                        <td>{formatCost(budget.monthlyLimit)}</td>
+                        <td>
+                          <button
+                            className="delete-btn"
+                            onClick={() => saveBudget(budget.userId, null)}
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            )}
+
+            <form className="budget-form" onSubmit={handleBudgetSubmit}>
+              <input
+                type="text"
+                value={budgetUser}
+                onChange={(e) => setBudgetUser(e.target.value)}
+                placeholder="User (leave empty for everyone)"
+                className="form-input"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={budgetLimit}
+                onChange={(e) => setBudgetLimit(e.target.value)}
+                placeholder="Monthly limit (USD)"
+                className="form-input"
+              />
+              <button type="submit" className="save-btn">Set Budget</button>
+            </form>
+            {message && <div className={`save-message ${message.type}`}>{message.text}</div>}
+          </div>
+
+          <div className="usage-card">
+            <h3>Response Cache</h3>
+            <div className="cache-summary">
+              <span>
+                {cachedResponses === null ? 'Loading...' : `${cachedResponses} cached model responses`}
+              </span>
+              <button
+                className="delete-btn"
+                onClick={clearCache}
+                disabled={!cachedResponses}
+              >
+                Clear Cache
+              </button>
+            </div>
+            <p className="usage-note">
+              Identical prompts are answered from the cache and are not counted above.
+            </p>
+            {cacheMessage && <div className={`save-message ${cacheMessage.type}`}>{cacheMessage.text}</div>}
+          </div>
+
+          <TotalsTable title="Per Day" keyLabel="Day" rows={usage.perDay} />
+          <TotalsTable title="Per Course" keyLabel="Course" rows={usage.perCourse} />
+          <TotalsTable title="Per User" keyLabel="User" rows={usage.perUser} />
+
+          <div className="usage-card">
+            <h3>Recent Calls</h3>
+            {usage.recentCalls.length === 0 ? (
+              <p className="usage-empty">No model calls in this period.</p>
+            ) : (
+              <table className="usage-table">
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>Call</th>
+                    <th>Course</th>
+                    <th>User</th>
+                    <th>Model</th>
+                    <th>Tokens</th>
+                    <th>Duration</th>
+                    <th>Est. cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usage.recentCalls.map((call) => (
+                    <tr key={call.id} className={call.finish_reason === 'error' ? 'failed-call' : ''}>
+                      <td>{new Date(call.created_at).toLocaleString()}</td>
+                      <td>{call.label || '—'}</td>
+                      <td>{call.course_id || '—'}</td>
+                      <td>{call.user_id || 'anonymous'}</td>
+                      <td>{call.model}</td>
+                      <td>{formatTokens(call.prompt_tokens)} / {formatTokens(call.completion_tokens)}</td>
+                      <td>{(call.duration_ms / 1000).toFixed(1)}s</td>
+                      <td>{formatCost(call.estimated_cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default UsagePage
@@ -0,0 +1,18 @@
+import './ViolationList.css'
+
+// Lists course schema violations returned by the server ({ path, message })
+function ViolationList({ violations }) {
+  if (!violations || violations.length === 0) return null
+
+  return (
+    <ul className="violation-list">
+      {violations.map((violation, idx) => (
+        <li key={idx}>
+          <code>{violation.path}</code> {violation.message}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default ViolationList
@@ -0,0 +1,28 @@
+import { API_BASE_URL } from '../config/api'
+
+// Images and other files uploaded next to the markdown (server/course-assets.js).
+// Lesson content links to them as `assets/<name>`; the export keeps those links as they are,
+// and the app points them at the API.
+
+export const ASSET_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif', '.pdf', '.mp3', '.mp4', '.webm', '.csv']
+
+// Formats the server converts to markdown (server/source-converters.js)
+export const SOURCE_EXTENSIONS = ['.md', '.txt', '.html', '.htm', '.ipynb', '.docx']
+
+// Modules read as summaries when a course is generated from source code (server/source-code.js)
+export const CODE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx', '.py']
+
+// `accept` for source file inputs: the source formats plus the assets beside them,
+// or a single .zip of the whole tree (server/source-archive.js)
+const SOURCE_FILE_ACCEPT = [...SOURCE_EXTENSIONS, ...ASSET_EXTENSIONS, '.zip'].join(',')
+const CODE_FILE_ACCEPT = [...SOURCE_EXTENSIONS, ...CODE_EXTENSIONS, ...ASSET_EXTENSIONS, '.zip'].join(',')
+
+export const sourceFileAccept = (sourceMode) => (sourceMode === 'code' ? CODE_FILE_ACCEPT : SOURCE_FILE_ACCEPT)
+
+// Markdown links and images, reference definitions, and src/href attributes of inline HTML
+const ASSET_LINK_PATTERN = /(\]\(\s*<?|^[ \t]*\[[^\]]+\]:[ \t]*<?|\b(?:src|href)\s*=\s*["'])assets\//gm
+
+export function resolveAssetLinks(markdown, courseId) {
+  if (!markdown || !courseId) return markdown || ''
+  return markdown.replace(ASSET_LINK_PATTERN, `$1${API_BASE_URL}/api/course/${encodeURIComponent(courseId)}/assets/`)
+}
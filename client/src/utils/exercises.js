@@ -0,0 +1,8 @@
+// Running JavaScript coding exercises against their test cases, each in a sandboxed frame and
+// worker of its own. The runner is shared with the standalone export, so it lives with the
+// server in server/exercise-sandbox.js.
+
+export { TEST_TIMEOUT_MS, runExerciseTests } from '../../../server/exercise-sandbox.js'
+
+export const isRunnableExercise = (exercise) =>
+  (exercise.language || 'javascript').toLowerCase() === 'javascript' && exercise.testCases?.length > 0
@@ -0,0 +1,42 @@
+// Flashcard deck helpers shared by the review mode and the admin deck editor.
+// Cards match the server's course schema: { id, kind, front, back, lessonId }.
+// Review state comes from the server (server/flashcard-reviews.js), keyed by card id.
+
+export const FLASHCARD_KINDS = [
+  { value: 'term', label: 'Term → definition' },
+  { value: 'fact', label: 'Question → fact' },
+]
+
+// SM-2 ratings offered after a card is turned over; below 3 starts the card over
+export const REVIEW_RATINGS = [
+  { quality: 1, label: 'Again', hint: 'Forgot it' },
+  { quality: 3, label: 'Hard', hint: 'Remembered with effort' },
+  { quality: 4, label: 'Good', hint: 'Remembered after a moment' },
+  { quality: 5, label: 'Easy', hint: 'Knew it instantly' },
+]
+
+// Cards the learner has never seen that are introduced in one session
+export const NEW_CARDS_PER_SESSION = 20
+
+// Random rather than numbered, so a deleted card's id (and its review history) is never reused
+export const newCardId = () => `card-${crypto.randomUUID().slice(0, 8)}`
+
+// Cards to review now: overdue cards first, oldest due date first, then new cards in deck order
+export function dueCards(cards, reviews, now = new Date()) {
+  const due = cards
+    .filter((card) => reviews[card.id] && new Date(reviews[card.id].dueAt) <= now)
+    .sort((a, b) => new Date(reviews[a.id].dueAt) - new Date(reviews[b.id].dueAt))
+  const fresh = cards.filter((card) => !reviews[card.id]).slice(0, NEW_CARDS_PER_SESSION)
+  return [...due, ...fresh]
+}
+
+// When the next card in the deck comes due, or null when none has been reviewed
+export function nextDueDate(cards, reviews) {
+  const dates = cards
+    .map((card) => reviews[card.id]?.dueAt)
+    .filter(Boolean)
+    .map((dueAt) => new Date(dueAt))
+  return dates.length > 0 ? new Date(Math.min(...dates)) : null
+}
+
+export const formatInterval = (days) => (days === 1 ? '1 day' : `${days} days`)
@@ -0,0 +1,29 @@
+// Lesson structure set by source front matter and folders (server/source-structure.js).
+// Lessons may carry a section (from their folder), tags and a type; all are optional.
+
+export const LESSON_TYPES = [
+  { value: 'lesson', label: 'Lesson' },
+  { value: 'overview', label: 'Overview' },
+  { value: 'quiz', label: 'Quiz' },
+  { value: 'lab', label: 'Lab' },
+]
+
+export const lessonTypeLabel = (type) => LESSON_TYPES.find((option) => option.value === type)?.label
+
+// Consecutive lessons with the same section, in course order: [{ section, lessons }].
+// Lessons outside any folder have a null section.
+export function groupBySection(lessons) {
+  const groups = []
+  for (const lesson of lessons) {
+    const section = lesson.section || null
+    const last = groups[groups.length - 1]
+    if (last && last.section === section) {
+      last.lessons.push(lesson)
+    } else {
+      groups.push({ section, lessons: [lesson] })
+    }
+  }
+  return groups
+}
+
+export const parseTags = (text) => [...new Set(text.split(',').map((tag) => tag.trim()).filter(Boolean))]
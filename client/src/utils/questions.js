@@ -0,0 +1,137 @@
+// Question types shared by the viewer and the admin editor. The answer fields of each
+// type match the server's course schema (server/course-schema.js):
+//   multiple-choice   options[], correctAnswer (index)
+//   multi-select      options[], correctAnswers (indexes)
+//   true-false        correctAnswer (boolean)
+//   fill-in-the-blank question with ___ blanks, answers (accepted answers per blank)
+//   ordering          items[] in the correct order
+//   matching          pairs [{ left, right }]
+//   short-answer      modelAnswer, rubric [{ criterion, points }]; graded by the server
+//   essay             same fields as short-answer, for longer answers
+
+export const QUESTION_TYPES = [
+  { value: 'multiple-choice', label: 'Multiple choice' },
+  { value: 'multi-select', label: 'Multi-select' },
+  { value: 'true-false', label: 'True / false' },
+  { value: 'fill-in-the-blank', label: 'Fill in the blank' },
+  { value: 'ordering', label: 'Ordering' },
+  { value: 'matching', label: 'Matching' },
+  { value: 'short-answer', label: 'Short answer' },
+  { value: 'essay', label: 'Essay' },
+]
+
+// Types whose answers are graded by the model on the server instead of checked here
+export const GRADED_TYPES = ['short-answer', 'essay']
+
+export const isGradedType = (type) => GRADED_TYPES.includes(type)
+
+// Most points one rubric criterion can be worth; matches server/course-schema.js
+export const MAX_RUBRIC_POINTS = 10
+
+// Longest answer the server will grade; keep in step with server/index.js
+export const MAX_ANSWER_LENGTH = { 'short-answer': 2000, essay: 20000 }
+
+export const questionTypeLabel = (type) =>
+  QUESTION_TYPES.find((t) => t.value === type)?.label || type
+
+const BLANK_PATTERN = /_{3,}/
+
+// The question text around its blanks: n blanks give n + 1 parts
+export const splitBlanks = (text) => (text || '').split(BLANK_PATTERN)
+
+export const countBlanks = (text) => splitBlanks(text).length - 1
+
+const normalizeBlank = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase()
+
+export const isBlankCorrect = (accepted, value) =>
+  (accepted || []).some((answer) => normalizeBlank(answer) === normalizeBlank(value))
+
+// Answer fields for a question switched to another type, keeping what carries over
+export function answerFieldsForType(type, question) {
+  const options = question.options?.length >= 2 ? question.options : ['Option 1', 'Option 2', 'Option 3', 'Option 4']
+  const correctIndex = Number.isInteger(question.correctAnswer) ? question.correctAnswer : 0
+
+  switch (type) {
+    case 'multiple-choice':
+      return { options, correctAnswer: Math.min(correctIndex, options.length - 1) }
+    case 'multi-select':
+      return { options, correctAnswers: question.correctAnswers || [Math.min(correctIndex, options.length - 1)] }
+    case 'true-false':
+      return { correctAnswer: typeof question.correctAnswer === 'boolean' ? question.correctAnswer : true }
+    case 'fill-in-the-blank':
+      return { answers: Array.from({ length: Math.max(countBlanks(question.question), 1) }, (_, idx) => question.answers?.[idx] || ['']) }
+    case 'ordering':
+      return { items: question.items || ['First step', 'Second step', 'Third step'] }
+    case 'matching':
+      return { pairs: question.pairs || [{ left: 'Term 1', right: 'Definition 1' }, { left: 'Term 2', right: 'Definition 2' }] }
+    case 'short-answer':
+    case 'essay':
+      return {
+        modelAnswer: question.modelAnswer || '',
+        rubric: question.rubric || [{ criterion: 'Covers the main point', points: 1 }],
+      }
+    default:
+      return {}
+  }
+}
+
+// Fields that belong to one type only; dropped when a question changes type
+export const ANSWER_FIELDS = ['options', 'correctAnswer', 'correctAnswers', 'answers', 'items', 'pairs', 'modelAnswer', 'rubric']
+
+// Has the learner answered enough to check?
+//   multiple-choice / true-false: the chosen option
+//   multi-select: array of chosen indexes
+//   fill-in-the-blank: array of typed values
+//   ordering: array of item indexes in the learner's order
+//   matching: array with the chosen right-side index for each pair
+//   short-answer / essay: the typed text
+export function isAnswerComplete(question, answer) {
+  if (answer === undefined || answer === null) return false
+  switch (question.type) {
+    case 'multi-select':
+      return answer.length > 0
+    case 'fill-in-the-blank':
+      return answer.some((value) => String(value ?? '').trim() !== '')
+    case 'matching':
+      return answer.some((value) => value !== undefined && value !== null)
+    case 'short-answer':
+    case 'essay':
+      return answer.trim() !== ''
+    default:
+      return true
+  }
+}
+
+export function isAnswerCorrect(question, answer) {
+  if (!isAnswerComplete(question, answer)) return false
+  switch (question.type) {
+    case 'multiple-choice':
+    case 'true-false':
+      return answer === question.correctAnswer
+    case 'multi-select': {
+      const correct = new Set(question.correctAnswers || [])
+      return answer.length === correct.size && answer.every((idx) => correct.has(idx))
+    }
+    case 'fill-in-the-blank':
+      return (question.answers || []).every((accepted, idx) => isBlankCorrect(accepted, answer[idx]))
+    case 'ordering':
+      return answer.every((itemIndex, position) => itemIndex === position)
+    case 'matching':
+      return (question.pairs || []).every((pair, idx) => answer[idx] === idx)
+    default:
+      return false
+  }
+}
+
+// Indexes 0..n-1 in a random order that differs from the original whenever n > 1
+export function shuffledIndexes(length) {
+  const indexes = Array.from({ length }, (_, idx) => idx)
+  if (length < 2) return indexes
+  do {
+    for (let i = indexes.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      ;[indexes[i], indexes[j]] = [indexes[j], indexes[i]]
+    }
+  } while (indexes.every((value, idx) => value === idx))
+  return indexes
+}
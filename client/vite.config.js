@@ -5,6 +5,10 @@ export default defineConfig({
   plugins: [react()],
   server: {
     port: 3000,
+    fs: {
+      // The exercise test runner is shared with the server's standalone export
+      allow: ['.', '../server/exercise-sandbox.js'],
+    },
     proxy: {
       '/api': {
         target: process.env.VITE_API_URL || 'http://localhost:3001',
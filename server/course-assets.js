@@ -0,0 +1,126 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { supabase } from './supabase.js';
+
+// Images and other files uploaded next to the markdown. Each course lists its assets in
+// course_data.assets ({ name, contentType, size, hash }); the bytes live in the
+// `course-assets` storage bucket under <courseId>/<hash>, so unchanged files are never
+// uploaded twice and odd file names never reach the storage API.
+// Content refers to an asset as `assets/<name>`: the viewer resolves that against the API,
+// and the export puts the files in an assets folder next to index.html, where it works as is.
+
+export const ASSET_BUCKET = 'course-assets';
+export const ASSET_PREFIX = 'assets/';
+export const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+
+export const ASSET_CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.pdf': 'application/pdf',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.csv': 'text/csv',
+};
+
+export const assetContentType = (name) => ASSET_CONTENT_TYPES[path.extname(name).toLowerCase()] || null;
+
+const assetReference = (name) => ASSET_PREFIX + name.split('/').map(encodeURIComponent).join('/');
+
+// Markdown links and images (with or without <> around the target), reference definitions,
+// and src/href attributes of inline HTML. One pass, so a rewritten link is never matched again.
+const LINK_PATTERN = new RegExp([
+  /(!?\[[^\]]*\]\(\s*<)([^>\n]+)/.source,
+  /(!?\[[^\]]*\]\(\s*)([^)\s<>]+)/.source,
+  /(^[ \t]*\[[^\]]+\]:[ \t]*<?)([^\s>]+)/.source,
+  /(<(?:img|a|source|video|audio)\b[^>]*?\s(?:src|href)\s*=\s*["'])([^"']+)/.source,
+].join('|'), 'gim');
+
+// Rewrite links in a source file that point at an uploaded asset to `assets/<name>`.
+// Targets are resolved against the file's own folder. Uploaded files are stored side by side,
+// so a link such as `images/diagram.png` also matches an asset named `diagram.png`
+// when no other asset has that base name. Other links are left alone.
+export function rewriteAssetLinks(content, fileName, assetNames) {
+  if (assetNames.length === 0) {
+    return content;
+  }
+
+  const names = new Set(assetNames);
+  const byBaseName = new Map();
+  for (const name of assetNames) {
+    const baseName = path.posix.basename(name);
+    byBaseName.set(baseName, byBaseName.has(baseName) ? null : name);
+  }
+
+  const resolve = (target) => {
+    if (/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(target)) return null;
+    let decoded;
+    try {
+      decoded = decodeURI(target.split(/[?#]/)[0]);
+    } catch {
+      return null;
+    }
+    const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(fileName), decoded));
+    if (names.has(resolved)) return resolved;
+    return byBaseName.get(path.posix.basename(decoded)) || null;
+  };
+
+  return content.replace(LINK_PATTERN, (match, ...groups) => {
+    // Each alternative captures a prefix and a target; only one pair is set
+    const pair = groups.findIndex((group, idx) => idx % 2 === 0 && group !== undefined);
+    const name = resolve(groups[pair + 1]);
+    return name ? groups[pair] + assetReference(name) : match;
+  });
+}
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in your .env file');
+  }
+}
+
+const storagePath = (courseId, hash) => `${courseId}/${hash}`;
+
+// Upload the assets of a course, as read from the source folder, that are not stored yet.
+// Returns the manifest to save as course_data.assets. Nothing is removed here: files the
+// saved course no longer references go with removeUnusedCourseAssets once it is saved, so a
+// failed save never leaves the stored course linking to removed files.
+export async function storeCourseAssets(courseId, assets, previous = []) {
+  requireSupabase();
+  const bucket = supabase.storage.from(ASSET_BUCKET);
+  const stored = new Set(previous.map(asset => asset.hash));
+
+  for (const asset of assets) {
+    if (stored.has(asset.hash)) continue;
+    const { error } = await bucket.upload(storagePath(courseId, asset.hash), await fs.readFile(asset.path), {
+      contentType: asset.contentType,
+      upsert: true,
+    });
+    if (error) throw error;
+    stored.add(asset.hash);
+  }
+
+  return assets.map(({ name, contentType, size, hash }) => ({ name, contentType, size, hash }));
+}
+
+// Remove the stored files of the `stored` manifest that the `kept` manifest does not reference
+export async function removeUnusedCourseAssets(courseId, stored, kept) {
+  requireSupabase();
+  const current = new Set(kept.map(asset => asset.hash));
+  const unused = [...new Set(stored.map(asset => asset.hash))].filter(hash => !current.has(hash));
+  if (unused.length === 0) return;
+  const { error } = await supabase.storage.from(ASSET_BUCKET).remove(unused.map(hash => storagePath(courseId, hash)));
+  if (error) throw error;
+}
+
+export async function readCourseAsset(courseId, asset) {
+  requireSupabase();
+  const { data, error } = await supabase.storage.from(ASSET_BUCKET).download(storagePath(courseId, asset.hash));
+  if (error) throw error;
+  return Buffer.from(await data.arrayBuffer());
+}
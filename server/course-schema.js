@@ -0,0 +1,431 @@
+// Structural schema for course JSON.
+// Every generated course and every admin edit is checked against it before it is saved.
+// Validators return a list of violations ({ path, message }) rather than throwing,
+// so callers can repair, salvage, or report them.
+
+export class CourseValidationError extends Error {
+  constructor(message, violations) {
+    super(message);
+    this.name = 'CourseValidationError';
+    this.violations = violations;
+  }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+function checkString(violations, value, path, { required = true } = {}) {
+  if (value === undefined || value === null) {
+    if (required) violations.push({ path, message: 'is required' });
+  } else if (typeof value !== 'string') {
+    violations.push({ path, message: 'must be a string' });
+  } else if (required && value.trim().length === 0) {
+    violations.push({ path, message: 'must not be empty' });
+  }
+}
+
+function checkUniqueIds(violations, items, path) {
+  const seen = new Set();
+  items.forEach((item, idx) => {
+    if (!item || typeof item !== 'object') return;
+    if (!isNonEmptyString(item.id)) {
+      violations.push({ path: `${path}[${idx}].id`, message: 'is required' });
+    } else if (seen.has(item.id)) {
+      violations.push({ path: `${path}[${idx}].id`, message: `duplicates id "${item.id}"` });
+    } else {
+      seen.add(item.id);
+    }
+  });
+}
+
+// Citations are optional; when present each names a source file and, optionally, a heading anchor
+function checkCitations(violations, citations, path) {
+  if (citations === undefined || citations === null) return;
+  if (!Array.isArray(citations)) {
+    violations.push({ path, message: 'must be an array' });
+    return;
+  }
+  citations.forEach((citation, idx) => {
+    if (!citation || typeof citation !== 'object') {
+      violations.push({ path: `${path}[${idx}]`, message: 'must be an object' });
+      return;
+    }
+    checkString(violations, citation.file, `${path}[${idx}].file`);
+    checkString(violations, citation.anchor, `${path}[${idx}].anchor`, { required: false });
+  });
+}
+
+// Outcome of checking a question's answer against the source markdown
+export const GROUNDING_STATUSES = ['supported', 'unsupported', 'contradicted'];
+
+function checkGrounding(violations, grounding, path) {
+  if (grounding === undefined || grounding === null) return;
+  if (typeof grounding !== 'object') {
+    violations.push({ path, message: 'must be an object' });
+    return;
+  }
+  if (!GROUNDING_STATUSES.includes(grounding.status)) {
+    violations.push({ path: `${path}.status`, message: `must be one of: ${GROUNDING_STATUSES.join(', ')}` });
+  }
+  checkString(violations, grounding.reason, `${path}.reason`, { required: false });
+  checkString(violations, grounding.evidence, `${path}.evidence`, { required: false });
+}
+
+function checkOptions(question, path, violations) {
+  if (!Array.isArray(question.options)) {
+    violations.push({ path: `${path}.options`, message: 'must be an array of answer options' });
+    return false;
+  }
+  if (question.options.length < 2) {
+    violations.push({ path: `${path}.options`, message: 'must have at least 2 options' });
+  }
+  question.options.forEach((option, idx) => {
+    if (!isNonEmptyString(option)) {
+      violations.push({ path: `${path}.options[${idx}]`, message: 'must be a non-empty string' });
+    }
+  });
+  return true;
+}
+
+const isOptionIndex = (question, value) =>
+  Number.isInteger(value) && value >= 0 && value < question.options.length;
+
+// Blanks are written as three or more underscores in the question text
+const BLANK_PATTERN = /_{3,}/g;
+
+const countBlanks = (text) => (typeof text === 'string' ? (text.match(BLANK_PATTERN) || []).length : 0);
+
+export const MAX_RUBRIC_POINTS = 10;
+
+// Free-response questions are graded by the model: modelAnswer, rubric: [{ criterion, points }]
+function checkFreeResponse(question, path, violations) {
+  checkString(violations, question.modelAnswer, `${path}.modelAnswer`);
+  if (!Array.isArray(question.rubric) || question.rubric.length === 0) {
+    violations.push({ path: `${path}.rubric`, message: 'must be a non-empty array of criteria' });
+    return;
+  }
+  question.rubric.forEach((item, idx) => {
+    const itemPath = `${path}.rubric[${idx}]`;
+    if (!item || typeof item !== 'object') {
+      violations.push({ path: itemPath, message: 'must be an object' });
+      return;
+    }
+    checkString(violations, item.criterion, `${itemPath}.criterion`);
+    if (!Number.isInteger(item.points) || item.points < 1 || item.points > MAX_RUBRIC_POINTS) {
+      violations.push({ path: `${itemPath}.points`, message: `must be a whole number from 1 to ${MAX_RUBRIC_POINTS}` });
+    }
+  });
+}
+
+// Per-type question checks, keyed by question.type
+const QUESTION_VALIDATORS = {
+  // options[], correctAnswer: index of the one correct option
+  'multiple-choice': (question, path, violations) => {
+    if (!checkOptions(question, path, violations)) return;
+    if (!isOptionIndex(question, question.correctAnswer)) {
+      violations.push({
+        path: `${path}.correctAnswer`,
+        message: `must be an option index between 0 and ${question.options.length - 1}`,
+      });
+    }
+  },
+
+  // options[], correctAnswers: indexes of every correct option
+  'multi-select': (question, path, violations) => {
+    if (!checkOptions(question, path, violations)) return;
+    const answers = question.correctAnswers;
+    if (!Array.isArray(answers) || answers.length === 0) {
+      violations.push({ path: `${path}.correctAnswers`, message: 'must be a non-empty array of option indexes' });
+      return;
+    }
+    answers.forEach((answer, idx) => {
+      if (!isOptionIndex(question, answer)) {
+        violations.push({
+          path: `${path}.correctAnswers[${idx}]`,
+          message: `must be an option index between 0 and ${question.options.length - 1}`,
+        });
+      }
+    });
+    if (new Set(answers).size !== answers.length) {
+      violations.push({ path: `${path}.correctAnswers`, message: 'must not repeat an option' });
+    }
+  },
+
+  // correctAnswer: true or false
+  'true-false': (question, path, violations) => {
+    if (typeof question.correctAnswer !== 'boolean') {
+      violations.push({ path: `${path}.correctAnswer`, message: 'must be true or false' });
+    }
+  },
+
+  // question text with ___ blanks, answers: one list of accepted answers per blank
+  'fill-in-the-blank': (question, path, violations) => {
+    const blanks = countBlanks(question.question);
+    if (blanks === 0) {
+      violations.push({ path: `${path}.question`, message: 'must mark each blank with ___' });
+    }
+    if (!Array.isArray(question.answers)) {
+      violations.push({ path: `${path}.answers`, message: 'must be an array with the accepted answers for each blank' });
+      return;
+    }
+    if (blanks > 0 && question.answers.length !== blanks) {
+      violations.push({ path: `${path}.answers`, message: `must have one entry per blank (${blanks})` });
+    }
+    question.answers.forEach((accepted, idx) => {
+      if (!Array.isArray(accepted) || accepted.length === 0 || !accepted.every(isNonEmptyString)) {
+        violations.push({ path: `${path}.answers[${idx}]`, message: 'must be a non-empty array of accepted answers' });
+      }
+    });
+  },
+
+  // items[] in the correct order; learners see them shuffled
+  'ordering': (question, path, violations) => {
+    if (!Array.isArray(question.items) || question.items.length < 2) {
+      violations.push({ path: `${path}.items`, message: 'must be an array of at least 2 items' });
+      return;
+    }
+    question.items.forEach((item, idx) => {
+      if (!isNonEmptyString(item)) {
+        violations.push({ path: `${path}.items[${idx}]`, message: 'must be a non-empty string' });
+      }
+    });
+  },
+
+  // pairs: [{ left, right }]; learners match each left to a shuffled right
+  'matching': (question, path, violations) => {
+    if (!Array.isArray(question.pairs) || question.pairs.length < 2) {
+      violations.push({ path: `${path}.pairs`, message: 'must be an array of at least 2 pairs' });
+      return;
+    }
+    question.pairs.forEach((pair, idx) => {
+      if (!pair || typeof pair !== 'object') {
+        violations.push({ path: `${path}.pairs[${idx}]`, message: 'must be an object' });
+        return;
+      }
+      checkString(violations, pair.left, `${path}.pairs[${idx}].left`);
+      checkString(violations, pair.right, `${path}.pairs[${idx}].right`);
+    });
+    const rights = question.pairs.filter(pair => isNonEmptyString(pair?.right)).map(pair => pair.right.trim());
+    if (new Set(rights).size !== rights.length) {
+      violations.push({ path: `${path}.pairs`, message: 'must not repeat a right-hand side' });
+    }
+  },
+
+  // A sentence or two, graded against the rubric
+  'short-answer': checkFreeResponse,
+
+  // A few paragraphs, graded against the rubric
+  'essay': checkFreeResponse,
+};
+
+// Types the learner's answer cannot be checked for locally
+export const GRADED_QUESTION_TYPES = ['short-answer', 'essay'];
+
+export const QUESTION_TYPES = Object.keys(QUESTION_VALIDATORS);
+
+export function validateQuestion(question, path) {
+  const violations = [];
+  if (!question || typeof question !== 'object') {
+    return [{ path, message: 'must be an object' }];
+  }
+
+  checkString(violations, question.question, `${path}.question`);
+  checkString(violations, question.explanation, `${path}.explanation`, { required: false });
+  checkCitations(violations, question.citations, `${path}.citations`);
+  checkGrounding(violations, question.grounding, `${path}.grounding`);
+
+  const validateType = QUESTION_VALIDATORS[question.type];
+  if (!validateType) {
+    violations.push({ path: `${path}.type`, message: `must be one of: ${QUESTION_TYPES.join(', ')}` });
+  } else {
+    validateType(question, path, violations);
+  }
+
+  return violations;
+}
+
+export function validateCodingExercise(exercise, path) {
+  const violations = [];
+  if (!exercise || typeof exercise !== 'object') {
+    return [{ path, message: 'must be an object' }];
+  }
+
+  checkString(violations, exercise.title, `${path}.title`);
+  checkString(violations, exercise.description, `${path}.description`);
+  checkString(violations, exercise.starterCode, `${path}.starterCode`, { required: false });
+  checkString(violations, exercise.solution, `${path}.solution`, { required: false });
+  checkString(violations, exercise.language, `${path}.language`, { required: false });
+
+  if (exercise.testCases !== undefined) {
+    if (!Array.isArray(exercise.testCases)) {
+      violations.push({ path: `${path}.testCases`, message: 'must be an array' });
+    } else {
+      exercise.testCases.forEach((testCase, idx) => {
+        const casePath = `${path}.testCases[${idx}]`;
+        if (!testCase || typeof testCase !== 'object') {
+          violations.push({ path: casePath, message: 'must be an object' });
+          return;
+        }
+        checkString(violations, testCase.input, `${casePath}.input`, { required: false });
+        checkString(violations, testCase.expectedOutput, `${casePath}.expectedOutput`, { required: false });
+      });
+    }
+  }
+
+  return violations;
+}
+
+// Term cards pair a term with its definition; fact cards pair a prompt with a key fact
+export const FLASHCARD_KINDS = ['term', 'fact'];
+
+export function validateFlashcard(card, path) {
+  const violations = [];
+  if (!card || typeof card !== 'object') {
+    return [{ path, message: 'must be an object' }];
+  }
+
+  checkString(violations, card.front, `${path}.front`);
+  checkString(violations, card.back, `${path}.back`);
+  checkString(violations, card.lessonId, `${path}.lessonId`, { required: false });
+  if (!FLASHCARD_KINDS.includes(card.kind)) {
+    violations.push({ path: `${path}.kind`, message: `must be one of: ${FLASHCARD_KINDS.join(', ')}` });
+  }
+
+  return violations;
+}
+
+// Lesson types set in source front matter; each changes what the lesson prompt asks for
+export const LESSON_TYPES = ['lesson', 'overview', 'quiz', 'lab'];
+
+export function validateLesson(lesson, path = 'lesson') {
+  const violations = [];
+  if (!lesson || typeof lesson !== 'object') {
+    return [{ path, message: 'must be an object' }];
+  }
+
+  checkString(violations, lesson.title, `${path}.title`);
+  checkString(violations, lesson.content, `${path}.content`);
+  checkCitations(violations, lesson.citations, `${path}.citations`);
+  checkString(violations, lesson.section, `${path}.section`, { required: false });
+  if (lesson.tags !== undefined && (!Array.isArray(lesson.tags) || !lesson.tags.every(isNonEmptyString))) {
+    violations.push({ path: `${path}.tags`, message: 'must be an array of non-empty strings' });
+  }
+  if (lesson.type !== undefined && !LESSON_TYPES.includes(lesson.type)) {
+    violations.push({ path: `${path}.type`, message: `must be one of: ${LESSON_TYPES.join(', ')}` });
+  }
+
+  for (const [field, validateItem] of [['questions', validateQuestion], ['codingExercises', validateCodingExercise]]) {
+    const items = lesson[field];
+    if (items === undefined) continue;
+    if (!Array.isArray(items)) {
+      violations.push({ path: `${path}.${field}`, message: 'must be an array' });
+      continue;
+    }
+    checkUniqueIds(violations, items, `${path}.${field}`);
+    items.forEach((item, idx) => {
+      violations.push(...validateItem(item, `${path}.${field}[${idx}]`));
+    });
+  }
+
+  return violations;
+}
+
+// Relative paths only, without `..`, so a name can never point outside an assets folder
+export function isSafeAssetName(name) {
+  return typeof name === 'string'
+    && name.length > 0
+    && !name.startsWith('/')
+    && !name.includes('\\')
+    && name.split('/').every(segment => segment && segment !== '.' && segment !== '..');
+}
+
+const ASSET_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// Entries of course.assets, the images and other files stored with the course (see course-assets.js)
+function checkAssets(violations, assets) {
+  if (!Array.isArray(assets)) {
+    violations.push({ path: 'assets', message: 'must be an array' });
+    return;
+  }
+  const names = new Set();
+  assets.forEach((asset, idx) => {
+    const path = `assets[${idx}]`;
+    if (!asset || typeof asset !== 'object') {
+      violations.push({ path, message: 'must be an object' });
+      return;
+    }
+    if (!isSafeAssetName(asset.name)) {
+      violations.push({ path: `${path}.name`, message: 'must be a relative path without ".." segments' });
+    } else if (names.has(asset.name)) {
+      violations.push({ path: `${path}.name`, message: `duplicate name "${asset.name}"` });
+    }
+    names.add(asset.name);
+    checkString(violations, asset.contentType, `${path}.contentType`);
+    if (typeof asset.hash !== 'string' || !ASSET_HASH_PATTERN.test(asset.hash)) {
+      violations.push({ path: `${path}.hash`, message: 'must be a SHA-256 hex digest' });
+    }
+  });
+}
+
+const COMMIT_PATTERN = /^[0-9a-f]{40}([0-9a-f]{24})?$/;
+
+// course.repository, the git revision a course was built from (see source-repository.js)
+function checkRepository(violations, repository) {
+  if (!repository || typeof repository !== 'object' || Array.isArray(repository)) {
+    violations.push({ path: 'repository', message: 'must be an object' });
+    return;
+  }
+  checkString(violations, repository.path, 'repository.path');
+  checkString(violations, repository.ref, 'repository.ref');
+  if (repository.subdirectory !== null && !isSafeAssetName(repository.subdirectory)) {
+    violations.push({ path: 'repository.subdirectory', message: 'must be null or a relative path without ".." segments' });
+  }
+  if (typeof repository.commit !== 'string' || !COMMIT_PATTERN.test(repository.commit)) {
+    violations.push({ path: 'repository.commit', message: 'must be a full commit id' });
+  }
+}
+
+export function validateCourse(course) {
+  const violations = [];
+  if (!course || typeof course !== 'object') {
+    return [{ path: 'course', message: 'must be an object' }];
+  }
+
+  checkString(violations, course.title, 'title');
+  checkString(violations, course.description, 'description', { required: false });
+
+  if (!Array.isArray(course.lessons) || course.lessons.length === 0) {
+    violations.push({ path: 'lessons', message: 'must be a non-empty array' });
+    return violations;
+  }
+
+  checkUniqueIds(violations, course.lessons, 'lessons');
+  course.lessons.forEach((lesson, idx) => {
+    violations.push(...validateLesson(lesson, `lessons[${idx}]`));
+  });
+
+  // The flashcard deck is optional and generated separately from the lessons
+  if (course.flashcards !== undefined) {
+    if (!Array.isArray(course.flashcards)) {
+      violations.push({ path: 'flashcards', message: 'must be an array' });
+    } else {
+      checkUniqueIds(violations, course.flashcards, 'flashcards');
+      course.flashcards.forEach((card, idx) => {
+        violations.push(...validateFlashcard(card, `flashcards[${idx}]`));
+      });
+    }
+  }
+
+  if (course.assets !== undefined) {
+    checkAssets(violations, course.assets);
+  }
+
+  if (course.repository !== undefined) {
+    checkRepository(violations, course.repository);
+  }
+
+  return violations;
+}
+
+export function formatViolations(violations) {
+  return violations.map(({ path, message }) => `- ${path} ${message}`).join('\n');
+}
@@ -0,0 +1,152 @@
+import { createHash, randomUUID } from 'crypto';
+import { releaseWorkspace } from './upload-workspaces.js';
+
+// Incremental re-sync of a course against new source markdown.
+// Courses keep a snapshot of their sources ({ name, content, hash }); comparing it with
+// a fresh upload tells us which files were added, changed, or removed, and from the
+// lessons' sourceFiles which lessons need regenerating. Everything else is kept as is,
+// including admin edits.
+
+// Plans wait here between the author reviewing them and applying them
+const pendingSyncs = new Map();
+const PENDING_SYNC_TTL_MS = 60 * 60 * 1000;
+
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+// Front matter is hashed with the body, so a new title, order or lesson type counts as a change.
+// Files without front matter hash as before it was read.
+function hashSource({ content, frontMatter }) {
+  return hashContent(frontMatter ? `${JSON.stringify(frontMatter)}\n${content}` : content);
+}
+
+// The snapshot stored on a course as `sources`. Code summaries keep the names their module
+// exports, which regenerated exercises are checked against.
+export function snapshotSources(markdownFiles) {
+  return markdownFiles.map(({ name, content, frontMatter, symbols }) => ({
+    name,
+    content,
+    ...(frontMatter && { frontMatter }),
+    ...(symbols && { symbols }),
+    hash: hashSource({ content, frontMatter }),
+  }));
+}
+
+// Compare a stored snapshot with freshly read files, by file name and content hash.
+// Snapshots saved before hashes were recorded are hashed on the fly.
+export function diffSources(storedSources, markdownFiles) {
+  const previous = new Map((storedSources || []).map(source => [source.name, source.hash || hashContent(source.content || '')]));
+  const current = new Map(markdownFiles.map(file => [file.name, hashSource(file)]));
+
+  const changes = { added: [], changed: [], removed: [], unchanged: [] };
+  for (const [name, hash] of current) {
+    if (!previous.has(name)) changes.added.push(name);
+    else if (previous.get(name) !== hash) changes.changed.push(name);
+    else changes.unchanged.push(name);
+  }
+  for (const name of previous.keys()) {
+    if (!current.has(name)) changes.removed.push(name);
+  }
+  return changes;
+}
+
+// Compare the course's stored assets with freshly read ones, by name and content hash
+export function diffAssets(storedAssets, assets) {
+  const previous = new Map((storedAssets || []).map(asset => [asset.name, asset.hash]));
+  const current = new Map(assets.map(asset => [asset.name, asset.hash]));
+
+  const changes = { added: [], changed: [], removed: [] };
+  for (const [name, hash] of current) {
+    if (!previous.has(name)) changes.added.push(name);
+    else if (previous.get(name) !== hash) changes.changed.push(name);
+  }
+  for (const name of previous.keys()) {
+    if (!current.has(name)) changes.removed.push(name);
+  }
+  return changes;
+}
+
+// Decide what happens to each lesson:
+//   keep       - none of its source files changed; the stored lesson (with edits) is kept
+//   regenerate - a source file changed or was removed, and at least one still exists
+//   remove     - every source file it was written from is gone
+// Lessons without recorded sourceFiles drew on the whole upload, so any change affects them.
+// Added files that no lesson draws from become new lessons at the end of the course.
+// Asset changes never regenerate lessons; the stored assets are replaced when the plan is applied.
+export function planResync(course, markdownFiles, assets = []) {
+  const changes = diffSources(course.sources, markdownFiles);
+  const touched = new Set([...changes.changed, ...changes.removed]);
+  const removed = new Set(changes.removed);
+  const anyChange = changes.added.length + changes.changed.length + changes.removed.length > 0;
+
+  const lessons = (course.lessons || []).map(lesson => {
+    const sourceFiles = lesson.sourceFiles || [];
+    let action = 'keep';
+    let reason = 'Source files unchanged';
+
+    if (sourceFiles.length === 0) {
+      if (anyChange) {
+        action = 'regenerate';
+        reason = 'Lesson has no recorded source files, so it is rebuilt from the whole upload';
+      }
+    } else if (sourceFiles.every(name => removed.has(name))) {
+      action = 'remove';
+      reason = `Source ${sourceFiles.length === 1 ? 'file' : 'files'} removed: ${sourceFiles.join(', ')}`;
+    } else if (sourceFiles.some(name => touched.has(name))) {
+      action = 'regenerate';
+      reason = `Source changed: ${sourceFiles.filter(name => touched.has(name)).join(', ')}`;
+    }
+
+    return { id: lesson.id, title: lesson.title, sourceFiles, action, reason };
+  });
+
+  const assetChanges = diffAssets(course.assets, assets);
+  const anyAssetChange = assetChanges.added.length + assetChanges.changed.length + assetChanges.removed.length > 0;
+
+  return {
+    changes,
+    assetChanges,
+    lessons,
+    newSourceFiles: changes.added,
+    hasChanges: anyChange || anyAssetChange,
+  };
+}
+
+// Hold a reviewed plan and the files it was computed from until the author applies it.
+// Assets are kept as paths on disk and only read when the plan is applied, so the upload
+// workspace they sit in stays until then; whoever applies the plan releases it.
+export function createPendingSync(courseId, markdownFiles, plan, assets = [], repository = null, workspace = null) {
+  const sync = {
+    id: `sync-${randomUUID()}`,
+    courseId,
+    markdownFiles,
+    assets,
+    // The repository record, with the new commit, when the sources were read from git
+    repository,
+    workspace,
+    plan,
+    createdAt: Date.now(),
+  };
+  pendingSyncs.set(sync.id, sync);
+  return sync;
+}
+
+// A pending sync is used once; applying it removes it
+export function takePendingSync(syncId, courseId) {
+  const sync = pendingSyncs.get(syncId);
+  if (!sync || sync.courseId !== courseId) return null;
+  pendingSyncs.delete(syncId);
+  return sync;
+}
+
+// Drop plans the author never applied
+setInterval(() => {
+  const cutoff = Date.now() - PENDING_SYNC_TTL_MS;
+  for (const [id, sync] of pendingSyncs) {
+    if (sync.createdAt < cutoff) {
+      pendingSyncs.delete(id);
+      releaseWorkspace(sync.workspace);
+    }
+  }
+}, 10 * 60 * 1000).unref();
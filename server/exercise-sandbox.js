@@ -0,0 +1,175 @@
+// Running JavaScript coding exercises in the browser against their test cases. This one module
+// is the runner for both the course viewer (client/src/utils/exercises.js imports it) and the
+// standalone export (generateStandaloneApp in index.js embeds exerciseRunnerSource()), so
+// everything here runs in a browser, and the functions the export embeds only use each other.
+//
+// Each test case runs in an <iframe sandbox="allow-scripts"> of its own. The frame has an opaque
+// origin, so the code cannot reach the page, its storage or its cookies, and a
+// Content-Security-Policy that allows no network requests and no scripts from elsewhere, import()
+// included. Inside the frame the code runs in a Web Worker, so an endless loop never blocks a
+// page; the frame, and the worker with it, is removed after TEST_TIMEOUT_MS.
+// A test case's input is the argument list of the function the starter code declares, and its
+// expectedOutput is the value the function should return. Both are read as JavaScript where they
+// can be and as plain text otherwise; a function that returns nothing is judged by what it logs.
+
+export const TEST_TIMEOUT_MS = 3000;
+
+// Declarations the tests can call: function f, const f = function / arrow
+export const FUNCTION_PATTERN =
+  /^[ \t]*(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)|^[ \t]*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/m;
+
+const SANDBOX_POLICY = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'; worker-src data:";
+
+// The function the test cases call: the first one the starter code declares, or else the
+// first in the learner's code. Null leaves it to module.exports.
+export function exerciseFunctionName(exercise, code) {
+  for (const source of [exercise.starterCode, code]) {
+    const match = FUNCTION_PATTERN.exec(source || '');
+    if (match) return match[1] || match[2];
+  }
+  return null;
+}
+
+// The worker's whole source. It must not use anything from outside the function.
+export function testWorker() {
+  const format = (value) => {
+    if (typeof value === 'string') return value;
+    if (value === undefined) return 'undefined';
+    if (typeof value === 'function') return '[Function]';
+    try {
+      const json = JSON.stringify(value);
+      return json === undefined ? String(value) : json;
+    } catch {
+      return String(value);
+    }
+  };
+
+  const logs = [];
+  for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+    console[level] = (...args) => logs.push(args.map(format).join(' '));
+  }
+
+  self.onmessage = async (event) => {
+    const { code, functionName, input, expectedOutput } = event.data;
+    try {
+      const module = { exports: {} };
+      const body = code.replace(/^[ \t]*export\s+(default\s+)?/gm, '');
+      const lookup = functionName ? `typeof ${functionName} === 'function' ? ${functionName} : module.exports` : 'module.exports';
+      const target = new Function('module', 'exports', `${body}\n;return ${lookup};`)(module, module.exports);
+      const fn = typeof target === 'function' ? target : Object.values(target || {}).find(value => typeof value === 'function');
+      if (!fn) throw new Error(functionName ? `${functionName} is not defined` : 'Define a function for the tests to call');
+
+      let args;
+      try {
+        args = new Function(`return [${input || ''}];`)();
+      } catch {
+        args = [input];
+      }
+      const result = await fn(...args);
+
+      let expected;
+      try {
+        expected = new Function(`return (${expectedOutput});`)();
+      } catch {
+        expected = expectedOutput;
+      }
+      const actual = result === undefined && logs.length > 0 ? logs.join('\n') : result;
+      self.postMessage({
+        passed: format(actual).trim() === format(expected).trim(),
+        actual: format(actual),
+        logs,
+        error: null,
+      });
+    } catch (error) {
+      self.postMessage({
+        passed: false,
+        actual: null,
+        logs,
+        error: error instanceof Error ? `${error.name}: ${error.message}` : format(error),
+      });
+    }
+  };
+}
+
+// The sandboxed frame's whole source: runs the test case its page sends in a worker and passes
+// the result back up. It must not use anything from outside the function.
+export function sandboxFrame(workerSource) {
+  window.onmessage = (event) => {
+    if (event.source !== parent) return;
+    const worker = new Worker(`data:text/javascript,${encodeURIComponent(workerSource)}`);
+    worker.onmessage = (message) => parent.postMessage(message.data, '*');
+    // Errors thrown outside the call, such as from a timer the code set
+    worker.onerror = (error) => {
+      error.preventDefault();
+      parent.postMessage({ passed: false, actual: null, logs: [], error: error.message || 'The code failed' }, '*');
+    };
+    worker.postMessage(event.data);
+  };
+}
+
+// The srcdoc of a sandboxed frame. "<\/script>" is escaped so the export can embed this function
+// inside its own script tag.
+export function sandboxDocument() {
+  return `<!DOCTYPE html><meta http-equiv="Content-Security-Policy" content="${SANDBOX_POLICY}">`
+    + `<script>(${sandboxFrame})(${JSON.stringify(`(${testWorker})()`)});<\/script>`;
+}
+
+// Run one test case in a frame of its own. Results come from the learner's code, so only their
+// expected shape is kept: { passed, actual, logs, error }.
+export function runTestCase(code, functionName, testCase) {
+  return new Promise((resolve) => {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-scripts');
+    frame.style.display = 'none';
+    frame.srcdoc = sandboxDocument();
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+      frame.remove();
+      resolve({
+        passed: result.passed === true,
+        actual: typeof result.actual === 'string' ? result.actual : null,
+        logs: Array.isArray(result.logs) ? result.logs.map(String) : [],
+        error: result.error == null ? null : String(result.error),
+      });
+    };
+    const onMessage = (event) => {
+      if (event.source === frame.contentWindow) finish(event.data || {});
+    };
+    const timer = setTimeout(() => finish({
+      error: `Stopped after ${TEST_TIMEOUT_MS / 1000} seconds; check for a loop that never ends`,
+    }), TEST_TIMEOUT_MS);
+
+    window.addEventListener('message', onMessage);
+    frame.onload = () => frame.contentWindow.postMessage({
+      code,
+      functionName,
+      input: testCase.input,
+      expectedOutput: testCase.expectedOutput,
+    }, '*');
+    document.body.appendChild(frame);
+  });
+}
+
+// Run the learner's code against every test case of the exercise, one after another.
+// Resolves with [{ passed, actual, logs, error }] in test case order.
+export async function runExerciseTests(exercise, code) {
+  const functionName = exerciseFunctionName(exercise, code);
+  const results = [];
+  for (const testCase of exercise.testCases) {
+    results.push(await runTestCase(code, functionName, testCase));
+  }
+  return results;
+}
+
+// The runner as plain script for a page without modules, as the standalone export is.
+// Defines TEST_TIMEOUT_MS and the functions above under the same names.
+export function exerciseRunnerSource() {
+  return [
+    `const TEST_TIMEOUT_MS = ${TEST_TIMEOUT_MS};`,
+    `const FUNCTION_PATTERN = ${FUNCTION_PATTERN};`,
+    `const SANDBOX_POLICY = ${JSON.stringify(SANDBOX_POLICY)};`,
+    ...[exerciseFunctionName, testWorker, sandboxFrame, sandboxDocument, runTestCase, runExerciseTests].map(String),
+  ].join('\n\n');
+}
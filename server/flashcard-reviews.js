@@ -0,0 +1,114 @@
+import { supabase } from './supabase.js';
+
+// Spaced-repetition review state for flashcards, stored per learner in flashcard_reviews.
+// Scheduling follows SM-2: each review is rated 0-5, ratings below 3 start the card over,
+// and the interval grows by the card's ease factor, which itself moves with each rating.
+
+export const MIN_REVIEW_QUALITY = 0;
+export const MAX_REVIEW_QUALITY = 5;
+
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ReviewQualityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReviewQualityError';
+  }
+}
+
+export function parseReviewQuality(value) {
+  const quality = Number(value);
+  if (value === null || value === '' || !Number.isInteger(quality) || quality < MIN_REVIEW_QUALITY || quality > MAX_REVIEW_QUALITY) {
+    throw new ReviewQualityError(`Quality must be a whole number from ${MIN_REVIEW_QUALITY} to ${MAX_REVIEW_QUALITY}`);
+  }
+  return quality;
+}
+
+// Next state for a card after a review; previous is null for a card never reviewed
+export function scheduleReview(previous, quality, now = new Date()) {
+  const easeFactor = previous?.easeFactor ?? DEFAULT_EASE_FACTOR;
+  let repetitions = previous?.repetitions ?? 0;
+  let interval;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions++;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round((previous?.interval ?? 1) * easeFactor);
+  }
+
+  const nextEaseFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+  return {
+    easeFactor: Math.max(MIN_EASE_FACTOR, Math.round(nextEaseFactor * 100) / 100),
+    interval,
+    repetitions,
+    dueAt: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    lastReviewedAt: now.toISOString(),
+    reviewCount: (previous?.reviewCount ?? 0) + 1,
+  };
+}
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in your .env file');
+  }
+}
+
+const fromRow = (row) => ({
+  easeFactor: Number(row.ease_factor),
+  interval: row.interval_days,
+  repetitions: row.repetitions,
+  dueAt: row.due_at,
+  lastReviewedAt: row.last_reviewed_at,
+  reviewCount: row.review_count,
+});
+
+// A learner's review state for one course, keyed by card id. Cards never reviewed are absent.
+export async function getFlashcardReviews(courseId, userId) {
+  requireSupabase();
+  const { data, error } = await supabase
+    .from('flashcard_reviews')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('course_id', courseId);
+
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(row => [row.card_id, fromRow(row)]));
+}
+
+export async function recordFlashcardReview({ courseId, userId, cardId, quality }) {
+  requireSupabase();
+  const { data: existing, error: fetchError } = await supabase
+    .from('flashcard_reviews')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('course_id', courseId)
+    .eq('card_id', cardId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const review = scheduleReview(existing ? fromRow(existing) : null, quality);
+  const { error } = await supabase
+    .from('flashcard_reviews')
+    .upsert({
+      user_id: userId,
+      course_id: courseId,
+      card_id: cardId,
+      ease_factor: review.easeFactor,
+      interval_days: review.interval,
+      repetitions: review.repetitions,
+      due_at: review.dueAt,
+      last_reviewed_at: review.lastReviewedAt,
+      review_count: review.reviewCount,
+    });
+
+  if (error) throw error;
+  return review;
+}
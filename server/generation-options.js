@@ -0,0 +1,207 @@
+import { QUESTION_TYPES } from './course-schema.js';
+
+// Author-facing settings that shape the generation prompts.
+// They are stored on each course as `generationOptions` so later regenerations reuse them.
+// A null value means "let the model decide".
+
+export const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+export const EXERCISE_LANGUAGES = ['javascript', 'typescript', 'python', 'java', 'cpp', 'c', 'go', 'rust'];
+// documents: prose (markdown and the formats converted to it); code: also JavaScript,
+// TypeScript and Python modules, read as summaries of their exports (source-code.js)
+export const SOURCE_MODES = ['documents', 'code'];
+
+const MAX_LESSON_COUNT = 30;
+const MAX_QUESTIONS_PER_LESSON = 10;
+const MAX_AUDIENCE_LENGTH = 200;
+
+export const DEFAULT_GENERATION_OPTIONS = {
+  audience: null,
+  difficulty: null,
+  lessonCount: null,
+  questionsPerLesson: null,
+  questionTypes: null,
+  includeCodingExercises: true,
+  exerciseLanguage: null,
+  sourceMode: 'documents',
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+function parseInteger(value, path, min, max, violations) {
+  if (isBlank(value)) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    violations.push({ path, message: `must be a whole number from ${min} to ${max}` });
+    return null;
+  }
+  return number;
+}
+
+// Turn request input (JSON body or a multipart string field) into clean options.
+// Returns { options, violations } in the same violation format as the course schema.
+export function parseGenerationOptions(raw) {
+  const violations = [];
+  let input = raw;
+
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      return { options: null, violations: [{ path: 'options', message: 'must be valid JSON' }] };
+    }
+  }
+  if (isBlank(input)) {
+    return { options: { ...DEFAULT_GENERATION_OPTIONS }, violations };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { options: null, violations: [{ path: 'options', message: 'must be an object' }] };
+  }
+
+  const options = { ...DEFAULT_GENERATION_OPTIONS };
+
+  if (!isBlank(input.audience)) {
+    if (typeof input.audience !== 'string' || input.audience.length > MAX_AUDIENCE_LENGTH) {
+      violations.push({ path: 'options.audience', message: `must be text of at most ${MAX_AUDIENCE_LENGTH} characters` });
+    } else {
+      options.audience = input.audience.trim() || null;
+    }
+  }
+
+  if (!isBlank(input.difficulty)) {
+    if (!DIFFICULTY_LEVELS.includes(input.difficulty)) {
+      violations.push({ path: 'options.difficulty', message: `must be one of: ${DIFFICULTY_LEVELS.join(', ')}` });
+    } else {
+      options.difficulty = input.difficulty;
+    }
+  }
+
+  options.lessonCount = parseInteger(input.lessonCount, 'options.lessonCount', 1, MAX_LESSON_COUNT, violations);
+  options.questionsPerLesson = parseInteger(input.questionsPerLesson, 'options.questionsPerLesson', 0, MAX_QUESTIONS_PER_LESSON, violations);
+
+  // An empty list means the same as none: any type
+  if (!isBlank(input.questionTypes)) {
+    const types = input.questionTypes;
+    if (!Array.isArray(types) || types.some(type => !QUESTION_TYPES.includes(type))) {
+      violations.push({ path: 'options.questionTypes', message: `must be a list of: ${QUESTION_TYPES.join(', ')}` });
+    } else if (types.length > 0) {
+      options.questionTypes = [...new Set(types)];
+    }
+  }
+
+  if (!isBlank(input.includeCodingExercises)) {
+    options.includeCodingExercises = input.includeCodingExercises === true || input.includeCodingExercises === 'true';
+  }
+
+  if (!isBlank(input.exerciseLanguage)) {
+    if (!EXERCISE_LANGUAGES.includes(input.exerciseLanguage)) {
+      violations.push({ path: 'options.exerciseLanguage', message: `must be one of: ${EXERCISE_LANGUAGES.join(', ')}` });
+    } else {
+      options.exerciseLanguage = input.exerciseLanguage;
+    }
+  }
+
+  if (!isBlank(input.sourceMode)) {
+    if (!SOURCE_MODES.includes(input.sourceMode)) {
+      violations.push({ path: 'options.sourceMode', message: `must be one of: ${SOURCE_MODES.join(', ')}` });
+    } else {
+      options.sourceMode = input.sourceMode;
+    }
+  }
+
+  return { options: violations.length > 0 ? null : options, violations };
+}
+
+// Prompt lines describing who the course is for; shared by every pass
+export function describeAudience(options = DEFAULT_GENERATION_OPTIONS) {
+  const lines = [];
+  if (options.audience) {
+    lines.push(`- Target audience: ${options.audience}`);
+  }
+  if (options.difficulty) {
+    lines.push(`- Difficulty level: ${options.difficulty}; pitch explanations, questions and exercises accordingly`);
+  }
+  return lines;
+}
+
+const isCodeSource = (options) => options.sourceMode === 'code';
+
+// Prompt lines for the outline pass
+export function describeOutlineRequirements(options = DEFAULT_GENERATION_OPTIONS) {
+  return [
+    options.lessonCount
+      ? `- Create exactly ${options.lessonCount} lesson(s) that together cover all major topics from the markdown`
+      : '- Create multiple lessons covering all major topics from the markdown',
+    ...(isCodeSource(options)
+      ? ['- The sources summarise a codebase, one module per file: its doc comment, its exports, and each exported function and class with its code. Plan lessons around what the code does and how the modules work together, not one lesson per file']
+      : []),
+    ...describeAudience(options),
+  ];
+}
+
+// Prompt line for which question types to write
+export function describeQuestionTypes(options = DEFAULT_GENERATION_OPTIONS) {
+  const types = options.questionTypes;
+  if (types?.length === 1) {
+    return `- Every question must have "type": "${types[0]}"`;
+  }
+  return types?.length
+    ? `- Use only these question types, mixing them across the lesson: ${types.join(', ')}`
+    : `- Mix question types (${QUESTION_TYPES.join(', ')}), choosing the type that best tests each point`;
+}
+
+// With code sources, exercises have to use the code itself (checked in course-generator.js)
+export function describeCodeExercises(options = DEFAULT_GENERATION_OPTIONS) {
+  return isCodeSource(options)
+    ? ['- Every coding exercise must use functions or classes from the sources by their exact names: call them, extend them, or reimplement one from its description. Do not invent functions the sources do not have']
+    : [];
+}
+
+// How JavaScript exercises must be written for learners to run their test cases in the
+// browser (exercise-sandbox.js); nothing when exercises are in another language
+export function describeExerciseTests(options = DEFAULT_GENERATION_OPTIONS) {
+  if (options.exerciseLanguage && options.exerciseLanguage !== 'javascript') return [];
+  return ['- Learners run JavaScript exercises against their test cases in the browser: "starterCode" declares the function to complete, each test case\'s "input" is that function\'s arguments as comma-separated JavaScript values, and "expectedOutput" is the value it returns, written as a JavaScript value'];
+}
+
+// Prompt lines for each lesson's questions and exercises. A lesson type from the source
+// front matter overrides the course settings where they conflict: overviews have no questions
+// or exercises, quizzes no exercises, and labs always have exercises.
+export function describeLessonRequirements(options = DEFAULT_GENERATION_OPTIONS, lessonType = 'lesson') {
+  const lines = [];
+
+  if (lessonType === 'overview') {
+    lines.push('- This is an overview lesson: introduce the topics the following lessons cover, without going into detail');
+  } else if (lessonType === 'quiz') {
+    lines.push('- This is a quiz lesson: keep "content" to a short recap, and test the material with the questions');
+  } else if (lessonType === 'lab') {
+    lines.push('- This is a hands-on lab: keep "content" to the background and instructions needed, and put the weight on the coding exercises');
+  }
+
+  if (options.questionsPerLesson === 0 || lessonType === 'overview') {
+    lines.push('- Do not include any questions; return an empty "questions" array');
+  } else {
+    lines.push(options.questionsPerLesson
+      ? `- Include exactly ${options.questionsPerLesson} question(s)`
+      : lessonType === 'quiz' ? '- Include at least 5 questions' : '- Include at least 2-3 questions');
+    lines.push(describeQuestionTypes(options));
+  }
+
+  if (isCodeSource(options)) {
+    lines.push('- The sources summarise modules of a codebase. Explain how the code works and how to use it, naming modules, functions and classes exactly as they appear and showing real calls');
+  }
+
+  const language = options.exerciseLanguage
+    ? `, written in ${options.exerciseLanguage} (set "language" to "${options.exerciseLanguage}")`
+    : isCodeSource(options) ? ', written in the language of the code' : '';
+  if (lessonType === 'overview' || lessonType === 'quiz' || (!options.includeCodingExercises && lessonType !== 'lab')) {
+    lines.push('- Do not include coding exercises; return an empty "codingExercises" array');
+  } else {
+    lines.push(lessonType === 'lab'
+      ? `- Include at least 2 coding exercises${language}`
+      : `- Include coding exercises where appropriate${language}`);
+    lines.push(...describeExerciseTests(options));
+    lines.push(...describeCodeExercises(options));
+  }
+
+  return [...lines, ...describeAudience(options)];
+}
@@ -1,4 +1,5 @@
 import express from 'express';
+import { randomUUID } from 'crypto';
 import cors from 'cors';
 import multer from 'multer';
 import fs from 'fs/promises';
@@ -9,6 +10,71 @@ import archiver from 'archiver';
 import { marked } from 'marked';
 import dotenv from 'dotenv';
 import { supabase } from './supabase.js';
+import {
+  generateCourseContent,
+  generateLessonFlashcards,
+  gradeFreeResponse,
+  previewPromptTemplate,
+  regenerateCourseItem,
+  resyncCourseContent,
+  verifyCourseGrounding,
+  verifyLessonGrounding,
+  REGENERATION_TARGETS,
+} from './course-generator.js';
+import { createPendingSync, planResync, takePendingSync } from './course-sync.js';
+import { readSourceTree } from './source-structure.js';
+import { SourceArchiveError, extractSourceArchive, isArchiveName, mb } from './source-archive.js';
+import { exerciseRunnerSource } from './exercise-sandbox.js';
+import {
+  MAX_UPLOAD_BYTES,
+  MAX_UPLOAD_FILES,
+  MAX_UPLOAD_FILE_BYTES,
+  SourceAccessError,
+  checkUploadedFiles,
+  resolveSourcePath,
+} from './source-access.js';
+import {
+  SourceRepositoryError,
+  checkoutRepositorySources,
+  countCommitsBehind,
+  listRepositoryRefs,
+  parseRepositorySource,
+  resolveCommit,
+} from './source-repository.js';
+import { MAX_ASSET_BYTES, readCourseAsset, removeUnusedCourseAssets, storeCourseAssets } from './course-assets.js';
+import { CourseValidationError, GRADED_QUESTION_TYPES, isSafeAssetName, validateCourse } from './course-schema.js';
+import { parseGenerationOptions } from './generation-options.js';
+import { getLLMProvider } from './llm-provider.js';
+import {
+  TEMPLATE_VARIABLES,
+  getPromptTemplate,
+  listPromptTemplates,
+  listPromptTemplateVersions,
+  savePromptTemplateVersion,
+  validatePromptTemplate,
+} from './prompt-templates.js';
+import { createJob, getJob, getJobLessons, runJob, subscribeToJob } from './jobs.js';
+import { UPLOADS_DIR, createWorkspace, releaseWorkspace, sweepWorkspaces } from './upload-workspaces.js';
+import {
+  ReviewQualityError,
+  getFlashcardReviews,
+  parseReviewQuality,
+  recordFlashcardReview,
+} from './flashcard-reviews.js';
+import {
+  CacheModeError,
+  clearResponseCache,
+  countCachedResponses,
+  parseCacheMode,
+  withCacheMode,
+} from './response-cache.js';
+import {
+  BudgetExceededError,
+  checkBudget,
+  getUsageSummary,
+  saveBudget,
+  withUsageContext,
+} from './usage-ledger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,26 +89,74 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Grok API configuration
-const GROK_API_URL = 'https://api.x.ai/v1/chat/completions';
-const GROK_API_KEY = process.env.GROK_API_KEY;
-
-// Configure multer for file uploads
+// Configure multer for file uploads. Files arrive in the request's workspace under a random
+// name and are only given their own (cleaned-up) name once checked, in storeUploadedFiles.
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, 'uploads');
-    cb(null, uploadDir);
+    cb(null, req.workspace);
   },
   filename: (req, file, cb) => {
-    cb(null, file.originalname);
+    cb(null, `incoming-${randomUUID()}`);
   },
 });
 
-const upload = multer({ storage });
+const upload = multer({
+  storage,
+  limits: { files: MAX_UPLOAD_FILES, fileSize: MAX_UPLOAD_FILE_BYTES },
+});
+
+// Part headers and form fields around the files
+const MULTIPART_ALLOWANCE = 1024 * 1024;
+
+// Receive a request's source files into a workspace of its own (upload-workspaces.js),
+// answering uploads over the limits with a 4xx the UI can show. The workspace is released
+// once the route has answered, unless the route took it over with claimWorkspace.
+const receiveSourceFiles = (kind) => async (req, res, next) => {
+  if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES + MULTIPART_ALLOWANCE) {
+    return res.status(413).json({ error: `The files together are larger than ${mb(MAX_UPLOAD_BYTES)}; upload fewer at a time` });
+  }
+  try {
+    req.workspace = await createWorkspace(kind);
+  } catch (error) {
+    return next(error);
+  }
+  res.on('close', () => releaseWorkspace(req.workspace));
+  upload.array('files')(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) return next(error);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Each file must be ${mb(MAX_UPLOAD_FILE_BYTES)} or smaller` });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(413).json({ error: `Upload at most ${MAX_UPLOAD_FILES} files at a time` });
+    }
+    res.status(400).json({ error: `Upload rejected: ${error.message}` });
+  });
+};
+
+// Keep the request's workspace past the response, for a job or a pending re-sync that
+// reads from it later and releases it when done
+function claimWorkspace(req) {
+  const workspace = req.workspace;
+  req.workspace = null;
+  return workspace;
+}
+
+// Answer errors about sources the server will not read with their 4xx; false for other errors
+function rejectSource(res, error) {
+  if (error instanceof SourceAccessError) {
+    res.status(error.status).json({ error: error.message });
+    return true;
+  }
+  if (error instanceof SourceArchiveError || error instanceof SourceRepositoryError) {
+    res.status(400).json({ error: error.message });
+    return true;
+  }
+  return false;
+}
 
 // Ensure uploads directory exists
 const ensureUploadsDir = async () => {
-  const uploadsDir = path.join(__dirname, 'uploads');
+  const uploadsDir = UPLOADS_DIR;
   const coursesDir = path.join(__dirname, 'courses');
   const exportsDir = path.join(__dirname, 'exports');
   try {
@@ -56,7 +170,8 @@ const ensureUploadsDir = async () => {
   }
 };
 
-ensureUploadsDir().catch(err => {
+// Uploads left from before a restart are no longer in use
+ensureUploadsDir().then(sweepWorkspaces).catch(err => {
   console.error('Failed to initialize directories:', err);
   process.exit(1);
 });
@@ -68,342 +183,72 @@ function checkSupabase() {
   }
 }
 
-// Read all markdown files from a directory
-async function readMarkdownFiles(dirPath) {
-  const files = await fs.readdir(dirPath);
-  const markdownFiles = [];
-  
-  for (const file of files) {
-    const filePath = path.join(dirPath, file);
-    const stat = await fs.stat(filePath);
-    
-    if (stat.isDirectory()) {
-      const subFiles = await readMarkdownFiles(filePath);
-      markdownFiles.push(...subFiles);
-    } else if (file.endsWith('.md')) {
-      const content = await fs.readFile(filePath, 'utf-8');
-      markdownFiles.push({
-        name: file,
-        path: filePath,
-        content: content,
-      });
+// Who a request is made for, as entered in the client; used for per-user usage and budgets
+function requestUser(req) {
+  const name = (req.get('X-User-Name') || '').trim().slice(0, 100);
+  return name || 'anonymous';
+}
+
+// Reject requests that would call the model once this month's budget is spent
+async function requireBudget(req, res, next) {
+  try {
+    await checkBudget(requestUser(req));
+    next();
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(402).json({ error: error.message, budget: error.budget });
     }
+    console.error('Error checking generation budget:', error);
+    res.status(500).json({ error: 'Error checking generation budget', details: error.message });
   }
-  
-  return markdownFiles;
 }
 
-// Extract and parse JSON from Grok API response
-function extractAndParseJSON(content, message) {
-  let jsonContent = content.trim();
-  
-  // Try to extract from ```json code block (most common case)
-  const jsonBlockMatch = jsonContent.match(/```json\s*\n([\s\S]*?)\n```/);
-  if (jsonBlockMatch) {
-    jsonContent = jsonBlockMatch[1].trim();
-    console.log('Extracted JSON from markdown code block (```json)');
-  } else {
-    // Try plain code block
-    const codeBlockMatch = jsonContent.match(/```\s*\n([\s\S]*?)\n```/);
-    if (codeBlockMatch) {
-      jsonContent = codeBlockMatch[1].trim();
-      console.log('Extracted JSON from code block (```)');
-    } else {
-      // Try to find JSON object directly
-      const firstBrace = jsonContent.indexOf('{');
-      if (firstBrace !== -1) {
-        let braceCount = 0;
-        let jsonEnd = firstBrace;
-        let inString = false;
-        let escapeNext = false;
-        
-        for (let i = firstBrace; i < jsonContent.length; i++) {
-          const char = jsonContent[i];
-          
-          // Handle string escaping
-          if (escapeNext) {
-            escapeNext = false;
-            continue;
-          }
-          if (char === '\\') {
-            escapeNext = true;
-            continue;
-          }
-          if (char === '"') {
-            inString = !inString;
-            continue;
-          }
-          
-          // Only count braces when not in a string
-          if (!inString) {
-            if (char === '{') braceCount++;
-            if (char === '}') braceCount--;
-            if (braceCount === 0) {
-              jsonEnd = i + 1;
-              break;
-            }
-          }
-        }
-        
-        // Check if we found a complete JSON object
-        if (braceCount === 0) {
-          jsonContent = jsonContent.substring(firstBrace, jsonEnd);
-          console.log('Extracted JSON object directly');
-        } else {
-          // JSON appears to be incomplete/truncated
-          console.warn(`⚠️ WARNING: JSON appears incomplete. Brace count: ${braceCount}`);
-          console.warn('This likely means the response was truncated');
-          jsonContent = jsonContent.substring(firstBrace);
-          console.log('Using partial JSON from first brace to end');
-        }
-      } else {
-        console.warn('Could not find JSON in response, using full content');
+// Follow the response cache mode chosen for a request: 'use', 'bypass' or 'refresh'
+function responseCacheMode(defaultMode = 'use') {
+  return (req, res, next) => {
+    let mode;
+    try {
+      mode = parseCacheMode(req.body?.cache, defaultMode);
+    } catch (error) {
+      if (error instanceof CacheModeError) {
+        return res.status(400).json({ error: error.message });
       }
+      throw error;
     }
-  }
-  
-  // Clean up the JSON content
-  jsonContent = jsonContent.trim();
-  
-  // Validate JSON structure before parsing
-  if (!jsonContent.startsWith('{')) {
-    console.warn('⚠️ WARNING: Extracted content does not start with {');
-    const firstBrace = jsonContent.indexOf('{');
-    if (firstBrace !== -1) {
-      jsonContent = jsonContent.substring(firstBrace);
-      console.log('Found { at position', firstBrace, '- using content from there');
-    }
-  }
-  
-  if (!jsonContent.endsWith('}')) {
-    console.warn('⚠️ WARNING: Extracted content does not end with }');
-    const lastBrace = jsonContent.lastIndexOf('}');
-    if (lastBrace !== -1 && lastBrace > 0) {
-      jsonContent = jsonContent.substring(0, lastBrace + 1);
-      console.log('Found } at position', lastBrace, '- using content up to there');
-    }
-  }
-  
-  // Check if JSON looks incomplete
-  const openBraces = (jsonContent.match(/{/g) || []).length;
-  const closeBraces = (jsonContent.match(/}/g) || []).length;
-  if (openBraces !== closeBraces) {
-    console.warn(`⚠️ WARNING: JSON brace mismatch! Open: ${openBraces}, Close: ${closeBraces}`);
-    console.warn('This indicates the JSON is likely incomplete/truncated');
-  }
-  
-  // Final validation
-  if (jsonContent.length === 0) {
-    throw new Error('No JSON content extracted from API response');
-  }
-  
-  return jsonContent;
+    withCacheMode(mode, next);
+  };
 }
 
-// Generate course content using Grok
-async function generateCourseContent(markdownFiles) {
-  if (!GROK_API_KEY) {
-    throw new Error('GROK_API_KEY is not set in environment variables');
-  }
-
-  const combinedContent = markdownFiles
-    .map(file => `# ${file.name}\n\n${file.content}`)
-    .join('\n\n---\n\n');
-
-  // Log content size for debugging
-  const contentSize = Buffer.byteLength(combinedContent, 'utf8');
-  console.log(`Combined content size: ${contentSize} bytes (~${Math.round(contentSize / 4)} tokens estimated)`);
-  
-  if (contentSize > 1000000) { // ~1MB
-    console.warn('Content is very large, may hit token limits');
+// Read all source files under a directory as markdown, in the order and folders set by their
+// authors, together with the images and other assets beside them. sourceMode is the course's
+// generation option: `code` also reads source code (see source-structure.js).
+async function readCourseSources(dirPath, sourceMode) {
+  const { files, assets, conversions, excluded, skippedAssets } = await readSourceTree(dirPath, { mode: sourceMode });
+  if (excluded.length > 0) {
+    console.log(`Left out by front matter: ${excluded.join(', ')}`);
   }
-
-  const prompt = `You are an expert course creator. Based on the following markdown content, create an interactive course.
-
-CRITICAL: You MUST return ONLY valid JSON. Do not include markdown code blocks, explanations, or any text before or after the JSON. Return ONLY the JSON object starting with { and ending with }.
-
-Return a JSON object with this EXACT structure:
-{
-  "title": "Course Title",
-  "description": "Course description",
-  "lessons": [
-    {
-      "id": "lesson-1",
-      "title": "Lesson Title",
-      "content": "Lesson explanation in markdown format",
-      "questions": [
-        {
-          "id": "q1",
-          "type": "multiple-choice",
-          "question": "Question text",
-          "options": ["Option 1", "Option 2", "Option 3", "Option 4"],
-          "correctAnswer": 0,
-          "explanation": "Explanation of the correct answer"
-        }
-      ],
-      "codingExercises": [
-        {
-          "id": "code1",
-          "title": "Exercise Title",
-          "description": "Exercise description",
-          "starterCode": "// Your code here",
-          "language": "javascript",
-          "testCases": [
-            {
-              "input": "example input",
-              "expectedOutput": "expected output"
-            }
-          ],
-          "solution": "// Solution code"
-        }
-      ]
-    }
-  ]
+  return {
+    markdownFiles: files,
+    assets,
+    conversions,
+    warnings: skippedAssets.map(name => `Left out ${name}: assets are limited to ${MAX_ASSET_BYTES / (1024 * 1024)} MB`),
+  };
 }
 
-Requirements:
-- Create multiple lessons covering all major topics from the markdown
-- Each lesson should have at least 2-3 multiple choice questions
-- Include coding exercises where appropriate
-- Ensure all JSON is valid and properly formatted
-- Return ONLY the JSON object, nothing else`;
-
-  try {
-    console.log('Calling Grok API...');
-    const response = await fetch(GROK_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROK_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'grok-4-1-fast-reasoning',
-        max_tokens: 16000,
-        messages: [
-          {
-            role: 'user',
-            content: `${prompt}\n\nMarkdown Content:\n\n${combinedContent}`,
-          },
-        ],
-      }),
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`Grok API error (${response.status}): ${errorData.error?.message || response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    // Log API response metadata
-    console.log('API Response metadata:', {
-      finish_reason: data.choices?.[0]?.finish_reason,
-      model: data.model,
-      usage: data.usage
-    });
-
-    // Check if response was truncated
-    if (data.choices?.[0]?.finish_reason === 'length') {
-      console.warn('⚠️ WARNING: Response was truncated due to max_tokens limit!');
-      console.warn('Consider increasing max_tokens or reducing input size');
-    }
-
-    if (!data.choices || data.choices.length === 0 || !data.choices[0].message) {
-      throw new Error('Empty response from Grok API');
-    }
-
-    // Extract text content from the response
-    const content = data.choices[0].message.content;
-
-    if (!content) {
-      throw new Error('No text content found in Grok API response');
-    }
-
-    console.log('Received response from Grok API, length:', content.length);
-    
-    // Save raw response for debugging
-    const rawResponsePath = path.join(__dirname, 'debug-raw-response.txt');
-    await fs.writeFile(rawResponsePath, content, 'utf-8');
-    console.log(`Raw response saved to: ${rawResponsePath}`);
-    
-    // Extract JSON from the response using shared function
-    const jsonContent = extractAndParseJSON(content, data);
-    
-    // Log extracted JSON info for debugging
-    console.log('Extracted JSON length:', jsonContent.length);
-    console.log('First 100 chars:', jsonContent.substring(0, 100));
-    console.log('Last 100 chars:', jsonContent.substring(Math.max(0, jsonContent.length - 100)));
-
-    try {
-      const parsed = JSON.parse(jsonContent);
-      console.log('Successfully parsed JSON response');
-      return parsed;
-    } catch (parseError) {
-      console.error('❌ Failed to parse JSON:', parseError.message);
-      console.error('JSON content length:', jsonContent.length);
-      console.error('JSON content (first 500 chars):', jsonContent.substring(0, 500));
-      console.error('JSON content (last 500 chars):', jsonContent.substring(Math.max(0, jsonContent.length - 500)));
-      
-      // Check if error is due to incomplete JSON
-      const isIncompleteError = parseError.message.includes('Unexpected end of JSON input') || 
-                                parseError.message.includes('end of data');
-      
-      if (isIncompleteError) {
-        console.error('🔍 DIAGNOSIS: JSON appears to be incomplete/truncated');
-        console.error('Possible causes:');
-        console.error('  1. Response hit max_tokens limit (currently 16000)');
-        console.error('  2. API response was cut off mid-stream');
-        console.error('  3. JSON extraction logic missed part of the response');
-        console.error('');
-        console.error('💡 SUGGESTIONS:');
-        console.error('  - Check if stop_reason was "max_tokens" (see logs above)');
-        console.error('  - Consider increasing max_tokens or reducing input size');
-        console.error('  - Check the raw response file for the full content');
-      }
-      
-      // Extract error position from error message if available
-      const positionMatch = parseError.message.match(/position (\d+)/);
-      if (positionMatch) {
-        const errorPos = parseInt(positionMatch[1]);
-        const start = Math.max(0, errorPos - 200);
-        const end = Math.min(jsonContent.length, errorPos + 200);
-        console.error(`JSON content around error position ${errorPos}:`, jsonContent.substring(start, end));
-        console.error(`Character at error position:`, jsonContent[errorPos] || '(end of string)');
-      }
-      
-      // Log the extracted JSON content to a file for debugging
-      const debugPath = path.join(__dirname, 'debug-json-response.json');
-      await fs.writeFile(debugPath, jsonContent, 'utf-8');
-      console.error(`Extracted JSON content saved to: ${debugPath}`);
-      
-      // Also save a summary file
-      const summaryPath = path.join(__dirname, 'debug-error-summary.json');
-      await fs.writeFile(summaryPath, JSON.stringify({
-        error: parseError.message,
-        jsonLength: jsonContent.length,
-        firstChars: jsonContent.substring(0, 200),
-        lastChars: jsonContent.substring(Math.max(0, jsonContent.length - 200)),
-        stopReason: message.stop_reason,
-        usage: message.usage
-      }, null, 2), 'utf-8');
-      console.error(`Error summary saved to: ${summaryPath}`);
-      
-      throw new Error(`Failed to parse JSON response from Grok: ${parseError.message}. ${isIncompleteError ? 'Response appears to be truncated - check logs for details.' : ''}`);
-    }
-  } catch (error) {
-    console.error('Error generating course:', error);
-    // Handle Grok API errors properly
-    if (error.status || error.statusCode) {
-      const status = error.status || error.statusCode;
-      const message = error.message || 'Unknown error';
-      throw new Error(`Grok API error (${status}): ${message}`);
-    }
-    // Re-throw if it's already our custom error
-    if (error.message && (error.message.includes('Grok API') || error.message.includes('Empty response') || error.message.includes('No text content'))) {
-      throw error;
-    }
-    throw error;
+// Read a git repository's sources at its ref into a workspace, together with the record of the
+// commit they came from. The repository must be inside SOURCE_ROOTS, checked on every read.
+// A course's stored repository is checked like request input before git sees its ref.
+async function readRepositorySources(source, sourceMode, workspace) {
+  const { repository, violations } = parseRepositorySource(source);
+  if (violations.length > 0) {
+    throw new CourseValidationError('Invalid repository', violations);
   }
+  await resolveSourcePath(repository.path);
+  const checkoutDir = path.join(workspace, 'repository');
+  const checkout = await checkoutRepositorySources(repository, checkoutDir);
+  console.log(`Reading ${repository.path} at ${repository.ref} (${checkout.repository.commit})`);
+  const sources = await readCourseSources(checkoutDir, sourceMode);
+  return { ...sources, repository: checkout.repository, warnings: [...checkout.warnings, ...sources.warnings] };
 }
 
 // Test endpoint to verify storage connectivity
@@ -440,13 +285,9 @@ app.get('/api/test-storage', async (req, res) => {
   }
 });
 
-// Test endpoint to validate API response and parsing
-app.post('/api/test-grok', async (req, res) => {
+// Test endpoint to validate API response and parsing with the configured LLM provider
+app.post(['/api/test-llm', '/api/test-grok'], async (req, res) => {
   try {
-    if (!GROK_API_KEY) {
-      return res.status(500).json({ error: 'GROK_API_KEY is not set' });
-    }
-
     // Use minimal test content
     const testContent = `# Variables in JavaScript
 
@@ -486,46 +327,29 @@ Return a JSON object with this EXACT structure:
 Markdown Content:
 ${testContent}`;
 
-    console.log('🧪 TEST: Making small API call to Grok...');
+    const provider = getLLMProvider();
+    console.log(`🧪 TEST: Making small API call to ${provider.name}...`);
     console.log('Test content length:', testContent.length);
     console.log('Prompt length:', prompt.length);
 
-    const response = await fetch(GROK_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROK_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'grok-4-1-fast-reasoning',
-        max_tokens: 4000, // Small limit for testing
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-      }),
+    const result = await provider.complete({
+      prompt,
+      maxTokens: 4000, // Small limit for testing
+      label: 'test',
     });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`Grok API error (${response.status}): ${errorData.error?.message || response.statusText}`);
-    }
-
-    const data = await response.json();
-
     // Collect all response data
     const responseData = {
-      finish_reason: data.choices?.[0]?.finish_reason,
-      model: data.model,
-      usage: data.usage,
+      provider: provider.name,
+      finish_reason: result.finishReason,
+      model: result.model,
+      usage: result.usage,
     };
 
     console.log('📊 API Response metadata:', JSON.stringify(responseData, null, 2));
 
     // Extract text content
-    const rawContent = data.choices?.[0]?.message?.content || '';
+    const rawContent = result.content;
 
     console.log('📝 Raw response length:', rawContent.length);
     console.log('📝 Raw response (first 500 chars):', rawContent.substring(0, 500));
@@ -596,7 +420,7 @@ ${testContent}`;
       console.error(`Brace count - Open: ${openBraces}, Close: ${closeBraces}`);
       
       // Check if truncated
-      if (data.choices?.[0]?.finish_reason === 'length') {
+      if (result.finishReason === 'length') {
         console.error('🔴 Response was truncated due to max_tokens!');
       }
     }
@@ -638,62 +462,156 @@ ${testContent}`;
   }
 });
 
+// Generate a course from source files and save it, reporting progress on the job
+async function runCourseGeneration(progress, loadSources, { courseId, options, template }) {
+  progress.update('reading-files', 2);
+  const { markdownFiles, assets, conversions, warnings, repository } = await loadSources();
+  progress.conversions(conversions);
+  warnings.forEach(warning => progress.warn(warning));
+
+  if (markdownFiles.length === 0) {
+    throw new Error('No source files found');
+  }
+
+  console.log(`Found ${markdownFiles.length} source file(s) and ${assets.length} asset(s)`);
+
+  // Model calls take up the bulk of the progress bar, split evenly across lessons
+  progress.update('calling-model', 5, 'Generating course outline');
+  console.log(`Using prompt template ${template.id} v${template.version}`);
+  const generatedCourse = await generateCourseContent(markdownFiles, {
+    options,
+    template,
+    onProgress: ({ lessonsDone, lessonsTotal }) => {
+      const percent = 10 + Math.round((lessonsDone / lessonsTotal) * 70);
+      progress.update('calling-model', percent, `Generated ${lessonsDone} of ${lessonsTotal} lessons`);
+    },
+    onLesson: (lesson, index) => progress.lesson(index, lesson),
+    onWarning: (message) => progress.warn(message),
+  });
+
+  // Second opinion on every answer, so unsupported questions are flagged for review
+  progress.update('verifying', 80);
+  const courseData = await verifyCourseGrounding(generatedCourse, {
+    onProgress: ({ lessonsDone, lessonsTotal }) => {
+      const percent = 80 + Math.round((lessonsDone / Math.max(lessonsTotal, 1)) * 10);
+      progress.update('verifying', percent, `Checked ${lessonsDone} of ${lessonsTotal} lessons against the sources`);
+    },
+    onWarning: (message) => progress.warn(message),
+  });
+
+  // The commit the sources were read at, so re-sync can tell how far behind the course is
+  if (repository) {
+    courseData.repository = repository;
+  }
+
+  progress.update('parsing', 92);
+  const violations = validateCourse(courseData);
+  if (violations.length > 0) {
+    throw new CourseValidationError('Generated course failed validation', violations);
+  }
+
+  courseData.id = courseId;
+  courseData.createdAt = new Date().toISOString();
+
+  // Save to Supabase
+  progress.update('saving', 96);
+  checkSupabase();
+  if (assets.length > 0) {
+    courseData.assets = await storeCourseAssets(courseId, assets);
+  }
+  const { error } = await supabase
+    .from('courses')
+    .insert({
+      id: courseId,
+      title: courseData.title,
+      description: courseData.description,
+      created_at: courseData.createdAt,
+      updated_at: courseData.createdAt,
+      course_data: courseData
+    });
+
+  if (error) {
+    // No course refers to the assets just uploaded
+    await removeUnusedCourseAssets(courseId, courseData.assets || [], [])
+      .catch(removeError => console.error(`Could not remove assets of unsaved course ${courseId}:`, removeError.message));
+    throw error;
+  }
+
+  console.log(`Course created successfully: ${courseId}`);
+  return courseId;
+}
+
+// Check multer's uploads (source-access.js), move them into the workspace's sources folder
+// under their cleaned-up names and return { sourceDir, warnings }. A single .zip is unpacked
+// there instead, keeping its folders.
+async function storeUploadedFiles(files, workspace, sourceMode) {
+  const names = await checkUploadedFiles(files, sourceMode);
+  const uploadDir = path.join(workspace, 'sources');
+
+  if (isArchiveName(names[0])) {
+    const { rootDir, warnings } = await extractSourceArchive(files[0].path, uploadDir);
+    console.log(`Unpacked ${names[0]} to ${rootDir}`);
+    return { sourceDir: rootDir, warnings };
+  }
+
+  await fs.mkdir(uploadDir, { recursive: true });
+  for (const [index, file] of files.entries()) {
+    const destPath = path.join(uploadDir, names[index]);
+    await fs.rename(file.path, destPath);
+    console.log(`Moved file: ${names[index]} to ${destPath}`);
+  }
+  return { sourceDir: uploadDir, warnings: [] };
+}
+
+// Start a generation job. The course id is chosen up front so every model call
+// in the usage ledger can be attributed to the course it produced. The workspace the
+// sources are read from, if any, is released when the job ends either way.
+function startCourseGeneration(type, loadSources, { options, template, userId, workspace = null }) {
+  const job = createJob(type);
+  const courseId = `course-${Date.now()}`;
+  runJob(job, (progress) => withUsageContext(
+    { courseId, jobId: job.id, userId },
+    () => runCourseGeneration(progress, loadSources, { courseId, options, template })
+  ).finally(() => releaseWorkspace(workspace)));
+  return job;
+}
+
+// Resolve the prompt template chosen for a new course; the latest default when none is given
+async function resolvePromptTemplate(templateId) {
+  return getPromptTemplate(templateId || undefined);
+}
+
 // Upload markdown folder
-app.post('/api/upload', upload.array('files'), async (req, res) => {
+app.post('/api/upload', requireBudget, receiveSourceFiles('upload'), responseCacheMode(), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
     console.log(`Received ${req.files.length} file(s) for upload`);
-    const uploadDir = path.join(__dirname, 'uploads', req.body.folderId || 'default');
-    await fs.mkdir(uploadDir, { recursive: true });
 
-    // Move uploaded files to the folder
-    for (const file of req.files) {
-      const destPath = path.join(uploadDir, file.originalname);
-      await fs.rename(file.path, destPath);
-      console.log(`Moved file: ${file.originalname} to ${destPath}`);
+    // Options arrive as a JSON string alongside the files
+    const { options, violations } = parseGenerationOptions(req.body.options);
+    if (violations.length > 0) {
+      return res.status(400).json({ error: 'Invalid generation options', violations });
     }
 
-    // Read markdown files
-    console.log(`Reading markdown files from: ${uploadDir}`);
-    const markdownFiles = await readMarkdownFiles(uploadDir);
-    
-    if (markdownFiles.length === 0) {
-      return res.status(400).json({ error: 'No markdown files found' });
+    const template = await resolvePromptTemplate(req.body.templateId);
+    if (!template) {
+      return res.status(400).json({ error: `Prompt template "${req.body.templateId}" not found` });
     }
 
-    console.log(`Found ${markdownFiles.length} markdown file(s)`);
+    const { sourceDir, warnings: uploadWarnings } = await storeUploadedFiles(req.files, req.workspace, options.sourceMode);
 
-    // Generate course content
-    console.log('Generating course content with Grok...');
-    const courseData = await generateCourseContent(markdownFiles);
-    const courseId = `course-${Date.now()}`;
-    
-    courseData.id = courseId;
-    courseData.createdAt = new Date().toISOString();
-    
-    // Save to Supabase
-    checkSupabase();
-    const { error } = await supabase
-      .from('courses')
-      .insert({
-        id: courseId,
-        title: courseData.title,
-        description: courseData.description,
-        created_at: courseData.createdAt,
-        updated_at: courseData.createdAt,
-        course_data: courseData
-      });
-    
-    if (error) {
-      throw error;
-    }
-    
-    console.log(`Course created successfully: ${courseId}`);
-    res.json({ courseId, course: courseData });
+    const job = startCourseGeneration('upload', async () => {
+      console.log(`Reading source files from: ${sourceDir}`);
+      const sources = await readCourseSources(sourceDir, options.sourceMode);
+      return { ...sources, warnings: [...uploadWarnings, ...sources.warnings] };
+    }, { options, template, userId: requestUser(req), workspace: claimWorkspace(req) });
+
+    res.status(202).json({ jobId: job.id });
   } catch (error) {
+    if (rejectSource(res, error)) return;
     console.error('Error processing upload:', error);
     console.error('Error stack:', error.stack);
     res.status(500).json({ 
@@ -703,51 +621,135 @@ app.post('/api/upload', upload.array('files'), async (req, res) => {
   }
 });
 
-// Create course from folder path (for local development)
-app.post('/api/create-course', async (req, res) => {
+// Create course from a folder path or a local git repository inside SOURCE_ROOTS
+app.post('/api/create-course', requireBudget, responseCacheMode(), async (req, res) => {
   try {
     const { folderPath } = req.body;
     
-    if (!folderPath) {
-      return res.status(400).json({ error: 'Folder path is required' });
+    if (!folderPath && !req.body.repository) {
+      return res.status(400).json({ error: 'Folder path or repository is required' });
     }
 
-    const markdownFiles = await readMarkdownFiles(folderPath);
-    
-    if (markdownFiles.length === 0) {
-      return res.status(400).json({ error: 'No markdown files found in folder' });
+    const { options, violations } = parseGenerationOptions(req.body.options);
+    if (violations.length > 0) {
+      return res.status(400).json({ error: 'Invalid generation options', violations });
     }
 
-    const courseData = await generateCourseContent(markdownFiles);
-    const courseId = `course-${Date.now()}`;
-    
-    courseData.id = courseId;
-    courseData.createdAt = new Date().toISOString();
-    
-    // Save to Supabase
-    checkSupabase();
-    const { error } = await supabase
-      .from('courses')
-      .insert({
-        id: courseId,
-        title: courseData.title,
-        description: courseData.description,
-        created_at: courseData.createdAt,
-        updated_at: courseData.createdAt,
-        course_data: courseData
-      });
-    
-    if (error) {
-      throw error;
+    let repository = null;
+    let sourceDir = null;
+    if (req.body.repository) {
+      const parsed = parseRepositorySource(req.body.repository);
+      if (parsed.violations.length > 0) {
+        return res.status(400).json({ error: 'Invalid repository', violations: parsed.violations });
+      }
+      repository = parsed.repository;
+      // Checked now so a path outside SOURCE_ROOTS or a wrong ref fails here rather than in the job
+      repository.path = await resolveSourcePath(repository.path);
+      await resolveCommit(repository);
+    } else {
+      // Checked now so a folder outside SOURCE_ROOTS is answered here. Reading it is left to the
+      // job; a symbolic link, too many files or bad front matter fails the job instead.
+      sourceDir = await resolveSourcePath(folderPath);
     }
-    
-    res.json({ courseId, course: courseData });
+
+    const template = await resolvePromptTemplate(req.body.templateId);
+    if (!template) {
+      return res.status(400).json({ error: `Prompt template "${req.body.templateId}" not found` });
+    }
+
+    // A repository is checked out by the job, into a workspace of its own
+    const workspace = repository ? await createWorkspace('repo') : null;
+    const loadSources = repository
+      ? () => readRepositorySources(repository, options.sourceMode, workspace)
+      : () => readCourseSources(sourceDir, options.sourceMode);
+    const job = startCourseGeneration('create-course', loadSources, {
+      options,
+      template,
+      userId: requestUser(req),
+      workspace,
+    });
+
+    res.status(202).json({ jobId: job.id });
   } catch (error) {
+    if (rejectSource(res, error)) return;
     console.error('Error creating course:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Branches and tags of a local git repository, to choose which revision to generate from
+app.get('/api/repository/refs', async (req, res) => {
+  try {
+    const { repository, violations } = parseRepositorySource({ path: req.query.path });
+    if (violations.length > 0) {
+      return res.status(400).json({ error: 'Invalid repository', violations });
+    }
+    res.json(await listRepositoryRefs(await resolveSourcePath(repository.path)));
+  } catch (error) {
+    if (rejectSource(res, error)) return;
+    console.error('Error listing repository refs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get background job status
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+// Stream a job as Server-Sent Events: progress updates, each lesson as soon as it
+// is parsed, and a final complete/failed event carrying the courseId or error
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+  });
+
+  const send = (eventName, payload) => {
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  // Replay what has happened so far so late or reconnecting clients catch up
+  getJobLessons(job.id).forEach((lesson, index) => {
+    if (lesson) send('lesson', { index, lesson });
+  });
+
+  if (job.status !== 'running') {
+    send(job.status === 'completed' ? 'complete' : 'failed', job);
+    return res.end();
+  }
+  send('progress', job);
+
+  // Comment lines keep proxies from closing an idle connection during long model calls
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const unsubscribe = subscribeToJob(job.id, (eventName, payload) => {
+    send(eventName, payload);
+    if (eventName === 'complete' || eventName === 'failed') {
+      res.end();
+    }
+  });
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 // Get course by ID
 app.get('/api/course/:courseId', async (req, res) => {
   try {
@@ -794,8 +796,9 @@ app.put('/api/course/:courseId', async (req, res) => {
     }
     
     // Validate course structure
-    if (!course.title) {
-      return res.status(400).json({ error: 'Course title is required' });
+    const violations = validateCourse(course);
+    if (violations.length > 0) {
+      return res.status(422).json({ error: 'Course failed validation', violations });
     }
     
     // Update the course in Supabase
@@ -817,16 +820,615 @@ app.put('/api/course/:courseId', async (req, res) => {
       }
       throw error;
     }
-    
-    if (!data) {
-      return res.status(404).json({ error: 'Course not found' });
+    
+    if (!data) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    
+    res.json({ success: true, course: data.course_data });
+  } catch (error) {
+    console.error('Error updating course:', error);
+    res.status(500).json({ 
+      error: 'Error updating course',
+      details: error.message
+    });
+  }
+});
+
+// Regenerate a single lesson, question, or coding exercise. The result is returned
+// for the author to compare and accept; nothing is saved here.
+// Asking to regenerate means wanting a new answer, so the response cache is refreshed by default.
+app.post('/api/course/:courseId/regenerate', requireBudget, responseCacheMode('refresh'), async (req, res) => {
+  try {
+    checkSupabase();
+    const { courseId } = req.params;
+    const { target, lesson, itemId, instructions } = req.body;
+
+    if (!(target in REGENERATION_TARGETS)) {
+      return res.status(400).json({ error: `Target must be one of: ${Object.keys(REGENERATION_TARGETS).join(', ')}` });
+    }
+    if (!lesson || !lesson.id) {
+      return res.status(400).json({ error: 'Lesson is required' });
+    }
+    if (target !== 'lesson' && !(lesson[REGENERATION_TARGETS[target]] || []).some(item => item.id === itemId)) {
+      return res.status(404).json({ error: `No ${target} with id "${itemId}" in this lesson` });
+    }
+
+    const { data, error } = await supabase
+      .from('courses')
+      .select('course_data')
+      .eq('id', courseId)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const regenerated = await withUsageContext({ courseId, userId: requestUser(req) }, () => regenerateCourseItem({
+      course: data.course_data,
+      lesson,
+      target,
+      itemId,
+      instructions,
+    }));
+
+    res.json({ target, lessonId: lesson.id, itemId: itemId || null, regenerated });
+  } catch (error) {
+    console.error('Error regenerating course item:', error);
+    if (error instanceof CourseValidationError) {
+      return res.status(422).json({ error: error.message, violations: error.violations });
+    }
+    res.status(500).json({ 
+      error: 'Error regenerating content',
+      details: error.message
+    });
+  }
+});
+
+// Check one lesson's questions against the course's stored source markdown.
+// The lesson comes from the request so reviewers can re-check unsaved fixes.
+app.post('/api/course/:courseId/verify', requireBudget, responseCacheMode(), async (req, res) => {
+  try {
+    checkSupabase();
+    const { courseId } = req.params;
+    const { lesson } = req.body;
+
+    if (!lesson || !lesson.id) {
+      return res.status(400).json({ error: 'Lesson is required' });
+    }
+
+    const { data, error } = await supabase
+      .from('courses')
+      .select('course_data')
+      .eq('id', courseId)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    if (!data.course_data.sources?.length) {
+      return res.status(409).json({ error: 'This course has no stored source markdown to check against' });
+    }
+
+    const grounding = await withUsageContext(
+      { courseId, userId: requestUser(req) },
+      () => verifyLessonGrounding(data.course_data, lesson)
+    );
+    res.json({ lessonId: lesson.id, grounding });
+  } catch (error) {
+    console.error('Error verifying lesson:', error);
+    if (error instanceof CourseValidationError) {
+      return res.status(422).json({ error: error.message, violations: error.violations });
+    }
+    res.status(500).json({
+      error: 'Error checking answers against the sources',
+      details: error.message
+    });
+  }
+});
+
+// Longest learner answer accepted for grading, per question type
+const MAX_ANSWER_LENGTH = { 'short-answer': 2000, 'essay': 20000 };
+
+// Grade a learner's answer to a short-answer or essay question. The question and its
+// rubric are read from the saved course, never from the request.
+app.post('/api/course/:courseId/grade', requireBudget, responseCacheMode(), async (req, res) => {
+  try {
+    checkSupabase();
+    const { courseId } = req.params;
+    const { lessonId, questionId, answer } = req.body;
+
+    if (typeof answer !== 'string' || answer.trim().length === 0) {
+      return res.status(400).json({ error: 'Answer is required' });
+    }
+
+    const { data, error } = await supabase
+      .from('courses')
+      .select('course_data')
+      .eq('id', courseId)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const lesson = (data.course_data.lessons || []).find(l => l.id === lessonId);
+    const question = (lesson?.questions || []).find(q => q.id === questionId);
+    if (!question) {
+      return res.status(404).json({ error: `No question with id "${questionId}" in lesson "${lessonId}"` });
+    }
+    if (!GRADED_QUESTION_TYPES.includes(question.type)) {
+      return res.status(400).json({ error: `Only ${GRADED_QUESTION_TYPES.join(' and ')} questions are graded` });
+    }
+    if (answer.length > MAX_ANSWER_LENGTH[question.type]) {
+      return res.status(413).json({ error: `Answer must be at most ${MAX_ANSWER_LENGTH[question.type]} characters` });
+    }
+
+    const grade = await withUsageContext(
+      { courseId, userId: requestUser(req) },
+      () => gradeFreeResponse(data.course_data, lesson, question, answer.trim())
+    );
+    res.json({ lessonId, questionId, grade });
+  } catch (error) {
+    console.error('Error grading answer:', error);
+    if (error instanceof CourseValidationError) {
+      return res.status(422).json({ error: error.message, violations: error.violations });
+    }
+    res.status(500).json({
+      error: 'Error grading answer',
+      details: error.message
+    });
+  }
+});
+
+// Write flashcards for one lesson. The lesson comes from the request so the cards match
+// unsaved edits; the deck is returned for the author to edit and save with the course.
+app.post('/api/course/:courseId/flashcards/generate', requireBudget, responseCacheMode(), async (req, res) => {
+  try {
+    checkSupabase();
+    const { courseId } = req.params;
+    const { lesson } = req.body;
+
+    if (!lesson || !lesson.id) {
+      return res.status(400).json({ error: 'Lesson is required' });
+    }
+    if (typeof lesson.content !== 'string' || lesson.content.trim().length === 0) {
+      return res.status(400).json({ error: 'Lesson has no content to write flashcards from' });
+    }
+
+    const { data, error } = await supabase
+      .from('courses')
+      .select('course_data')
+      .eq('id', courseId)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const flashcards = await withUsageContext(
+      { courseId, userId: requestUser(req) },
+      () => generateLessonFlashcards(data.course_data, lesson)
+    );
+    res.json({ lessonId: lesson.id, flashcards });
+  } catch (error) {
+    console.error('Error generating flashcards:', error);
+    if (error instanceof CourseValidationError) {
+      return res.status(422).json({ error: error.message, violations: error.violations });
+    }
+    res.status(500).json({
+      error: 'Error generating flashcards',
+      details: error.message
+    });
+  }
+});
+
+// The requesting learner's spaced-repetition state for a course's flashcards
+app.get('/api/course/:courseId/flashcards/reviews', async (req, res) => {
+  try {
+    const reviews = await getFlashcardReviews(req.params.courseId, requestUser(req));
+    res.json({ reviews });
+  } catch (error) {
+    console.error('Error fetching flashcard reviews:', error);
+    res.status(500).json({
+      error: 'Error fetching flashcard reviews',
+      details: error.message
+    });
+  }
+});
+
+// Record one review of a flashcard, rated 0 (forgot) to 5 (perfect recall), and schedule the next
+app.post('/api/course/:courseId/flashcards/:cardId/review', async (req, res) => {
+  try {
+    checkSupabase();
+    const { courseId, cardId } = req.params;
+    const quality = parseReviewQuality(req.body.quality);
+
+    const { data, error } = await supabase
+      .from('courses')
+      .select('course_data')
+      .eq('id', courseId)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    if (!(data.course_data.flashcards || []).some(card => card.id === cardId)) {
+      return res.status(404).json({ error: `No flashcard with id "${cardId}" in this course` });
+    }
+
+    const review = await recordFlashcardReview({ courseId, userId: requestUser(req), cardId, quality });
+    res.json({ cardId, review });
+  } catch (error) {
+    if (error instanceof ReviewQualityError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error recording flashcard review:', error);
+    res.status(500).json({
+      error: 'Error recording flashcard review',
+      details: error.message
+    });
+  }
+});
+
+// Images and other assets stored with a course, by the path they had beside its markdown.
+// Lesson content links to them as assets/<name>, which the client resolves to this route.
+app.get('/api/course/:courseId/assets/*', async (req, res) => {
+  try {
+    checkSupabase();
+    const { courseId } = req.params;
+    const name = req.params[0];
+
+    const { data, error } = await supabase
+      .from('courses')
+      .select('assets:course_data->assets')
+      .eq('id', courseId)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const asset = (data.assets || []).find(item => item.name === name);
+    if (!asset) {
+      return res.status(404).json({ error: `Asset "${name}" not found` });
+    }
+
+    const content = await readCourseAsset(courseId, asset);
+    res.set({
+      'Content-Type': asset.contentType,
+      // An SVG opened on its own must not run scripts with the API's origin
+      'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.send(content);
+  } catch (error) {
+    console.error('Error serving course asset:', error);
+    res.status(500).json({
+      error: 'Error loading asset',
+      details: error.message
+    });
+  }
+});
+
+// Compare a course's stored sources with new ones (uploaded files, a folder path, or the
+// git repository the course was built from) and return the re-sync plan for the author to
+// review. Nothing changes until it is applied.
+app.post('/api/course/:courseId/resync', receiveSourceFiles('resync'), async (req, res) => {
+  try {
+    checkSupabase();
+    const { courseId } = req.params;
+    const { folderPath, fromRepository } = req.body;
+
+    if ((!req.files || req.files.length === 0) && !folderPath && !fromRepository) {
+      return res.status(400).json({ error: 'Upload files, provide a folder path, or re-sync from the course\'s repository' });
+    }
+
+    const { data, error } = await supabase
+      .from('courses')
+      .select('course_data')
+      .eq('id', courseId)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const course = data.course_data;
+    if (fromRepository && !course.repository) {
+      return res.status(400).json({ error: 'This course was not built from a git repository' });
+    }
+
+    // Read the same way as when the course was generated
+    const sourceMode = course.generationOptions?.sourceMode;
+    let sources;
+    if (fromRepository) {
+      sources = await readRepositorySources(course.repository, sourceMode, req.workspace);
+    } else if (req.files?.length > 0) {
+      const { sourceDir, warnings: uploadWarnings } = await storeUploadedFiles(req.files, req.workspace, sourceMode);
+      const uploaded = await readCourseSources(sourceDir, sourceMode);
+      sources = { ...uploaded, warnings: [...uploadWarnings, ...uploaded.warnings] };
+    } else {
+      sources = await readCourseSources(await resolveSourcePath(folderPath), sourceMode);
+    }
+    const { markdownFiles, assets, conversions, warnings, repository = null } = sources;
+
+    if (markdownFiles.length === 0) {
+      return res.status(400).json({ error: 'No source files found', conversions });
+    }
+
+    const plan = planResync(course, markdownFiles, assets);
+    let repositoryStatus;
+    if (repository) {
+      repositoryStatus = {
+        ref: repository.ref,
+        commit: course.repository.commit,
+        latestCommit: repository.commit,
+        commitsBehind: await countCommitsBehind(course.repository, repository.commit),
+      };
+      // Recording the new commit is a change even when no source file moved
+      plan.hasChanges ||= repository.commit !== course.repository.commit;
+    }
+    const sync = createPendingSync(courseId, markdownFiles, plan, assets, repository, claimWorkspace(req));
+
+    res.json({ syncId: sync.id, ...plan, conversions, warnings, ...(repositoryStatus && { repository: repositoryStatus }) });
+  } catch (error) {
+    if (rejectSource(res, error)) return;
+    console.error('Error planning course re-sync:', error);
+    if (error instanceof CourseValidationError) {
+      return res.status(422).json({ error: error.message, violations: error.violations });
+    }
+    res.status(500).json({
+      error: 'Error comparing course sources',
+      details: error.message
+    });
+  }
+});
+
+// Apply a reviewed re-sync plan as a background job. The course keeps its id;
+// only the lessons the plan marks for regeneration are rewritten.
+app.post('/api/course/:courseId/resync/:syncId/apply', requireBudget, responseCacheMode(), async (req, res) => {
+  try {
+    checkSupabase();
+    const { courseId, syncId } = req.params;
+
+    const sync = takePendingSync(syncId, courseId);
+    if (!sync) {
+      return res.status(404).json({ error: 'Re-sync plan not found or already applied. Check for changes again.' });
+    }
+
+    const job = createJob('resync');
+    const usage = { courseId, jobId: job.id, userId: requestUser(req) };
+    runJob(job, (progress) => withUsageContext(usage, async () => {
+      progress.update('reading-files', 2);
+      const { data, error } = await supabase
+        .from('courses')
+        .select('course_data')
+        .eq('id', courseId)
+        .single();
+
+      if (error || !data) {
+        throw new Error('Course not found');
+      }
+
+      const course = data.course_data;
+      const template = (course.promptTemplate && await getPromptTemplate(course.promptTemplate.id, course.promptTemplate.version))
+        || await getPromptTemplate();
+
+      progress.update('calling-model', 5, 'Regenerating changed lessons');
+      const resyncedCourse = await resyncCourseContent(course, sync.markdownFiles, sync.plan, {
+        template,
+        onProgress: ({ lessonsDone, lessonsTotal }) => {
+          const percent = lessonsTotal === 0 ? 80 : 10 + Math.round((lessonsDone / lessonsTotal) * 70);
+          progress.update('calling-model', percent, `Regenerated ${lessonsDone} of ${lessonsTotal} lessons`);
+        },
+        onWarning: (message) => progress.warn(message),
+      });
+
+      // Only questions without a verdict (regenerated, new, or added by hand) are checked
+      progress.update('verifying', 80);
+      const updatedCourse = await verifyCourseGrounding(resyncedCourse, {
+        shouldCheck: (lesson) => (lesson.questions || []).some(question => !question.grounding),
+        onProgress: ({ lessonsDone, lessonsTotal }) => {
+          const percent = 80 + Math.round((lessonsDone / Math.max(lessonsTotal, 1)) * 10);
+          progress.update('verifying', percent, `Checked ${lessonsDone} of ${lessonsTotal} lessons against the sources`);
+        },
+        onWarning: (message) => progress.warn(message),
+      });
+
+      progress.update('parsing', 92);
+      const violations = validateCourse(updatedCourse);
+      if (violations.length > 0) {
+        throw new CourseValidationError('Re-synced course failed validation', violations);
+      }
+
+      progress.update('saving', 96);
+      const previousAssets = course.assets || [];
+      updatedCourse.assets = await storeCourseAssets(courseId, sync.assets, previousAssets);
+      // Sources from anywhere but the repository no longer match a commit in it
+      if (sync.repository) {
+        updatedCourse.repository = sync.repository;
+      } else {
+        delete updatedCourse.repository;
+      }
+      const { error: updateError } = await supabase
+        .from('courses')
+        .update({
+          title: updatedCourse.title,
+          description: updatedCourse.description || '',
+          updated_at: updatedCourse.lastSyncedAt,
+          course_data: updatedCourse
+        })
+        .eq('id', courseId);
+
+      if (updateError) {
+        // The stored course still uses the previous assets; only the ones just uploaded can go
+        await removeUnusedCourseAssets(courseId, updatedCourse.assets, previousAssets)
+          .catch(removeError => console.error(`Could not remove unsaved assets of ${courseId}:`, removeError.message));
+        throw updateError;
+      }
+      // Only now that the saved course no longer refers to them
+      await removeUnusedCourseAssets(courseId, previousAssets, updatedCourse.assets)
+        .catch(removeError => console.error(`Could not remove old assets of ${courseId}:`, removeError.message));
+
+      console.log(`Course re-synced: ${courseId}`);
+      return courseId;
+    }).finally(() => releaseWorkspace(sync.workspace)));
+
+    res.status(202).json({ jobId: job.id });
+  } catch (error) {
+    console.error('Error applying course re-sync:', error);
+    res.status(500).json({
+      error: 'Error applying course re-sync',
+      details: error.message
+    });
+  }
+});
+
+// Token usage and estimated cost per day, course and user, with month-to-date budgets
+app.get('/api/usage', async (req, res) => {
+  try {
+    checkSupabase();
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+    res.json(await getUsageSummary({ days }));
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({
+      error: 'Error fetching usage',
+      details: error.message,
+      code: error.code === 'PGRST116' || error.code === 'PGRST205'
+        ? 'Database table "generation_log" does not exist. Please run supabase/migrations/003_create_generation_log_tables.sql'
+        : error.code
+    });
+  }
+});
+
+// Set or clear a monthly budget in USD, for everyone or for one user
+app.put('/api/usage/budgets', async (req, res) => {
+  try {
+    checkSupabase();
+    const { userId, monthlyLimit } = req.body;
+
+    if (monthlyLimit !== null && (typeof monthlyLimit !== 'number' || !Number.isFinite(monthlyLimit) || monthlyLimit < 0)) {
+      return res.status(400).json({ error: 'monthlyLimit must be a non-negative number, or null to remove the budget' });
+    }
+    if (userId !== undefined && userId !== null && (typeof userId !== 'string' || userId.trim() === '')) {
+      return res.status(400).json({ error: 'userId must be a non-empty string when given' });
+    }
+
+    await saveBudget({ userId: userId?.trim() || null, monthlyLimit });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error saving budget:', error);
+    res.status(500).json({
+      error: 'Error saving budget',
+      details: error.message
+    });
+  }
+});
+
+// Number of model responses in the response cache
+app.get('/api/response-cache', async (req, res) => {
+  try {
+    checkSupabase();
+    res.json({ entries: await countCachedResponses() });
+  } catch (error) {
+    console.error('Error reading response cache:', error);
+    res.status(500).json({
+      error: 'Error reading response cache',
+      details: error.message,
+      code: error.code === 'PGRST116' || error.code === 'PGRST205'
+        ? 'Database table "response_cache" does not exist. Please run supabase/migrations/004_create_response_cache_table.sql'
+        : error.code
+    });
+  }
+});
+
+// Remove every cached model response
+app.delete('/api/response-cache', async (req, res) => {
+  try {
+    checkSupabase();
+    const deleted = await clearResponseCache();
+    console.log(`Cleared ${deleted} cached model responses`);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Error clearing response cache:', error);
+    res.status(500).json({
+      error: 'Error clearing response cache',
+      details: error.message
+    });
+  }
+});
+
+// List the latest version of every prompt template, with the variables templates may use
+app.get('/api/prompt-templates', async (req, res) => {
+  try {
+    const templates = await listPromptTemplates();
+    res.json({ templates, variables: TEMPLATE_VARIABLES });
+  } catch (error) {
+    console.error('Error fetching prompt templates:', error);
+    res.status(500).json({
+      error: 'Error fetching prompt templates',
+      details: error.message,
+      code: error.code === 'PGRST116' || error.code === 'PGRST205'
+        ? 'Database table "prompt_templates" does not exist. Please run supabase/migrations/002_create_prompt_templates_table.sql'
+        : error.code
+    });
+  }
+});
+
+// Version history of one template, newest first
+app.get('/api/prompt-templates/:templateId/versions', async (req, res) => {
+  try {
+    const versions = await listPromptTemplateVersions(req.params.templateId);
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    res.json(versions);
+  } catch (error) {
+    console.error('Error fetching prompt template versions:', error);
+    res.status(500).json({
+      error: 'Error fetching prompt template versions',
+      details: error.message
+    });
+  }
+});
+
+// Render a template against a sample course so admins can check it before saving
+app.post('/api/prompt-templates/preview', (req, res) => {
+  const { template } = req.body;
+  const violations = validatePromptTemplate({ name: 'Preview', ...template });
+  if (violations.length > 0) {
+    return res.status(422).json({ error: 'Prompt template is invalid', violations });
+  }
+
+  const { options } = parseGenerationOptions(req.body.options);
+  res.json(previewPromptTemplate(template, options || undefined));
+});
+
+// Save a prompt template. Saving never overwrites: an existing template gets a new
+// version, and a template without an id is created at version 1.
+app.post('/api/prompt-templates', async (req, res) => {
+  try {
+    checkSupabase();
+    const { template } = req.body;
+
+    const violations = validatePromptTemplate(template);
+    if (violations.length > 0) {
+      return res.status(422).json({ error: 'Prompt template is invalid', violations });
+    }
+
+    const saved = await savePromptTemplateVersion(template);
+    if (!saved) {
+      return res.status(404).json({ error: 'Prompt template not found' });
     }
-    
-    res.json({ success: true, course: data.course_data });
+
+    console.log(`Saved prompt template ${saved.id} v${saved.version}`);
+    res.status(201).json(saved);
   } catch (error) {
-    console.error('Error updating course:', error);
-    res.status(500).json({ 
-      error: 'Error updating course',
+    console.error('Error saving prompt template:', error);
+    res.status(500).json({
+      error: 'Error saving prompt template',
       details: error.message
     });
   }
@@ -901,6 +1503,16 @@ app.get('/api/export/:courseId', async (req, res) => {
       standaloneHTML
     );
 
+    // Assets sit next to index.html, where the assets/<name> links in lessons find them offline
+    const assetsDir = path.join(exportDir, 'assets');
+    await fs.rm(assetsDir, { recursive: true, force: true });
+    for (const asset of course.assets || []) {
+      if (!isSafeAssetName(asset.name)) continue;
+      const assetPath = path.join(assetsDir, ...asset.name.split('/'));
+      await fs.mkdir(path.dirname(assetPath), { recursive: true });
+      await fs.writeFile(assetPath, await readCourseAsset(courseId, asset));
+    }
+
     // Create a zip file
     const zipPath = path.join(__dirname, 'exports', `${courseId}.zip`);
     const output = createWriteStream(zipPath);
@@ -932,6 +1544,19 @@ app.get('/api/export/:courseId', async (req, res) => {
   }
 });
 
+// The course as the exported page's script embeds it: only what the page shows, without the
+// sources, repository, prompt template, generation options and grounding checks it was made
+// with. "<" is written as \u003c so no text in the course can end the script tag early.
+function exportedCourseJSON(course) {
+  const { sources, repository, promptTemplate, generationOptions, ...shown } = course;
+  if (Array.isArray(course.lessons)) {
+    shown.lessons = course.lessons.map(({ questions, ...lesson }) => (questions
+      ? { ...lesson, questions: questions.map(({ grounding, ...question }) => question) }
+      : lesson));
+  }
+  return JSON.stringify(shown, null, 2).replace(/</g, '\\u003c');
+}
+
 // Generate standalone HTML application
 async function generateStandaloneApp(course) {
   // Escape HTML to prevent XSS (Node.js version)
@@ -945,6 +1570,61 @@ async function generateStandaloneApp(course) {
       .replace(/'/g, '&#039;');
   };
 
+  // Fill-in-the-blank questions get an input in place of each ___
+  const generateQuestionTextHTML = (q) => {
+    if (q.type !== 'fill-in-the-blank') return escapeHtml(q.question || '');
+    return String(q.question || '')
+      .split(/_{3,}/)
+      .map(escapeHtml)
+      .join('<input type="text" class="blank-input" oninput="handleBlankInput(this)">');
+  };
+
+  const generateOptionsHTML = (options, onclick, { checkboxes = false } = {}) => options
+    .map((option, idx) => `
+                <div class="option" data-option-index="${idx}" onclick="${onclick}(this)">
+                  ${checkboxes ? '<input type="checkbox" tabindex="-1">' : ''}${escapeHtml(option)}
+                </div>`)
+    .join('');
+
+  // Ordering lists and matching choices are filled in (shuffled) by the page script
+  const generateAnswerAreaHTML = (q, safeQuestionId) => {
+    switch (q.type) {
+      case 'true-false':
+        return `<div class="options">${generateOptionsHTML(['True', 'False'], 'handleAnswerSelect')}
+              </div>`;
+      case 'multi-select':
+        return `<div class="options">
+                <p class="question-hint">Select all that apply</p>${generateOptionsHTML(q.options || [], 'toggleMultiSelect', { checkboxes: true })}
+              </div>`;
+      case 'fill-in-the-blank':
+        return '';
+      case 'short-answer':
+      case 'essay':
+        return `<textarea class="free-response-input" rows="${q.type === 'essay' ? 10 : 3}" oninput="handleFreeResponseInput(this)" placeholder="Write your answer here..."></textarea>`;
+      case 'ordering':
+        return `<ol class="ordering-list" id="ordering-${safeQuestionId}"></ol>`;
+      case 'matching':
+        return `<div class="matching-list">${(q.pairs || []).map(pair => `
+                <div class="matching-row">
+                  <span>${escapeHtml(pair.left)}</span>
+                  <select class="matching-select" onchange="handleMatchSelect(this)"></select>
+                </div>`).join('')}
+              </div>`;
+      default:
+        return `<div class="options">${generateOptionsHTML(q.options || [], 'handleAnswerSelect')}
+              </div>`;
+    }
+  };
+
+  // The export has no server to grade free-response answers, so learners compare
+  // their answer with the model answer and rubric themselves
+  const generateSelfCheckHTML = (q) => `
+                <p class="question-hint">Compare your answer with the model answer and check which rubric points it covers.</p>
+                <div class="model-answer"><strong>Model answer:</strong> ${escapeHtml(q.modelAnswer || '')}</div>
+                <ul class="rubric-list">${(q.rubric || []).map(item => `
+                  <li><label><input type="checkbox"> ${escapeHtml(item.criterion)} (${escapeHtml(item.points)} ${item.points === 1 ? 'point' : 'points'})</label></li>`).join('')}
+                </ul>`;
+
   // Generate HTML content for lessons
   const generateLessonsHTML = (lessons) => {
     if (!lessons || lessons.length === 0) return '';
@@ -953,9 +1633,17 @@ async function generateStandaloneApp(course) {
       // Create safe ID for lesson
       const lessonId = (lesson.id || `lesson-${lessonIdx}`).replace(/[^a-zA-Z0-9-_]/g, '-');
       const safeLessonId = escapeHtml(lessonId);
-      let html = `
+      // A heading starts each run of lessons from the same source folder
+      const startsSection = lesson.section && lesson.section !== lessons[lessonIdx - 1]?.section;
+      const badges = [
+        ...(lesson.type && lesson.type !== 'lesson' ? [`<span class="lesson-type">${escapeHtml(lesson.type)}</span>`] : []),
+        ...(lesson.tags || []).map(tag => `<span class="lesson-tag">${escapeHtml(tag)}</span>`),
+      ];
+      let html = `${startsSection ? `
+        <h2 class="lesson-section-title">${escapeHtml(lesson.section)}</h2>` : ''}
         <div class="lesson-card" data-lesson-id="${safeLessonId}">
-          <h2>${escapeHtml(lesson.title || 'Untitled Lesson')}</h2>
+          <h2>${escapeHtml(lesson.title || 'Untitled Lesson')}</h2>${badges.length > 0 ? `
+          <div class="lesson-tags">${badges.join('')}</div>` : ''}
           <div class="lesson-content" id="content-${safeLessonId}"></div>`;
 
       // Questions section
@@ -965,32 +1653,23 @@ async function generateStandaloneApp(course) {
             <h3>Questions</h3>`;
         
         lesson.questions.forEach((q, qIdx) => {
-          const questionId = (q.id || `q-${lessonIdx}-${qIdx}`).replace(/[^a-zA-Z0-9-_]/g, '-');
+          // Question ids are only unique within a lesson, so the lesson id is part of the key
+          const questionId = `${lessonId}-${(q.id || `q-${lessonIdx}-${qIdx}`).replace(/[^a-zA-Z0-9-_]/g, '-')}`;
           const safeQuestionId = escapeHtml(questionId);
+          const isSelfCheck = GRADED_QUESTION_TYPES.includes(q.type);
           html += `
             <div class="question" data-question-id="${safeQuestionId}">
-              <h4>${escapeHtml(q.question || '')}</h4>
-              <div class="options">`;
-          
-          (q.options || []).forEach((option, idx) => {
-            html += `
-                <div class="option" 
-                     data-question-id="${safeQuestionId}" 
-                     data-option-index="${idx}"
-                     onclick="handleAnswerSelect('${safeQuestionId}', ${idx})">
-                  ${escapeHtml(option)}
-                </div>`;
-          });
-          
-          html += `
-              </div>
+              <h4>${generateQuestionTextHTML(q)}</h4>
+              ${generateAnswerAreaHTML(q, safeQuestionId)}
               <button class="check-btn" 
                       id="check-btn-${safeQuestionId}" 
-                      onclick="checkAnswer('${safeQuestionId}', ${q.correctAnswer || 0})"
+                      onclick="checkAnswer('${safeQuestionId}')"
                       style="display: none;">
-                Check Answer
+                ${isSelfCheck ? 'Show Model Answer' : 'Check Answer'}
               </button>
-              <div class="explanation" id="explanation-${safeQuestionId}" style="display: none;">
+              <div class="explanation" id="explanation-${safeQuestionId}" style="display: none;">${isSelfCheck ? generateSelfCheckHTML(q) : `
+                <p class="question-result" id="result-${safeQuestionId}"></p>
+                <p class="question-correction" id="correction-${safeQuestionId}" style="display: none;"></p>`}
                 <strong>Explanation:</strong> ${escapeHtml(q.explanation || '')}
               </div>
             </div>`;
@@ -1036,7 +1715,18 @@ async function generateStandaloneApp(course) {
                 <textarea id="code-editor-${safeExerciseId}" 
                           class="code-textarea"
                           spellcheck="false">${escapeHtml(ex.starterCode || '')}</textarea>
-              </div>
+              </div>`;
+
+          // Same rule as the course viewer: JavaScript exercises with test cases can be run
+          if ((ex.language || 'javascript').toLowerCase() === 'javascript' && ex.testCases?.length > 0) {
+            html += `
+              <button class="run-tests-btn" onclick="showExerciseTests('${safeExerciseId}', this)">
+                Run Tests
+              </button>
+              <div class="test-results" id="test-results-${safeExerciseId}" style="display: none;"></div>`;
+          }
+
+          html += `
               <button class="solution-btn" 
                       onclick="toggleCodeSolution('${safeExerciseId}')">
                 Show Solution
@@ -1063,7 +1753,7 @@ async function generateStandaloneApp(course) {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${course.title || 'Course'}</title>
+    <title>${escapeHtml(course.title || 'Course')}</title>
     <script src="https://cdn.jsdelivr.net/npm/marked@11.1.1/marked.min.js"></script>
     <style>
         /* Reset and base styles */
@@ -1135,6 +1825,37 @@ async function generateStandaloneApp(course) {
             padding-bottom: 8px;
         }
 
+        .lesson-section-title {
+            font-size: 20px;
+            color: #555;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+            margin-top: 16px;
+        }
+
+        .lesson-tags {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-bottom: 16px;
+        }
+
+        .lesson-tag,
+        .lesson-type {
+            font-size: 12px;
+            padding: 2px 10px;
+            border-radius: 12px;
+            background: #e3f2fd;
+            color: #1565c0;
+        }
+
+        .lesson-type {
+            background: #fff3e0;
+            color: #e65100;
+            font-weight: 600;
+            text-transform: capitalize;
+        }
+
         .lesson-content {
             line-height: 1.8;
             color: #444;
@@ -1261,6 +1982,137 @@ async function generateStandaloneApp(course) {
             color: #1976D2;
         }
 
+        .option.missed {
+            border-style: dashed;
+            border-color: #4CAF50;
+        }
+
+        .option input[type="checkbox"] {
+            margin-right: 10px;
+            pointer-events: none;
+        }
+
+        .question-hint {
+            font-size: 13px;
+            color: #888;
+        }
+
+        .blank-input {
+            width: 140px;
+            margin: 0 6px;
+            padding: 4px 8px;
+            border: none;
+            border-bottom: 2px solid #2196F3;
+            background: white;
+            font-size: 15px;
+            font-family: inherit;
+        }
+
+        .blank-input.correct,
+        .ordering-list li.correct,
+        .matching-row.correct {
+            border-color: #4CAF50;
+            background: #e8f5e9;
+        }
+
+        .blank-input.incorrect,
+        .ordering-list li.incorrect,
+        .matching-row.incorrect {
+            border-color: #f44336;
+            background: #ffebee;
+        }
+
+        .ordering-list,
+        .matching-list {
+            list-style-position: inside;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            margin-bottom: 16px;
+        }
+
+        .ordering-list li,
+        .matching-row {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+            padding: 10px 16px;
+            background: white;
+            border: 2px solid #e0e0e0;
+            border-radius: 6px;
+            font-size: 14px;
+        }
+
+        .ordering-list button {
+            width: 28px;
+            height: 28px;
+            margin-left: 4px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            background: #f5f5f5;
+            cursor: pointer;
+        }
+
+        .ordering-list button:disabled {
+            opacity: 0.4;
+            cursor: not-allowed;
+        }
+
+        .matching-select {
+            padding: 8px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-size: 14px;
+        }
+
+        .question-result {
+            font-weight: 600;
+            margin-bottom: 8px;
+        }
+
+        .question-result.correct {
+            color: #2e7d32;
+        }
+
+        .question-result.incorrect {
+            color: #c62828;
+        }
+
+        .question-correction {
+            margin-bottom: 8px;
+            color: #555;
+        }
+
+        .free-response-input {
+            width: 100%;
+            padding: 12px;
+            border: 2px solid #e0e0e0;
+            border-radius: 6px;
+            font-size: 14px;
+            font-family: inherit;
+            line-height: 1.5;
+            resize: vertical;
+            box-sizing: border-box;
+        }
+
+        .model-answer {
+            margin-bottom: 12px;
+            padding: 10px 12px;
+            background: white;
+            border-radius: 6px;
+        }
+
+        .rubric-list {
+            list-style: none;
+            padding: 0;
+            margin: 0 0 12px;
+        }
+
+        .rubric-list li {
+            margin-bottom: 6px;
+        }
+
         .coding-exercise {
             margin-bottom: 32px;
             padding: 20px;
@@ -1373,6 +2225,86 @@ async function generateStandaloneApp(course) {
             font-family: 'Courier New', monospace;
             font-size: 14px;
         }
+
+        .run-tests-btn {
+            padding: 10px 20px;
+            background: #2196F3;
+            color: white;
+            border: none;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 14px;
+            margin-top: 12px;
+            margin-right: 8px;
+        }
+
+        .run-tests-btn:hover {
+            background: #1976D2;
+        }
+
+        .run-tests-btn:disabled {
+            background: #90caf9;
+            cursor: not-allowed;
+        }
+
+        .test-results {
+            margin-top: 12px;
+            padding: 12px;
+            background: white;
+            border-radius: 6px;
+        }
+
+        .test-summary {
+            font-weight: 600;
+            color: #c62828;
+            margin-bottom: 8px;
+        }
+
+        .test-summary.all-passed {
+            color: #2e7d32;
+        }
+
+        .test-results ul {
+            list-style: none;
+        }
+
+        .test-results li {
+            padding: 8px 0 8px 12px;
+            border-left: 3px solid #c62828;
+            margin-bottom: 8px;
+            font-size: 14px;
+            color: #666;
+        }
+
+        .test-results li.passed {
+            border-left-color: #4CAF50;
+        }
+
+        .test-results li strong {
+            color: #333;
+        }
+
+        .test-results code {
+            background: #f5f5f5;
+            padding: 2px 6px;
+            border-radius: 3px;
+            font-family: 'Courier New', monospace;
+        }
+
+        .test-error {
+            color: #c62828;
+        }
+
+        .test-logs {
+            margin-top: 6px;
+            padding: 8px;
+            background: #1e1e1e;
+            color: #d4d4d4;
+            border-radius: 4px;
+            font-family: 'Courier New', monospace;
+            font-size: 13px;
+            white-space: pre-wrap;
+        }
     </style>
 </head>
 <body>
@@ -1389,7 +2321,7 @@ async function generateStandaloneApp(course) {
 
     <script>
         // Course data
-        const courseData = ${JSON.stringify(course, null, 2)};
+        const courseData = ${exportedCourseJSON(course)};
 
         // State management
         const state = {
@@ -1427,49 +2359,254 @@ async function generateStandaloneApp(course) {
             });
         }
 
-        // Handle answer selection
-        function handleAnswerSelect(questionId, answerIndex) {
-            state.selectedAnswers[questionId] = answerIndex;
-            
-            // Update UI
-            const questionElement = document.querySelector('[data-question-id="' + questionId + '"]');
-            if (!questionElement) return;
-            
-            // Remove selected class from all options
-            questionElement.querySelectorAll('.option').forEach(opt => {
-                opt.classList.remove('selected');
+        // Answer data for each question, keyed like the question elements (lesson id + question id)
+        const questions = {};
+        courseData.lessons.forEach((lesson, lessonIdx) => {
+            const lessonId = sanitizeId(lesson.id || ('lesson-' + lessonIdx));
+            (lesson.questions || []).forEach((question, qIdx) => {
+                questions[lessonId + '-' + sanitizeId(question.id || ('q-' + lessonIdx + '-' + qIdx))] = question;
             });
-            
-            // Add selected class to chosen option
-            const selectedOption = questionElement.querySelector('[data-option-index="' + answerIndex + '"]');
-            if (selectedOption) {
-                selectedOption.classList.add('selected');
+        });
+
+        // Same checking rules as the course viewer (client/src/utils/questions.js)
+        function normalizeBlank(value) {
+            return String(value == null ? '' : value).trim().replace(/\\s+/g, ' ').toLowerCase();
+        }
+
+        function isBlankCorrect(accepted, value) {
+            return (accepted || []).some(answer => normalizeBlank(answer) === normalizeBlank(value));
+        }
+
+        function isAnswerComplete(question, answer) {
+            if (answer === undefined || answer === null) return false;
+            switch (question.type) {
+                case 'multi-select': return answer.length > 0;
+                case 'fill-in-the-blank': return answer.some(value => String(value || '').trim() !== '');
+                case 'matching': return answer.some(value => value !== undefined && value !== null);
+                case 'short-answer':
+                case 'essay': return answer.trim() !== '';
+                default: return true;
             }
-            
-            // Show check button
+        }
+
+        function isAnswerCorrect(question, answer) {
+            if (!isAnswerComplete(question, answer)) return false;
+            switch (question.type) {
+                case 'multi-select': {
+                    const correct = question.correctAnswers || [];
+                    return answer.length === correct.length && answer.every(idx => correct.includes(idx));
+                }
+                case 'fill-in-the-blank':
+                    return (question.answers || []).every((accepted, idx) => isBlankCorrect(accepted, answer[idx]));
+                case 'ordering':
+                    return answer.every((itemIndex, position) => itemIndex === position);
+                case 'matching':
+                    return (question.pairs || []).every((pair, idx) => answer[idx] === idx);
+                default:
+                    return answer === question.correctAnswer;
+            }
+        }
+
+        // Indexes 0..n-1 in a random order that differs from the original whenever n > 1
+        function shuffledIndexes(length) {
+            const indexes = Array.from({ length: length }, (_, idx) => idx);
+            if (length < 2) return indexes;
+            do {
+                for (let i = indexes.length - 1; i > 0; i--) {
+                    const j = Math.floor(Math.random() * (i + 1));
+                    const swap = indexes[i];
+                    indexes[i] = indexes[j];
+                    indexes[j] = swap;
+                }
+            } while (indexes.every((value, idx) => value === idx));
+            return indexes;
+        }
+
+        function questionIdOf(element) {
+            return element.closest('.question').dataset.questionId;
+        }
+
+        // The value an option stands for: its index, or true/false for true-false questions
+        function optionValue(question, option) {
+            const idx = Number(option.dataset.optionIndex);
+            return question.type === 'true-false' ? idx === 0 : idx;
+        }
+
+        // Show the check button once there is an answer; re-mark it if it was already checked
+        function answerChanged(questionId) {
             const checkBtn = document.getElementById('check-btn-' + questionId);
             if (checkBtn) {
-                checkBtn.style.display = 'block';
+                checkBtn.style.display = isAnswerComplete(questions[questionId], state.selectedAnswers[questionId]) ? 'block' : 'none';
+            }
+            if (state.showExplanations[questionId]) {
+                checkAnswer(questionId);
+            }
+        }
+
+        // Multiple choice and true/false: one selected option
+        function handleAnswerSelect(option) {
+            const questionId = questionIdOf(option);
+            const question = questions[questionId];
+            state.selectedAnswers[questionId] = optionValue(question, option);
+
+            option.parentElement.querySelectorAll('.option').forEach(opt => {
+                opt.classList.toggle('selected', opt === option);
+            });
+            answerChanged(questionId);
+        }
+
+        function toggleMultiSelect(option) {
+            const questionId = questionIdOf(option);
+            const idx = Number(option.dataset.optionIndex);
+            const selected = state.selectedAnswers[questionId] || [];
+            const isSelected = !selected.includes(idx);
+            state.selectedAnswers[questionId] = isSelected ? selected.concat(idx) : selected.filter(i => i !== idx);
+
+            option.classList.toggle('selected', isSelected);
+            option.querySelector('input').checked = isSelected;
+            answerChanged(questionId);
+        }
+
+        function handleBlankInput(input) {
+            const questionId = questionIdOf(input);
+            const inputs = input.closest('.question').querySelectorAll('.blank-input');
+            state.selectedAnswers[questionId] = Array.from(inputs).map(el => el.value);
+            answerChanged(questionId);
+        }
+
+        function handleMatchSelect(select) {
+            const questionId = questionIdOf(select);
+            const selects = select.closest('.question').querySelectorAll('.matching-select');
+            state.selectedAnswers[questionId] = Array.from(selects).map(el => el.value === '' ? null : Number(el.value));
+            answerChanged(questionId);
+        }
+
+        function handleFreeResponseInput(textarea) {
+            const questionId = questionIdOf(textarea);
+            state.selectedAnswers[questionId] = textarea.value;
+            answerChanged(questionId);
+        }
+
+        function renderOrdering(questionId) {
+            const list = document.getElementById('ordering-' + questionId);
+            const items = questions[questionId].items || [];
+            const order = state.selectedAnswers[questionId];
+            list.innerHTML = order.map((itemIndex, position) =>
+                '<li><span>' + escapeHtml(items[itemIndex]) + '</span><span>' +
+                '<button onclick="moveOrderingItem(this, ' + position + ', -1)" title="Move up"' + (position === 0 ? ' disabled' : '') + '>&uarr;</button>' +
+                '<button onclick="moveOrderingItem(this, ' + position + ', 1)" title="Move down"' + (position === order.length - 1 ? ' disabled' : '') + '>&darr;</button>' +
+                '</span></li>'
+            ).join('');
+        }
+
+        function moveOrderingItem(button, position, offset) {
+            const questionId = questionIdOf(button);
+            const order = state.selectedAnswers[questionId];
+            const swap = order[position];
+            order[position] = order[position + offset];
+            order[position + offset] = swap;
+            renderOrdering(questionId);
+            answerChanged(questionId);
+        }
+
+        // Shuffle ordering items and matching choices once the page loads
+        function initializeQuestions() {
+            Object.keys(questions).forEach(questionId => {
+                const question = questions[questionId];
+                const questionElement = document.querySelector('[data-question-id="' + questionId + '"]');
+                if (!questionElement) return;
+
+                if (question.type === 'ordering') {
+                    state.selectedAnswers[questionId] = shuffledIndexes((question.items || []).length);
+                    renderOrdering(questionId);
+                    answerChanged(questionId);
+                } else if (question.type === 'matching') {
+                    const rightOrder = shuffledIndexes((question.pairs || []).length);
+                    const choices = '<option value="">Choose a match...</option>' + rightOrder
+                        .map(idx => '<option value="' + idx + '">' + escapeHtml(question.pairs[idx].right) + '</option>')
+                        .join('');
+                    questionElement.querySelectorAll('.matching-select').forEach(select => {
+                        select.innerHTML = choices;
+                    });
+                    state.selectedAnswers[questionId] = [];
+                }
+            });
+        }
+
+        // What the right answer was, for types where the highlighting alone does not show it
+        function describeCorrection(question) {
+            switch (question.type) {
+                case 'fill-in-the-blank':
+                    return 'Accepted answers: ' + (question.answers || []).map(accepted => accepted.join(' / ')).join('; ');
+                case 'ordering':
+                    return 'Correct order: ' + (question.items || []).join(' → ');
+                case 'matching':
+                    return 'Correct matches: ' + (question.pairs || []).map(pair => pair.left + ' → ' + pair.right).join('; ');
+                default:
+                    return '';
             }
         }
 
         // Check answer
-        function checkAnswer(questionId, correctAnswer) {
+        function checkAnswer(questionId) {
             state.showExplanations[questionId] = true;
-            
+
+            const question = questions[questionId];
+            const answer = state.selectedAnswers[questionId];
             const questionElement = document.querySelector('[data-question-id="' + questionId + '"]');
-            if (!questionElement) return;
-            
-            // Mark correct/incorrect answers
-            questionElement.querySelectorAll('.option').forEach((opt, idx) => {
-                opt.classList.remove('correct', 'incorrect');
-                if (idx === correctAnswer) {
-                    opt.classList.add('correct');
-                } else if (state.selectedAnswers[questionId] === idx) {
-                    opt.classList.add('incorrect');
-                }
-            });
-            
+            if (!question || !questionElement) return;
+
+            // Free-response answers are self-checked: just reveal the model answer and rubric
+            if (question.type === 'short-answer' || question.type === 'essay') {
+                document.getElementById('explanation-' + questionId).style.display = 'block';
+                return;
+            }
+
+            // Mark each part of the answer as correct or incorrect
+            if (question.type === 'fill-in-the-blank') {
+                questionElement.querySelectorAll('.blank-input').forEach((input, idx) => {
+                    const isCorrect = isBlankCorrect((question.answers || [])[idx], input.value);
+                    input.classList.toggle('correct', isCorrect);
+                    input.classList.toggle('incorrect', !isCorrect);
+                });
+            } else if (question.type === 'ordering') {
+                questionElement.querySelectorAll('.ordering-list li').forEach((item, position) => {
+                    item.classList.toggle('correct', answer[position] === position);
+                    item.classList.toggle('incorrect', answer[position] !== position);
+                });
+            } else if (question.type === 'matching') {
+                questionElement.querySelectorAll('.matching-row').forEach((row, idx) => {
+                    row.classList.toggle('correct', answer[idx] === idx);
+                    row.classList.toggle('incorrect', answer[idx] !== idx);
+                });
+            } else {
+                const isMulti = question.type === 'multi-select';
+                questionElement.querySelectorAll('.option').forEach(opt => {
+                    const value = optionValue(question, opt);
+                    const isCorrect = isMulti ? (question.correctAnswers || []).includes(value) : value === question.correctAnswer;
+                    const isSelected = isMulti ? (answer || []).includes(value) : answer === value;
+                    opt.classList.remove('correct', 'incorrect', 'missed');
+                    if (isCorrect) {
+                        opt.classList.add('correct');
+                        if (isMulti && !isSelected) opt.classList.add('missed');
+                    } else if (isSelected) {
+                        opt.classList.add('incorrect');
+                    }
+                });
+            }
+
+            const isCorrect = isAnswerCorrect(question, answer);
+            const result = document.getElementById('result-' + questionId);
+            if (result) {
+                result.textContent = isCorrect ? '✓ Correct' : '✗ Not quite';
+                result.className = 'question-result ' + (isCorrect ? 'correct' : 'incorrect');
+            }
+            const correction = document.getElementById('correction-' + questionId);
+            if (correction) {
+                correction.textContent = isCorrect ? '' : describeCorrection(question);
+                correction.style.display = correction.textContent ? 'block' : 'none';
+            }
+
             // Show explanation
             const explanation = document.getElementById('explanation-' + questionId);
             if (explanation) {
@@ -1493,11 +2630,61 @@ async function generateStandaloneApp(course) {
             }
         }
 
+        // Coding exercises keyed like their elements, for running their test cases
+        const exercises = {};
+        courseData.lessons.forEach((lesson, lessonIdx) => {
+            (lesson.codingExercises || []).forEach((exercise, exIdx) => {
+                exercises[sanitizeId(exercise.id || ('ex-' + lessonIdx + '-' + exIdx))] = exercise;
+            });
+        });
+
+        // The test runner the course viewer uses too (exercise-sandbox.js)
+        ${exerciseRunnerSource()}
+
+        // Run the code in the exercise's editor against each test case and show the results
+        async function showExerciseTests(exerciseId, button) {
+            const exercise = exercises[exerciseId];
+            const editor = document.getElementById('code-editor-' + exerciseId);
+            const container = document.getElementById('test-results-' + exerciseId);
+            if (!exercise || !editor || !container) return;
+
+            button.disabled = true;
+            button.textContent = 'Running...';
+            const results = await runExerciseTests(exercise, editor.value);
+            button.disabled = false;
+            button.textContent = 'Run Tests';
+
+            const passedCount = results.filter(result => result.passed).length;
+            const items = results.map((result, idx) => {
+                const testCase = exercise.testCases[idx];
+                let html = '<li class="' + (result.passed ? 'passed' : 'failed') + '">' +
+                    '<strong>' + (result.passed ? '✓' : '✗') + ' Test ' + (idx + 1) + '</strong>' +
+                    '<div>Input: <code>' + escapeHtml(testCase.input) + '</code> → Expected: <code>' + escapeHtml(testCase.expectedOutput) + '</code></div>';
+                if (result.error) {
+                    html += '<div class="test-error">' + escapeHtml(result.error) + '</div>';
+                } else if (!result.passed) {
+                    html += '<div>Got: <code>' + escapeHtml(result.actual) + '</code></div>';
+                }
+                if (result.logs.length > 0) {
+                    html += '<pre class="test-logs">' + escapeHtml(result.logs.join('\\n')) + '</pre>';
+                }
+                return html + '</li>';
+            });
+            container.innerHTML = '<p class="test-summary' + (passedCount === results.length ? ' all-passed' : '') + '">' +
+                passedCount + ' of ' + results.length + ' tests passed</p><ul>' + items.join('') + '</ul>';
+            container.style.display = 'block';
+        }
+
         // Initialize when DOM is ready
+        function initialize() {
+            initializeMarkdown();
+            initializeQuestions();
+        }
+
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', initializeMarkdown);
+            document.addEventListener('DOMContentLoaded', initialize);
         } else {
-            initializeMarkdown();
+            initialize();
         }
     </script>
 </body>
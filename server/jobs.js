@@ -0,0 +1,134 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+
+// In-memory store for background generation jobs.
+// Jobs live only as long as the server process; clients poll /api/jobs/:jobId
+// or subscribe to /api/jobs/:jobId/events.
+const jobs = new Map();
+
+// Lessons finished so far, kept apart from the job so status polls stay small
+const jobLessons = new Map();
+
+// Emits (jobId, eventName, payload) for every job update
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Finished jobs are kept around long enough for a reloaded page to pick up the result
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+export const JOB_STAGES = {
+  queued: 'Queued',
+  'reading-files': 'Reading files',
+  'calling-model': 'Calling the model',
+  verifying: 'Checking answers against the sources',
+  parsing: 'Parsing course',
+  saving: 'Saving course',
+  completed: 'Completed',
+  failed: 'Failed',
+};
+
+export function createJob(type) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `job-${randomUUID()}`,
+    type,
+    status: 'running',
+    stage: 'queued',
+    percent: 0,
+    message: JOB_STAGES.queued,
+    courseId: null,
+    error: null,
+    violations: null,
+    warnings: [],
+    // Source files converted to markdown, with what was lost on the way ({ name, format, warnings, error })
+    conversions: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+  jobs.set(job.id, job);
+  jobLessons.set(job.id, []);
+  return job;
+}
+
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+export function getJobLessons(jobId) {
+  return jobLessons.get(jobId) || [];
+}
+
+export function updateJob(jobId, fields) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+  if (fields.stage && !fields.message) {
+    job.message = JOB_STAGES[fields.stage] || fields.stage;
+  }
+
+  const eventName = job.status === 'running' ? 'progress' : job.status === 'completed' ? 'complete' : 'failed';
+  jobEvents.emit('event', job.id, eventName, job);
+  return job;
+}
+
+// Record a finished lesson and push it to anyone streaming the job
+function publishLesson(jobId, index, lesson) {
+  const lessons = jobLessons.get(jobId);
+  if (!lessons) return;
+
+  lessons[index] = lesson;
+  jobEvents.emit('event', jobId, 'lesson', { index, lesson });
+}
+
+// Listen to one job's events. Returns a function that removes the listener.
+export function subscribeToJob(jobId, listener) {
+  const handler = (eventJobId, eventName, payload) => {
+    if (eventJobId === jobId) {
+      listener(eventName, payload);
+    }
+  };
+  jobEvents.on('event', handler);
+  return () => jobEvents.off('event', handler);
+}
+
+// Run a job's work in the background. The task receives a progress reporter
+// ({ update(stage, percent, message), lesson(index, lesson), warn(message), conversions(list) })
+// and resolves with the created course id.
+export function runJob(job, task) {
+  const progress = {
+    update: (stage, percent, message) => updateJob(job.id, { stage, percent, message }),
+    lesson: (index, lesson) => publishLesson(job.id, index, lesson),
+    warn: (message) => updateJob(job.id, { warnings: [...job.warnings, message] }),
+    conversions: (conversions) => updateJob(job.id, { conversions }),
+  };
+
+  Promise.resolve()
+    .then(() => task(progress))
+    .then((courseId) => {
+      updateJob(job.id, { status: 'completed', stage: 'completed', percent: 100, courseId });
+      console.log(`Job ${job.id} completed: ${courseId}`);
+    })
+    .catch((error) => {
+      console.error(`Job ${job.id} failed:`, error);
+      updateJob(job.id, {
+        status: 'failed',
+        stage: 'failed',
+        error: error.message || 'Internal server error',
+        violations: error.violations || null,
+      });
+    });
+
+  return job;
+}
+
+// Drop finished jobs once nobody is likely to poll for them
+setInterval(() => {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.status !== 'running' && new Date(job.updatedAt).getTime() < cutoff) {
+      jobs.delete(id);
+      jobLessons.delete(id);
+    }
+  }
+}, 10 * 60 * 1000).unref();
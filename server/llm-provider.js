@@ -0,0 +1,191 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { withResponseCache } from './response-cache.js';
+import { withUsageLedger } from './usage-ledger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// LLM provider layer.
+// Every provider exposes the same shape:
+//   { name, model, complete({ prompt, maxTokens, label }) -> { content, finishReason, usage, model } }
+// The provider is chosen with LLM_PROVIDER:
+//   grok              - x.ai chat completions (GROK_API_KEY, optional GROK_MODEL)
+//   openai-compatible - any /chat/completions API (LLM_API_URL, LLM_API_KEY, LLM_MODEL)
+//   fixture           - replays recorded responses from LLM_FIXTURE_DIR, no network needed
+// Set LLM_RECORD_FIXTURES=true to save every live response into LLM_FIXTURE_DIR for later replay.
+
+const GROK_API_URL = 'https://api.x.ai/v1/chat/completions';
+const DEFAULT_GROK_MODEL = 'grok-4-1-fast-reasoning';
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'llm');
+
+// Fixture files are keyed by a hash of the prompt so replays are exact
+export function promptFixtureKey(prompt) {
+  return createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+}
+
+// Shared request logic for every API that speaks the OpenAI chat completions format
+function createChatCompletionsProvider({ name, displayName, url, apiKey, model, missingKeyMessage }) {
+  return {
+    name,
+    model,
+    async complete({ prompt, maxTokens }) {
+      if (!apiKey) {
+        throw new Error(missingKeyMessage);
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          messages: [
+            {
+              role: 'user',
+              content: prompt,
+            },
+          ],
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`${displayName} API error (${response.status}): ${errorData.error?.message || response.statusText}`);
+      }
+
+      const data = await response.json();
+
+      if (!data.choices || data.choices.length === 0 || !data.choices[0].message) {
+        throw new Error(`Empty response from ${displayName} API`);
+      }
+
+      const content = data.choices[0].message.content;
+      if (!content) {
+        throw new Error(`No text content found in ${displayName} API response`);
+      }
+
+      return {
+        content,
+        finishReason: data.choices[0].finish_reason,
+        usage: data.usage,
+        model: data.model || model,
+      };
+    },
+  };
+}
+
+function createGrokProvider() {
+  return createChatCompletionsProvider({
+    name: 'grok',
+    displayName: 'Grok',
+    url: GROK_API_URL,
+    apiKey: process.env.GROK_API_KEY,
+    model: process.env.GROK_MODEL || DEFAULT_GROK_MODEL,
+    missingKeyMessage: 'GROK_API_KEY is not set in environment variables',
+  });
+}
+
+function createOpenAICompatibleProvider() {
+  const baseUrl = process.env.LLM_API_URL;
+  if (!baseUrl || !process.env.LLM_MODEL) {
+    throw new Error('LLM_API_URL and LLM_MODEL must be set to use the openai-compatible provider');
+  }
+
+  return createChatCompletionsProvider({
+    name: 'openai-compatible',
+    displayName: 'LLM',
+    url: baseUrl.endsWith('/chat/completions') ? baseUrl : `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+    apiKey: process.env.LLM_API_KEY,
+    model: process.env.LLM_MODEL,
+    missingKeyMessage: 'LLM_API_KEY is not set in environment variables',
+  });
+}
+
+// Replays responses saved as plain text files. For each call it tries, in order:
+//   <prompt hash>.txt       - exact recording of this prompt
+//   <label>.txt             - e.g. lesson-2.txt, outline.txt
+//   <label without index>.txt - e.g. lesson.txt, lesson-repair.txt
+function createFixtureProvider(fixtureDir) {
+  return {
+    name: 'fixture',
+    model: 'fixture',
+    async complete({ prompt, label = '' }) {
+      const labelSlug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const candidates = [...new Set([
+        promptFixtureKey(prompt),
+        labelSlug,
+        labelSlug.replace(/-\d+/g, ''),
+      ].filter(Boolean))].map(name => path.join(fixtureDir, `${name}.txt`));
+
+      for (const candidate of candidates) {
+        try {
+          const content = await fs.readFile(candidate, 'utf-8');
+          console.log(`Replaying fixture: ${path.relative(__dirname, candidate)}`);
+          return { content, finishReason: 'stop', usage: null, model: 'fixture' };
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+
+      throw new Error(`No fixture found for "${label}". Tried: ${candidates.map(c => path.basename(c)).join(', ')}`);
+    },
+  };
+}
+
+// Wrap a live provider so each response is also written out as a replayable fixture
+function withFixtureRecording(provider, fixtureDir) {
+  return {
+    ...provider,
+    async complete(request) {
+      const result = await provider.complete(request);
+      await fs.mkdir(fixtureDir, { recursive: true });
+      const fixturePath = path.join(fixtureDir, `${promptFixtureKey(request.prompt)}.txt`);
+      await fs.writeFile(fixturePath, result.content, 'utf-8');
+      console.log(`Recorded fixture: ${fixturePath}`);
+      return result;
+    },
+  };
+}
+
+export function createLLMProvider(name = process.env.LLM_PROVIDER || 'grok') {
+  const fixtureDir = process.env.LLM_FIXTURE_DIR
+    ? path.resolve(process.env.LLM_FIXTURE_DIR)
+    : DEFAULT_FIXTURE_DIR;
+
+  let provider;
+  switch (name) {
+    case 'grok':
+      provider = createGrokProvider();
+      break;
+    case 'openai-compatible':
+      provider = createOpenAICompatibleProvider();
+      break;
+    case 'fixture':
+      return createFixtureProvider(fixtureDir);
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use grok, openai-compatible, or fixture`);
+  }
+
+  return process.env.LLM_RECORD_FIXTURES === 'true'
+    ? withFixtureRecording(provider, fixtureDir)
+    : provider;
+}
+
+let activeProvider = null;
+
+// The configured provider, created on first use so .env has been loaded by then.
+// Identical prompts are answered from the response cache; every call that does reach
+// the provider is recorded in the usage ledger.
+export function getLLMProvider() {
+  if (!activeProvider) {
+    activeProvider = withResponseCache(withUsageLedger(createLLMProvider()));
+    console.log(`Using LLM provider: ${activeProvider.name} (${activeProvider.model})`);
+  }
+  return activeProvider;
+}
@@ -0,0 +1,248 @@
+import { supabase } from './supabase.js';
+
+// Prompt templates drive the two generation passes (outline and lesson).
+// Templates live in the prompt_templates table; every save inserts a new version,
+// so a course can always be traced back to the exact prompt that produced it.
+// The built-in default is used until an admin saves a version of their own.
+
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+// Variables available to each prompt, written as {{name}} in the template body.
+// Required variables carry the JSON structure and source material, without which
+// the model's output cannot be parsed or grounded.
+export const TEMPLATE_VARIABLES = {
+  outline: {
+    jsonInstruction: { description: 'Instruction to return only JSON', required: false },
+    outlineShape: { description: 'The JSON structure the outline must follow', required: true },
+    requirements: { description: 'Lesson count, audience and difficulty lines from the generation settings', required: false },
+    fileNames: { description: 'JSON array of the uploaded file names', required: false },
+    sourceContent: { description: 'All source markdown, one section per file', required: true },
+  },
+  lesson: {
+    courseTitle: { description: 'Course title from the outline', required: false },
+    courseOutline: { description: 'Numbered list of every lesson title, marking this one', required: false },
+    lessonNumber: { description: 'Position of this lesson, starting at 1', required: false },
+    lessonTitle: { description: 'Title of this lesson from the outline', required: false },
+    lessonSummary: { description: 'Summary of this lesson from the outline', required: false },
+    jsonInstruction: { description: 'Instruction to return only JSON', required: false },
+    lessonShape: { description: 'The JSON structure the lesson must follow', required: true },
+    requirements: { description: 'Question, exercise, audience and difficulty lines from the generation settings', required: false },
+    sourceContent: { description: 'Markdown of the source files this lesson draws from', required: true },
+  },
+};
+
+const DEFAULT_OUTLINE_PROMPT = `You are an expert course creator. Based on the following markdown content, plan an interactive course. Do NOT write the lessons yet, only the outline.
+
+{{jsonInstruction}}
+
+Return a JSON object with this EXACT structure:
+{{outlineShape}}
+
+Requirements:
+{{requirements}}
+- Order lessons so that each one builds on the previous ones
+- "sourceFiles" must list the file names the lesson draws from, chosen from: {{fileNames}}
+- Return ONLY the JSON object, nothing else
+
+Markdown Content:
+
+{{sourceContent}}`;
+
+const DEFAULT_LESSON_PROMPT = `You are an expert course creator writing one lesson of the course "{{courseTitle}}".
+
+Course outline:
+{{courseOutline}}
+
+Write lesson {{lessonNumber}}: "{{lessonTitle}}"
+Lesson summary: {{lessonSummary}}
+
+{{jsonInstruction}}
+
+Return a JSON object with this EXACT structure:
+{{lessonShape}}
+
+Requirements:
+- Cover only this lesson's topic; other lessons cover the rest of the outline
+{{requirements}}
+- Ensure all JSON is valid and properly formatted
+- Return ONLY the JSON object, nothing else
+
+Markdown Content:
+
+{{sourceContent}}`;
+
+export const BUILT_IN_TEMPLATE = {
+  id: DEFAULT_TEMPLATE_ID,
+  version: 1,
+  name: 'Default',
+  description: 'Built-in prompts shipped with Course Builder',
+  outlinePrompt: DEFAULT_OUTLINE_PROMPT,
+  lessonPrompt: DEFAULT_LESSON_PROMPT,
+  createdAt: null,
+  builtIn: true,
+};
+
+// Small course used to preview templates without uploading anything
+export const PREVIEW_SOURCE_FILES = [
+  {
+    name: 'variables.md',
+    content: '# Variables\n\nUse `let` for values that change and `const` for values that do not.',
+  },
+  {
+    name: 'functions.md',
+    content: '# Functions\n\nFunctions group statements so they can be reused:\n\n```js\nfunction add(a, b) {\n  return a + b;\n}\n```',
+  },
+];
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Replace every {{name}} with its value; unknown names are left as written
+export function renderTemplate(body, variables) {
+  return body.replace(VARIABLE_PATTERN, (match, name) =>
+    Object.hasOwn(variables, name) ? String(variables[name]) : match
+  );
+}
+
+function checkPrompt(violations, body, kind, path) {
+  if (typeof body !== 'string' || body.trim() === '') {
+    violations.push({ path, message: 'must be a non-empty string' });
+    return;
+  }
+
+  const known = TEMPLATE_VARIABLES[kind];
+  const used = new Set([...body.matchAll(VARIABLE_PATTERN)].map(match => match[1]));
+
+  for (const name of used) {
+    if (!Object.hasOwn(known, name)) {
+      violations.push({ path, message: `uses unknown variable {{${name}}}` });
+    }
+  }
+  for (const [name, variable] of Object.entries(known)) {
+    if (variable.required && !used.has(name)) {
+      violations.push({ path, message: `must include {{${name}}}` });
+    }
+  }
+}
+
+// Returns violations in the same { path, message } format as the course schema
+export function validatePromptTemplate(template) {
+  const violations = [];
+  if (!template || typeof template !== 'object') {
+    return [{ path: 'template', message: 'must be an object' }];
+  }
+
+  if (typeof template.name !== 'string' || template.name.trim() === '') {
+    violations.push({ path: 'name', message: 'must be a non-empty string' });
+  }
+  checkPrompt(violations, template.outlinePrompt, 'outline', 'outlinePrompt');
+  checkPrompt(violations, template.lessonPrompt, 'lesson', 'lessonPrompt');
+
+  return violations;
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    version: row.version,
+    name: row.name,
+    description: row.description || '',
+    outlinePrompt: row.outline_prompt,
+    lessonPrompt: row.lesson_prompt,
+    createdAt: row.created_at,
+    builtIn: false,
+  };
+}
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in your .env file');
+  }
+}
+
+// Every version of a template, newest first. The built-in default is version 1
+// of the "default" template, so saved versions of it start at 2.
+export async function listPromptTemplateVersions(id) {
+  let versions = [];
+  if (supabase) {
+    const { data, error } = await supabase
+      .from('prompt_templates')
+      .select('*')
+      .eq('id', id)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    versions = (data || []).map(fromRow);
+  }
+
+  if (id === DEFAULT_TEMPLATE_ID) {
+    versions.push(BUILT_IN_TEMPLATE);
+  }
+  return versions;
+}
+
+// The latest version of every template
+export async function listPromptTemplates() {
+  const latest = new Map();
+  if (supabase) {
+    const { data, error } = await supabase
+      .from('prompt_templates')
+      .select('*')
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    for (const row of data || []) {
+      if (!latest.has(row.id)) latest.set(row.id, fromRow(row));
+    }
+  }
+
+  if (!latest.has(DEFAULT_TEMPLATE_ID)) {
+    latest.set(DEFAULT_TEMPLATE_ID, BUILT_IN_TEMPLATE);
+  }
+
+  return [...latest.values()].sort((a, b) =>
+    a.id === DEFAULT_TEMPLATE_ID ? -1 : b.id === DEFAULT_TEMPLATE_ID ? 1 : a.name.localeCompare(b.name)
+  );
+}
+
+// A specific version, or the latest when version is omitted; null if it does not exist
+export async function getPromptTemplate(id = DEFAULT_TEMPLATE_ID, version = null) {
+  const versions = await listPromptTemplateVersions(id);
+  if (version === null || version === undefined || version === '') {
+    return versions[0] || null;
+  }
+  return versions.find(template => template.version === Number(version)) || null;
+}
+
+// Save a new version. Without an id a new template is created at version 1.
+export async function savePromptTemplateVersion({ id, name, description, outlinePrompt, lessonPrompt }) {
+  requireSupabase();
+
+  let templateId = id;
+  let version = 1;
+  if (templateId) {
+    const current = await getPromptTemplate(templateId);
+    if (!current) {
+      return null;
+    }
+    version = current.version + 1;
+  } else {
+    templateId = `template-${Date.now()}`;
+  }
+
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .insert({
+      id: templateId,
+      version,
+      name: name.trim(),
+      description: description || '',
+      outline_prompt: outlinePrompt,
+      lesson_prompt: lessonPrompt,
+      created_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return fromRow(data);
+}
@@ -0,0 +1,178 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash } from 'crypto';
+import { supabase } from './supabase.js';
+
+// Content-hash cache for model responses.
+// Each completion is stored in the response_cache table under a hash of the normalized
+// prompt, provider, model and token limit. The prompt already contains the source files,
+// the generation options and the prompt template text, so uploading the same files with
+// the same settings replays the stored responses instead of paying for new calls.
+// Hits never reach the usage ledger, since nothing was spent.
+// A new response is only stored when the caller commits it, once it has parsed and
+// validated; otherwise a broken response would be replayed to every retry of its prompt.
+
+export const CACHE_MODES = {
+  use: 'Reuse cached responses and store new ones',
+  bypass: 'Ignore the cache for this request',
+  refresh: 'Call the model again and replace the cached responses',
+};
+
+const cacheModeContext = new AsyncLocalStorage();
+
+export class CacheModeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CacheModeError';
+  }
+}
+
+export function parseCacheMode(value, defaultMode = 'use') {
+  if (value === undefined || value === null || value === '') return defaultMode;
+  if (typeof value !== 'string' || !Object.hasOwn(CACHE_MODES, value)) {
+    throw new CacheModeError(`cache must be one of: ${Object.keys(CACHE_MODES).join(', ')}`);
+  }
+  return value;
+}
+
+// Run fn with every model call it makes following the given cache mode
+export function withCacheMode(mode, fn) {
+  return cacheModeContext.run(mode, fn);
+}
+
+// Line endings and trailing whitespace do not change what the model is asked
+function normalizePrompt(prompt) {
+  return prompt
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+export function responseCacheKey(provider, { prompt, maxTokens }) {
+  return createHash('sha256')
+    .update(JSON.stringify({
+      provider: provider.name,
+      model: provider.model,
+      maxTokens: maxTokens || null,
+      prompt: normalizePrompt(prompt),
+    }))
+    .digest('hex');
+}
+
+// Cache failures are logged and treated as a miss; they never fail the call
+async function readCachedResponse(key) {
+  try {
+    const { data, error } = await supabase
+      .from('response_cache')
+      .select('*')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    const { error: updateError } = await supabase
+      .from('response_cache')
+      .update({ hit_count: (data.hit_count || 0) + 1, last_hit_at: new Date().toISOString() })
+      .eq('key', key);
+    if (updateError) throw updateError;
+
+    return data;
+  } catch (error) {
+    console.warn('⚠️ Could not read response cache:', error.message);
+    return null;
+  }
+}
+
+async function storeResponse(key, request, result) {
+  try {
+    const { error } = await supabase
+      .from('response_cache')
+      .upsert({
+        key,
+        label: request.label || null,
+        model: result.model || null,
+        content: result.content,
+        finish_reason: result.finishReason || null,
+        usage: result.usage || null,
+        hit_count: 0,
+        created_at: new Date().toISOString(),
+        last_hit_at: null,
+      });
+    if (error) throw error;
+  } catch (error) {
+    console.warn('⚠️ Could not write response cache:', error.message);
+  }
+}
+
+// Wrap a provider so identical prompts are answered from the cache. Fixture responses
+// are already local and free, so they are never cached; that way edits to a fixture
+// file take effect on the next run. Responses from the model come back with a commit()
+// that stores them; cached responses and uncached modes have none.
+export function withResponseCache(provider) {
+  if (provider.name === 'fixture') {
+    return provider;
+  }
+
+  return {
+    ...provider,
+    async complete(request) {
+      const mode = cacheModeContext.getStore() || 'use';
+      if (!supabase || mode === 'bypass') {
+        return provider.complete(request);
+      }
+
+      const key = responseCacheKey(provider, request);
+      if (mode === 'use') {
+        const cached = await readCachedResponse(key);
+        if (cached) {
+          console.log(`Cache hit (${request.label}): ${key.slice(0, 12)}`);
+          return {
+            content: cached.content,
+            finishReason: cached.finish_reason,
+            usage: cached.usage,
+            model: cached.model || provider.model,
+            cached: true,
+          };
+        }
+      }
+
+      const result = await provider.complete(request);
+      // A truncated response would fail the same way every time it was replayed
+      if (result.finishReason === 'length') {
+        return result;
+      }
+      return { ...result, commit: () => storeResponse(key, request, result) };
+    },
+  };
+}
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in your .env file');
+  }
+}
+
+export async function countCachedResponses() {
+  requireSupabase();
+  const { count, error } = await supabase
+    .from('response_cache')
+    .select('*', { count: 'exact', head: true });
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// Remove every cached response; returns how many were removed
+export async function clearResponseCache() {
+  requireSupabase();
+  const { data, error } = await supabase
+    .from('response_cache')
+    .delete()
+    .neq('key', '')
+    .select('key');
+
+  if (error) throw error;
+  return data.length;
+}
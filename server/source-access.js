@@ -0,0 +1,148 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { assetContentType } from './course-assets.js';
+import { MAX_ARCHIVE_ENTRIES, isArchiveName, mb } from './source-archive.js';
+import { codeFileConverter } from './source-code.js';
+import { sourceConverter } from './source-converters.js';
+
+// What the server agrees to read sources from. Uploads are limited in count and size, stored
+// under cleaned-up names, and must be formats the server reads, with text formats holding text.
+// Folder paths and repositories are only read inside the folders listed in SOURCE_ROOTS,
+// separated like PATH; without it the server reads no folders of its own at all, and what
+// is read from a folder is limited much as an upload is (checkSourceRead).
+// Every refusal is a SourceAccessError carrying the HTTP status to answer with.
+
+export const MAX_UPLOAD_FILES = 500;
+export const MAX_UPLOAD_FILE_BYTES = 50 * 1024 * 1024;
+export const MAX_UPLOAD_BYTES = 200 * 1024 * 1024;
+// Files read from one folder, upload or repository: as many as a zip upload may hold
+export const MAX_SOURCE_FILES = MAX_ARCHIVE_ENTRIES;
+// Bytes read from the start of a text file to tell whether it is one
+const TEXT_SNIFF_BYTES = 8192;
+
+export class SourceAccessError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SourceAccessError';
+    this.status = status;
+  }
+}
+
+// The name an uploaded file is stored under: its own name without folders, with characters
+// that mean something to a file system replaced. Null when nothing usable is left.
+export function sanitizeUploadName(originalName) {
+  const name = String(originalName ?? '')
+    .split(/[\\/]/)
+    .pop()
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '_')
+    .trim();
+  if (!name || name.startsWith('.') || Buffer.byteLength(name) > 255) return null;
+  return name;
+}
+
+// Text formats with a NUL byte near the start are binary files under a text extension
+async function looksLikeText(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(TEXT_SNIFF_BYTES), 0, TEXT_SNIFF_BYTES, 0);
+    return !buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Check the files multer received for a source upload and return the name to store each under,
+// in the same order. sourceMode decides whether code files are accepted. The caller removes
+// the received files when this throws.
+export async function checkUploadedFiles(files, sourceMode) {
+  if (files.length > MAX_UPLOAD_FILES) {
+    throw new SourceAccessError(`Upload at most ${MAX_UPLOAD_FILES} files at a time`, 413);
+  }
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  if (totalBytes > MAX_UPLOAD_BYTES) {
+    throw new SourceAccessError(`The files together are larger than ${mb(MAX_UPLOAD_BYTES)}; upload fewer at a time`, 413);
+  }
+
+  const names = [];
+  for (const file of files) {
+    const name = sanitizeUploadName(file.originalname);
+    if (!name) {
+      throw new SourceAccessError(`"${file.originalname}" is not a usable file name`);
+    }
+    if (names.includes(name)) {
+      throw new SourceAccessError(`Two files are named ${name}; upload a .zip to keep files in folders`);
+    }
+
+    const converter = sourceConverter(name) || (sourceMode === 'code' ? codeFileConverter(name) : null);
+    if (isArchiveName(name)) {
+      if (files.length > 1) {
+        throw new SourceAccessError('Upload a single .zip archive, or individual files without one');
+      }
+    } else if (!converter && !assetContentType(name)) {
+      const hint = codeFileConverter(name) ? '; generate from source code to upload code' : '';
+      throw new SourceAccessError(`${name} is not a supported source, code or asset format${hint}`, 415);
+    } else if (converter && !converter.binary && !(await looksLikeText(file.path))) {
+      throw new SourceAccessError(`${name} is not a text file`, 415);
+    }
+    names.push(name);
+  }
+  return names;
+}
+
+// Count a file about to be read from a source folder against the limits of a single read.
+// totals ({ files, bytes }) carries what was read before it and is updated in place.
+export function checkSourceRead(totals, name, size) {
+  if (size > MAX_UPLOAD_FILE_BYTES) {
+    throw new SourceAccessError(`${name} is larger than ${mb(MAX_UPLOAD_FILE_BYTES)}`, 413);
+  }
+  totals.files += 1;
+  totals.bytes += size;
+  if (totals.files > MAX_SOURCE_FILES) {
+    throw new SourceAccessError(`The sources hold more than ${MAX_SOURCE_FILES} files; point to a smaller folder`, 413);
+  }
+  if (totals.bytes > MAX_UPLOAD_BYTES) {
+    throw new SourceAccessError(`The sources are larger than ${mb(MAX_UPLOAD_BYTES)} together; point to a smaller folder`, 413);
+  }
+}
+
+function sourceRoots() {
+  return (process.env.SOURCE_ROOTS || '')
+    .split(path.delimiter)
+    .map(root => root.trim())
+    .filter(root => path.isAbsolute(root))
+    .map(root => path.resolve(root));
+}
+
+const isInside = (child, parent) => child === parent || child.startsWith(parent.endsWith(path.sep) ? parent : parent + path.sep);
+
+// The real path of a folder or repository the server may read. The path is checked against
+// SOURCE_ROOTS as given, before anything on disk is looked at, and again once symbolic links
+// are resolved, so a link inside a root cannot lead out of it.
+export async function resolveSourcePath(requestedPath) {
+  const roots = sourceRoots();
+  if (roots.length === 0) {
+    throw new SourceAccessError('Reading folders on the server is turned off; set SOURCE_ROOTS to the folders it may read from', 403);
+  }
+  if (typeof requestedPath !== 'string' || !path.isAbsolute(requestedPath.trim())) {
+    throw new SourceAccessError('The folder path must be absolute');
+  }
+
+  const resolved = path.resolve(requestedPath.trim());
+  const outside = new SourceAccessError(`${resolved} is outside the folders the server may read from`, 403);
+  if (!roots.some(root => isInside(resolved, root))) throw outside;
+
+  let realPath;
+  try {
+    realPath = await fs.realpath(resolved);
+  } catch {
+    throw new SourceAccessError(`${resolved} does not exist`, 404);
+  }
+  const realRoots = await Promise.all(roots.map(root => fs.realpath(root).catch(() => null)));
+  if (!realRoots.some(root => root && isInside(realPath, root))) throw outside;
+
+  if (!(await fs.stat(realPath)).isDirectory()) {
+    throw new SourceAccessError(`${resolved} is not a folder`);
+  }
+  return realPath;
+}
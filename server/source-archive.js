@@ -0,0 +1,181 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { promisify } from 'util';
+import yauzl from 'yauzl';
+
+// Zip uploads of a docs tree. The archive is unpacked into the upload folder with its
+// folders intact, so sections, front matter order and relative asset links work as they
+// do for a folder path. Entries are checked before anything is written: no paths outside
+// the folder, no links, no encrypted entries, and limits on size and compression ratio so
+// a small upload cannot expand to fill the disk.
+
+export const MAX_ARCHIVE_ENTRIES = 5000;
+export const MAX_ARCHIVE_BYTES = 200 * 1024 * 1024;
+export const MAX_ARCHIVE_ENTRY_BYTES = 25 * 1024 * 1024;
+// Markdown compresses well, so the ratio only applies to entries above a megabyte
+const MAX_COMPRESSION_RATIO = 100;
+const RATIO_CHECK_BYTES = 1024 * 1024;
+
+export class SourceArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceArchiveError';
+  }
+}
+
+export const isArchiveName = (name) => path.extname(name).toLowerCase() === '.zip';
+
+// Sizes in messages, as the limits are written: 25 MB
+export const mb = (bytes) => `${bytes / (1024 * 1024)} MB`;
+
+const openZip = promisify(yauzl.open);
+const openZipBuffer = promisify(yauzl.fromBuffer);
+
+// Resolves with the next entry, or null after the last one
+function nextEntry(zipFile) {
+  return new Promise((resolve, reject) => {
+    const settle = (callback) => (value) => {
+      zipFile.off('entry', onEntry).off('end', onEnd).off('error', onError);
+      callback(value);
+    };
+    const onEntry = settle(resolve);
+    const onEnd = settle(() => resolve(null));
+    const onError = settle(reject);
+    zipFile.on('entry', onEntry).on('end', onEnd).on('error', onError);
+    zipFile.readEntry();
+  });
+}
+
+// Operating system clutter: macOS resource forks, .DS_Store, version control folders
+const isHiddenPath = (name) => name.split('/').some(segment => segment.startsWith('.') || segment === '__MACOSX');
+
+// Unix file type bits live in the high half of the external attributes
+const isSymlink = (entry) => ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+
+function checkEntry(entry) {
+  if (entry.isEncrypted()) {
+    throw new SourceArchiveError(`${entry.fileName} is encrypted; upload an archive without a password`);
+  }
+  if (entry.uncompressedSize > MAX_ARCHIVE_ENTRY_BYTES) {
+    throw new SourceArchiveError(`${entry.fileName} is larger than ${mb(MAX_ARCHIVE_ENTRY_BYTES)} when unpacked`);
+  }
+  if (entry.uncompressedSize > RATIO_CHECK_BYTES
+    && entry.uncompressedSize > entry.compressedSize * MAX_COMPRESSION_RATIO) {
+    throw new SourceArchiveError(`${entry.fileName} is compressed more than ${MAX_COMPRESSION_RATIO} to 1, which is not expected of source files`);
+  }
+}
+
+// Check a zip held in memory against the same rules without writing anything, for formats
+// that are zips underneath (.docx) before a library unpacks them. Every entry is inflated
+// and thrown away, so sizes are checked against the real bytes, not only the headers.
+// Throws SourceArchiveError for an entry that breaks a rule, and the zip reader's own error
+// when the buffer is not a zip.
+export async function checkArchiveBuffer(buffer) {
+  const zipFile = await openZipBuffer(buffer, { lazyEntries: true, validateEntrySizes: true });
+  const openEntry = promisify(zipFile.openReadStream.bind(zipFile));
+  if (zipFile.entryCount > MAX_ARCHIVE_ENTRIES) {
+    throw new SourceArchiveError(`The archive has ${zipFile.entryCount} entries; the limit is ${MAX_ARCHIVE_ENTRIES}`);
+  }
+
+  let totalBytes = 0;
+  for (let entry = await nextEntry(zipFile); entry; entry = await nextEntry(zipFile)) {
+    if (entry.fileName.endsWith('/')) continue;
+    checkEntry(entry);
+    totalBytes += entry.uncompressedSize;
+    if (totalBytes > MAX_ARCHIVE_BYTES) {
+      throw new SourceArchiveError(`The archive is larger than ${mb(MAX_ARCHIVE_BYTES)} when unpacked`);
+    }
+    try {
+      await pipeline(await openEntry(entry), new Writable({ write: (chunk, encoding, done) => done() }));
+    } catch (error) {
+      throw new SourceArchiveError(`Could not unpack ${entry.fileName}: ${error.message}`);
+    }
+  }
+}
+
+// Unpack a zip into destDir (which must not exist yet) and return { rootDir, warnings }.
+// rootDir is the single top-level folder when the archive holds nothing else, as when a
+// folder was zipped, so that folder does not become a section around every lesson.
+// Throws SourceArchiveError for archives that cannot be read or break a rule; nothing is
+// left behind in that case.
+export async function extractSourceArchive(zipPath, destDir) {
+  let zipFile;
+  try {
+    // yauzl rejects absolute paths and `..` segments itself, and stops reading an entry that
+    // turns out larger than its header says, so the size checks below hold for the real bytes
+    zipFile = await openZip(zipPath, { lazyEntries: true, autoClose: false, validateEntrySizes: true });
+  } catch (error) {
+    throw new SourceArchiveError(`Not a readable zip archive: ${error.message}`);
+  }
+
+  const openEntry = promisify(zipFile.openReadStream.bind(zipFile));
+  const warnings = [];
+  const skippedLinks = [];
+  let totalBytes = 0;
+  let fileCount = 0;
+
+  const readNext = () => nextEntry(zipFile).catch((error) => {
+    throw new SourceArchiveError(`Invalid zip archive: ${error.message}`);
+  });
+
+  try {
+    if (zipFile.entryCount > MAX_ARCHIVE_ENTRIES) {
+      throw new SourceArchiveError(`The archive has ${zipFile.entryCount} entries; the limit is ${MAX_ARCHIVE_ENTRIES}`);
+    }
+    await fs.mkdir(destDir, { recursive: true });
+
+    for (let entry = await readNext(); entry; entry = await readNext()) {
+      const name = entry.fileName.replace(/\/+$/, '');
+      if (!name || isHiddenPath(name)) continue;
+
+      // Checked again here so a path that slips past the zip reader still cannot leave destDir
+      const target = path.resolve(destDir, ...name.split('/'));
+      if (!target.startsWith(path.resolve(destDir) + path.sep)) {
+        throw new SourceArchiveError(`${entry.fileName} points outside the archive`);
+      }
+
+      if (entry.fileName.endsWith('/')) {
+        await fs.mkdir(target, { recursive: true });
+        continue;
+      }
+      if (isSymlink(entry)) {
+        skippedLinks.push(name);
+        continue;
+      }
+
+      checkEntry(entry);
+      totalBytes += entry.uncompressedSize;
+      if (totalBytes > MAX_ARCHIVE_BYTES) {
+        throw new SourceArchiveError(`The archive is larger than ${mb(MAX_ARCHIVE_BYTES)} when unpacked`);
+      }
+
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await pipeline(await openEntry(entry), createWriteStream(target, { flags: 'wx' }));
+      } catch (error) {
+        throw new SourceArchiveError(`Could not unpack ${entry.fileName}: ${error.message}`);
+      }
+      fileCount++;
+    }
+
+    if (fileCount === 0) {
+      throw new SourceArchiveError('The archive has no files');
+    }
+  } catch (error) {
+    await fs.rm(destDir, { recursive: true, force: true });
+    throw error;
+  } finally {
+    zipFile.close();
+  }
+
+  if (skippedLinks.length > 0) {
+    warnings.push(`Left out symbolic links in the archive: ${skippedLinks.join(', ')}`);
+  }
+
+  const topLevel = await fs.readdir(destDir, { withFileTypes: true });
+  const rootDir = topLevel.length === 1 && topLevel[0].isDirectory() ? path.join(destDir, topLevel[0].name) : destDir;
+  return { rootDir, warnings };
+}
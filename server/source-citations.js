@@ -0,0 +1,105 @@
+// Source provenance for generated content.
+// Lessons and questions carry `citations`: [{ file, anchor, heading }], where file is a
+// source file name from the course's stored `sources` and anchor is the GitHub-style slug
+// of a heading in that file (null when the whole file is cited). The client builds the
+// same anchors when it renders a source, so a citation can open the exact section.
+
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+// GitHub-style heading slug: lowercase, inline markdown removed, punctuation dropped, spaces to dashes
+export function slugifyHeading(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[`*_~]/g, '')
+    .replace(/<[^>]*>/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-');
+}
+
+// Every ATX heading in a markdown file, skipping fenced code. Repeated slugs get -1, -2, ...
+export function markdownHeadings(markdown) {
+  const headings = [];
+  const seen = new Map();
+  let inFence = false;
+
+  for (const line of (markdown || '').split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+
+    const match = HEADING_PATTERN.exec(line);
+    if (!match) continue;
+
+    const text = match[2];
+    const slug = slugifyHeading(text);
+    const count = seen.get(slug) || 0;
+    seen.set(slug, count + 1);
+    headings.push({ level: match[1].length, text, anchor: count === 0 ? slug : `${slug}-${count}` });
+  }
+
+  return headings;
+}
+
+// One line per file listing the anchors the model may cite
+export function formatSectionIndex(markdown) {
+  const anchors = markdownHeadings(markdown).map(heading => `#${heading.anchor}`);
+  return anchors.length > 0
+    ? `Section anchors to cite in "citations" for the lesson and each question: ${anchors.join(', ')}`
+    : 'Section anchors: none (cite this file in "citations" without an anchor)';
+}
+
+// Accept { file, anchor } objects or "file.md#anchor" strings from the model
+function parseCitation(citation) {
+  if (typeof citation === 'string') {
+    const [file, anchor] = citation.split('#');
+    return { file: file.trim(), anchor: anchor?.trim() || null };
+  }
+  if (citation && typeof citation === 'object' && typeof citation.file === 'string') {
+    return {
+      file: citation.file.trim(),
+      anchor: typeof citation.anchor === 'string' ? citation.anchor.replace(/^#/, '').trim() || null : null,
+    };
+  }
+  return null;
+}
+
+// Keep only citations that point at real files, resolve anchors against the file's headings,
+// and drop duplicates. An anchor that matches nothing is widened to the whole file rather than lost.
+export function normalizeCitations(citations, sources) {
+  if (!Array.isArray(citations) || !Array.isArray(sources) || sources.length === 0) {
+    return [];
+  }
+
+  const normalized = [];
+  const seen = new Set();
+
+  for (const raw of citations) {
+    const citation = parseCitation(raw);
+    if (!citation) continue;
+
+    const source = sources.find(file => file.name === citation.file)
+      || sources.find(file => file.name.split('/').pop() === citation.file.split('/').pop());
+    if (!source) continue;
+
+    let heading = null;
+    if (citation.anchor) {
+      const headings = markdownHeadings(source.content);
+      heading = headings.find(h => h.anchor === citation.anchor)
+        || headings.find(h => h.anchor === slugifyHeading(citation.anchor))
+        || null;
+    }
+
+    const key = `${source.name}#${heading?.anchor || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    normalized.push({ file: source.name, anchor: heading?.anchor || null, heading: heading?.text || null });
+  }
+
+  return normalized;
+}
@@ -0,0 +1,403 @@
+import path from 'path';
+import ts from 'typescript';
+import { SourceConversionError, decodeText, fence } from './source-converters.js';
+
+// Source code as course material. With the `code` source mode (generation-options.js) each
+// JavaScript, TypeScript or Python module becomes a markdown summary instead of raw text:
+// the module's doc comment, what it exports, and a section per exported function and class
+// with its doc comment and code. Short functions keep their whole body so lessons and
+// exercises can show how they work; longer ones are cut to their signature.
+// The summary's headings are the citation anchors, and the exported names come back as
+// `symbols` so generated exercises can be checked against the real API.
+
+const MAX_BODY_LINES = 40;
+
+// Dependencies, build output and caches; never the author's own code
+const IGNORED_CODE_FOLDERS = new Set(['node_modules', 'bower_components', '__pycache__', 'venv', 'env', 'site-packages', 'dist', 'build', 'coverage']);
+
+export const isIgnoredCodeFolder = (name) => name.startsWith('.') || IGNORED_CODE_FOLDERS.has(name);
+
+const lineCount = (text) => text.split('\n').length;
+
+// The text of a /** */ block without its delimiters and leading asterisks
+function cleanDocComment(comment) {
+  return comment
+    .replace(/^\/\*\*?!?/, '')
+    .replace(/\*\/$/, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*\* ?/, ''))
+    .join('\n')
+    .trim();
+}
+
+function section(heading, doc, code, language) {
+  return [heading, doc, code && fence(code, language)].filter(Boolean).join('\n\n');
+}
+
+function moduleSummary(name, moduleDoc, exportNames, sections) {
+  const parts = [`# ${name}`];
+  if (moduleDoc) parts.push(moduleDoc);
+  if (exportNames.length > 0) parts.push(`Exports: ${exportNames.map(exportName => `\`${exportName}\``).join(', ')}`);
+  return `${[...parts, ...sections].join('\n\n')}\n`;
+}
+
+// JavaScript and TypeScript
+
+const SCRIPT_KINDS = {
+  '.js': ts.ScriptKind.JS,
+  '.mjs': ts.ScriptKind.JS,
+  '.cjs': ts.ScriptKind.JS,
+  '.jsx': ts.ScriptKind.JSX,
+  '.ts': ts.ScriptKind.TS,
+  '.mts': ts.ScriptKind.TS,
+  '.cts': ts.ScriptKind.TS,
+  '.tsx': ts.ScriptKind.TSX,
+};
+
+const hasModifier = (node, kind) => Boolean(ts.canHaveModifiers(node) && ts.getModifiers(node)?.some(modifier => modifier.kind === kind));
+const isFunctionValue = (node) => node && (ts.isArrowFunction(node) || ts.isFunctionExpression(node));
+
+// module.exports / exports, as the left side of an assignment
+function commonJSExport(expression) {
+  if (ts.isIdentifier(expression) && expression.text === 'exports') return '';
+  if (ts.isPropertyAccessExpression(expression)) {
+    if (ts.isIdentifier(expression.expression) && expression.expression.text === 'module' && expression.name.text === 'exports') return '';
+    if (commonJSExport(expression.expression) === '') return expression.name.text;
+  }
+  return null;
+}
+
+function summarizeScript(text, name, language) {
+  const sourceFile = ts.createSourceFile(name, text, ts.ScriptTarget.Latest, true, SCRIPT_KINDS[path.extname(name).toLowerCase()]);
+
+  // The /** */ block right above a node; one set apart by a blank line belongs to something else
+  const docOf = (node) => {
+    const ranges = ts.getLeadingCommentRanges(text, node.getFullStart()) || [];
+    const doc = ranges.reverse().find(range => text.startsWith('/**', range.pos));
+    if (!doc || /\n\s*\n/.test(text.slice(doc.end, node.getStart(sourceFile)))) return '';
+    return cleanDocComment(text.slice(doc.pos, doc.end));
+  };
+  const source = (node) => text.slice(node.getStart(sourceFile), node.end);
+  // The whole declaration when it is short, otherwise a function up to its body
+  // or the first lines of anything else
+  const functionCode = (node, body) => {
+    const code = source(node);
+    if (lineCount(code) <= MAX_BODY_LINES) return code;
+    if (!body) return `${code.split('\n').slice(0, MAX_BODY_LINES).join('\n')}\n// ... ${lineCount(code)} lines`;
+    return `${text.slice(node.getStart(sourceFile), body.getStart(sourceFile)).trimEnd()} { /* ${lineCount(code)} lines */ }`;
+  };
+
+  // A doc comment at the top of the file, set apart from the first statement or tagged as such
+  let moduleDoc = '';
+  const firstStatement = sourceFile.statements[0];
+  const headerComments = (ts.getLeadingCommentRanges(text, text.startsWith('#!') ? text.indexOf('\n') + 1 : 0) || [])
+    .filter(range => text.startsWith('/**', range.pos));
+  if (headerComments.length > 0) {
+    const header = headerComments[0];
+    const comment = text.slice(header.pos, header.end);
+    const following = firstStatement ? text.slice(header.end, firstStatement.getStart(sourceFile)) : '\n\n';
+    if (/@(file|fileoverview|module)\b/.test(comment) || /\n\s*\n/.test(following) || headerComments.length > 1) {
+      // @module names the module, which the summary heading already does; @file introduces the description
+      moduleDoc = cleanDocComment(comment).replace(/^@module\b.*\n?/m, '').replace(/^@(file|fileoverview)\b\s*/m, '').trim();
+    }
+  }
+
+  const localDeclarations = new Map();
+  for (const statement of sourceFile.statements) {
+    if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) && statement.name) {
+      localDeclarations.set(statement.name.text, statement);
+    } else if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations) {
+        if (ts.isIdentifier(declaration.name)) localDeclarations.set(declaration.name.text, statement);
+      }
+    }
+  }
+
+  const exportNames = [];
+  const symbols = new Set();
+  const sections = [];
+  const documented = new Set();
+  const reExports = [];
+
+  const documentClass = (node, exportName) => {
+    const heading = `## class ${exportName}`;
+    const members = [];
+    for (const member of node.members) {
+      const memberName = member.name && ts.isIdentifier(member.name) ? member.name.text : null;
+      const isPrivate = hasModifier(member, ts.SyntaxKind.PrivateKeyword) || hasModifier(member, ts.SyntaxKind.ProtectedKeyword)
+        || (member.name && ts.isPrivateIdentifier(member.name)) || memberName?.startsWith('_');
+      if (isPrivate) continue;
+      if (ts.isConstructorDeclaration(member)) {
+        members.push(section(`### new ${exportName}()`, docOf(member), functionCode(member, member.body), language));
+      } else if ((ts.isMethodDeclaration(member) || ts.isGetAccessorDeclaration(member) || ts.isSetAccessorDeclaration(member)) && memberName) {
+        members.push(section(`### ${exportName}.${memberName}`, docOf(member), functionCode(member, member.body), language));
+        symbols.add(memberName);
+      }
+    }
+    const classHeader = `${text.slice(node.getStart(sourceFile), node.members.pos).trimEnd()} ... }`;
+    sections.push(section(heading, docOf(node), classHeader, language), ...members);
+  };
+
+  const document = (exportName, node) => {
+    if (documented.has(node)) return;
+    documented.add(node);
+    if (exportName) symbols.add(exportName);
+    if (ts.isFunctionDeclaration(node)) {
+      sections.push(section(`## ${exportName}`, docOf(node), functionCode(node, node.body), language));
+    } else if (ts.isClassDeclaration(node) || ts.isClassExpression(node)) {
+      documentClass(node, exportName);
+    } else if (ts.isVariableStatement(node)) {
+      for (const declaration of node.declarationList.declarations) {
+        if (!ts.isIdentifier(declaration.name)) continue;
+        const name = declaration.name.text;
+        symbols.add(name);
+        const initializer = declaration.initializer;
+        if (initializer && ts.isClassExpression(initializer)) {
+          documentClass(initializer, name);
+        } else {
+          const body = isFunctionValue(initializer) ? initializer.body : null;
+          sections.push(section(`## ${name}`, docOf(node), functionCode(node, body && ts.isBlock(body) ? body : null), language));
+        }
+      }
+    } else {
+      sections.push(section(`## ${exportName}`, docOf(node), functionCode(node, null), language));
+    }
+  };
+
+  for (const statement of sourceFile.statements) {
+    const exported = hasModifier(statement, ts.SyntaxKind.ExportKeyword);
+    const isDefault = hasModifier(statement, ts.SyntaxKind.DefaultKeyword);
+
+    if (exported && (ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement))) {
+      const exportName = statement.name?.text || 'default';
+      exportNames.push(isDefault && statement.name ? `${exportName} (default)` : exportName);
+      document(exportName, statement);
+    } else if (exported && ts.isVariableStatement(statement)) {
+      statement.declarationList.declarations.forEach(declaration => exportNames.push(declaration.name.getText(sourceFile)));
+      document(null, statement);
+    } else if (exported && (ts.isInterfaceDeclaration(statement) || ts.isTypeAliasDeclaration(statement) || ts.isEnumDeclaration(statement))) {
+      exportNames.push(statement.name.text);
+      document(statement.name.text, statement);
+    } else if (ts.isExportDeclaration(statement)) {
+      // export { a, b as c } of local names; export ... from './other' only lists where they come from
+      const names = statement.exportClause && ts.isNamedExports(statement.exportClause)
+        ? statement.exportClause.elements.map(element => ({ local: (element.propertyName || element.name).text, exported: element.name.text }))
+        : [];
+      if (statement.moduleSpecifier) {
+        reExports.push(`${names.length > 0 ? names.map(({ exported }) => exported).join(', ') : '*'} from \`${statement.moduleSpecifier.text}\``);
+        names.forEach(({ exported }) => exportNames.push(exported));
+        continue;
+      }
+      for (const { local, exported } of names) {
+        exportNames.push(exported);
+        if (localDeclarations.has(local)) document(exported, localDeclarations.get(local));
+      }
+    } else if (ts.isExportAssignment(statement)) {
+      // export default <expression>
+      const expression = statement.expression;
+      exportNames.push('default');
+      if (ts.isIdentifier(expression) && localDeclarations.has(expression.text)) {
+        document(expression.text, localDeclarations.get(expression.text));
+      } else if (isFunctionValue(expression) || ts.isClassExpression(expression)) {
+        document('default', expression);
+      }
+    } else if (ts.isExpressionStatement(statement) && ts.isBinaryExpression(statement.expression)
+      && statement.expression.operatorToken.kind === ts.SyntaxKind.EqualsToken) {
+      // CommonJS: module.exports = { a, b }, module.exports = name, exports.name = value
+      const target = commonJSExport(statement.expression.left);
+      const value = statement.expression.right;
+      if (target === null) continue;
+      if (target === '' && ts.isObjectLiteralExpression(value)) {
+        for (const property of value.properties) {
+          const exportName = property.name && ts.isIdentifier(property.name) ? property.name.text : null;
+          if (!exportName) continue;
+          exportNames.push(exportName);
+          const local = ts.isShorthandPropertyAssignment(property)
+            ? exportName
+            : ts.isPropertyAssignment(property) && ts.isIdentifier(property.initializer) ? property.initializer.text : null;
+          if (local && localDeclarations.has(local)) {
+            document(exportName, localDeclarations.get(local));
+          } else if (ts.isMethodDeclaration(property) || (ts.isPropertyAssignment(property) && isFunctionValue(property.initializer))) {
+            symbols.add(exportName);
+            const body = ts.isMethodDeclaration(property) ? property.body : property.initializer.body;
+            sections.push(section(`## ${exportName}`, docOf(property), functionCode(property, body && ts.isBlock(body) ? body : null), language));
+          }
+        }
+      } else if (target === '' && ts.isIdentifier(value) && localDeclarations.has(value.text)) {
+        exportNames.push(value.text);
+        document(value.text, localDeclarations.get(value.text));
+      } else if (target) {
+        exportNames.push(target);
+        if (ts.isIdentifier(value) && localDeclarations.has(value.text)) {
+          document(target, localDeclarations.get(value.text));
+        } else {
+          symbols.add(target);
+          const body = isFunctionValue(value) ? value.body : null;
+          sections.push(section(`## ${target}`, docOf(statement), functionCode(statement, body && ts.isBlock(body) ? body : null), language));
+        }
+      }
+    }
+  }
+
+  if (reExports.length > 0) {
+    sections.push(`## Re-exports\n\n${reExports.map(line => `- ${line}`).join('\n')}`);
+  }
+  return { moduleDoc, exportNames: [...new Set(exportNames)], sections, symbols: [...symbols] };
+}
+
+// Python
+
+const DOCSTRING_START = /^[rRuU]?("""|''')/;
+
+// A docstring starting at lines[start]: { text, end } with end the index of its last line
+function readDocstring(lines, start) {
+  const first = lines[start]?.trim() || '';
+  const match = first.match(DOCSTRING_START);
+  if (!match) return null;
+  const quote = match[1];
+  const rest = first.slice(match[0].length);
+  if (rest.includes(quote)) {
+    return { text: rest.slice(0, rest.indexOf(quote)).trim(), end: start };
+  }
+  const body = [rest];
+  for (let idx = start + 1; idx < lines.length; idx++) {
+    if (lines[idx].includes(quote)) {
+      body.push(lines[idx].slice(0, lines[idx].indexOf(quote)));
+      return { text: dedent(body).trim(), end: idx };
+    }
+    body.push(lines[idx]);
+  }
+  return null;
+}
+
+function dedent(lines) {
+  const indents = lines.slice(1).filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+  const common = indents.length > 0 ? Math.min(...indents) : 0;
+  return [lines[0], ...lines.slice(1).map(line => line.slice(common))].join('\n');
+}
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+const isCode = (line) => line.trim() && !line.trim().startsWith('#');
+
+// The index of the line that ends a def or class header, where its parentheses close on a ':'
+function headerEnd(lines, start) {
+  let depth = 0;
+  for (let idx = start; idx < lines.length; idx++) {
+    const code = lines[idx].replace(/#.*$/, '');
+    for (const char of code) {
+      if ('([{'.includes(char)) depth++;
+      else if (')]}'.includes(char)) depth--;
+    }
+    if (depth <= 0 && code.trimEnd().endsWith(':')) return idx;
+  }
+  return lines.length - 1;
+}
+
+// def and class blocks directly inside lines[from, to) at the given indentation, with their decorators
+function pythonBlocks(lines, from, to, indent) {
+  const blocks = [];
+  for (let idx = from; idx < to; idx++) {
+    const line = lines[idx];
+    if (!isCode(line) || indentOf(line) !== indent) continue;
+    const match = line.trim().match(/^(async\s+def|def|class)\s+([A-Za-z_]\w*)/);
+    if (!match) continue;
+
+    let start = idx;
+    while (start > from && lines[start - 1].trim().startsWith('@') && indentOf(lines[start - 1]) === indent) start--;
+    const header = headerEnd(lines, idx);
+    let end = header + 1;
+    while (end < to && (!isCode(lines[end]) || indentOf(lines[end]) > indent)) end++;
+    // Trailing blank lines and comments belong to whatever comes next
+    let last = end - 1;
+    while (last > header && !isCode(lines[last])) last--;
+
+    const bodyStart = lines.slice(header + 1, end).findIndex(isCode);
+    const docstring = bodyStart === -1 ? null : readDocstring(lines, header + 1 + bodyStart);
+    blocks.push({
+      kind: match[1] === 'class' ? 'class' : 'def',
+      name: match[2],
+      indent,
+      start,
+      header,
+      end: last + 1,
+      bodyIndent: bodyStart === -1 ? indent + 4 : indentOf(lines[header + 1 + bodyStart]),
+      doc: docstring?.text || '',
+    });
+    idx = end - 1;
+  }
+  return blocks;
+}
+
+function summarizePython(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const firstCode = lines.findIndex(isCode);
+  const moduleDoc = firstCode === -1 ? '' : readDocstring(lines, firstCode)?.text || '';
+
+  // __all__, when the module sets it, decides what is public
+  const all = text.match(/^__all__\s*=\s*[[(]([\s\S]*?)[\])]/m);
+  const declared = all ? [...all[1].matchAll(/["']([A-Za-z_]\w*)["']/g)].map(match => match[1]) : null;
+  const isPublic = (name) => (declared ? declared.includes(name) : !name.startsWith('_'));
+
+  const outdent = (from, to, indent) => lines.slice(from, to).map(line => line.slice(Math.min(indent, indentOf(line)))).join('\n');
+  const blockCode = (block) => {
+    if (block.end - block.start <= MAX_BODY_LINES) return outdent(block.start, block.end, block.indent);
+    return `${outdent(block.start, block.header + 1, block.indent)}\n    ...  # ${block.end - block.start} lines`;
+  };
+
+  const symbols = [];
+  const sections = [];
+  const topLevel = pythonBlocks(lines, 0, lines.length, 0).filter(block => isPublic(block.name));
+  for (const block of topLevel) {
+    symbols.push(block.name);
+    if (block.kind === 'def') {
+      sections.push(section(`## ${block.name}`, block.doc, blockCode(block), 'python'));
+      continue;
+    }
+
+    sections.push(section(`## class ${block.name}`, block.doc, outdent(block.start, block.header + 1, 0), 'python'));
+    const methods = pythonBlocks(lines, block.header + 1, block.end, block.bodyIndent)
+      .filter(method => method.kind === 'def' && (!method.name.startsWith('_') || method.name === '__init__'));
+    for (const method of methods) {
+      if (method.name !== '__init__') symbols.push(method.name);
+      sections.push(section(`### ${block.name}.${method.name}`, method.doc, blockCode(method), 'python'));
+    }
+  }
+
+  const exportNames = declared || topLevel.map(block => block.name);
+  return { moduleDoc, exportNames, sections, symbols: [...new Set(symbols)] };
+}
+
+function codeConverter(language, summarize) {
+  return (buffer, title, name) => {
+    const warnings = [];
+    const text = decodeText(buffer, warnings);
+    const { moduleDoc, exportNames, sections, symbols } = summarize(text, name, language);
+    if (!moduleDoc && sections.length === 0) {
+      throw new SourceConversionError('nothing exported and no module doc comment');
+    }
+    return { content: moduleSummary(name, moduleDoc, exportNames, sections), warnings, symbols };
+  };
+}
+
+const convertJavaScript = codeConverter('javascript', summarizeScript);
+const convertTypeScript = codeConverter('typescript', summarizeScript);
+const convertPython = codeConverter('python', summarizePython);
+
+// Code formats by extension, read only in the `code` source mode
+export const CODE_CONVERTERS = {
+  '.js': { format: 'javascript', convert: convertJavaScript },
+  '.mjs': { format: 'javascript', convert: convertJavaScript },
+  '.cjs': { format: 'javascript', convert: convertJavaScript },
+  '.jsx': { format: 'javascript', convert: convertJavaScript },
+  '.ts': { format: 'typescript', convert: convertTypeScript },
+  '.mts': { format: 'typescript', convert: convertTypeScript },
+  '.cts': { format: 'typescript', convert: convertTypeScript },
+  '.tsx': { format: 'typescript', convert: convertTypeScript },
+  '.py': { format: 'python', convert: convertPython },
+};
+
+// Minified bundles are build output, whatever folder they are in
+export function codeFileConverter(name) {
+  if (/\.min\.[cm]?js$/i.test(name)) return null;
+  return CODE_CONVERTERS[path.extname(name).toLowerCase()] || null;
+}
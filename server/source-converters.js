@@ -0,0 +1,212 @@
+import path from 'path';
+import mammoth from 'mammoth';
+import TurndownService from 'turndown';
+import { SourceArchiveError, checkArchiveBuffer } from './source-archive.js';
+
+// Converters turn each supported source format into markdown before anything else reads it:
+// front matter, asset links, citations and the prompts only ever see markdown.
+// A converter takes the file's bytes, its display title and its path in the upload, and returns
+// { content, warnings }; it throws when the file cannot be read at all. Register a new format
+// in SOURCE_CONVERTERS, or in CODE_CONVERTERS (source-code.js) for code.
+
+// Notebook outputs longer than this are cut, so one noisy cell does not crowd out the lesson
+const MAX_OUTPUT_CHARS = 2000;
+
+export class SourceConversionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceConversionError';
+  }
+}
+
+export function decodeText(buffer, warnings) {
+  // Text never holds a NUL byte; this is a binary file under a text extension
+  if (buffer.includes(0)) {
+    throw new SourceConversionError('not a text file');
+  }
+  const text = buffer.toString('utf-8');
+  if (text.includes('\uFFFD')) {
+    warnings.push('The file is not valid UTF-8; some characters could not be read');
+  }
+  return text;
+}
+
+// A fence longer than any backtick run inside the text, so code containing ``` stays intact
+export function fence(text, language = '') {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longest + 1);
+  return `${marker}${language}\n${text.replace(/\n$/, '')}\n${marker}`;
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function htmlToMarkdown(html, warnings) {
+  const turndown = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced', bulletListMarker: '-' });
+  let removed = 0;
+  let embeddedImages = 0;
+
+  turndown.remove(['head', 'title', 'meta', 'link', 'style']);
+  turndown.addRule('active-content', {
+    filter: ['script', 'noscript', 'template', 'iframe', 'object', 'embed'],
+    replacement: () => {
+      removed++;
+      return '';
+    },
+  });
+  // Embedded images would put whole files into the prompt; linked images become course assets
+  turndown.addRule('embedded-images', {
+    filter: (node) => node.nodeName === 'IMG' && (!node.getAttribute('src') || node.getAttribute('src').startsWith('data:')),
+    replacement: () => {
+      embeddedImages++;
+      return '';
+    },
+  });
+  // Markdown tables cannot hold merged or multi-line cells; marked renders the HTML as it is
+  turndown.keep(['table']);
+
+  const markdown = turndown.turndown(html);
+  if (removed > 0) {
+    warnings.push(`Left out ${plural(removed, 'script or embedded element')}`);
+  }
+  if (embeddedImages > 0) {
+    warnings.push(`Left out ${plural(embeddedImages, 'embedded image')}; save images as separate files and link to them to include them`);
+  }
+  return markdown;
+}
+
+function convertMarkdown(buffer) {
+  const warnings = [];
+  return { content: decodeText(buffer, warnings), warnings };
+}
+
+// Plain text gets a heading from the file name, so citations have a section to point at
+function convertText(buffer, title) {
+  const warnings = [];
+  const text = decodeText(buffer, warnings).trim();
+  return { content: `# ${title}\n\n${text}\n`, warnings };
+}
+
+function convertHTML(buffer) {
+  const warnings = [];
+  const html = decodeText(buffer, warnings);
+  let markdown = htmlToMarkdown(html, warnings);
+
+  // The page title is dropped with <head>; keep it when the body has no top-level heading
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1].replace(/\s+/g, ' ').trim();
+  if (title && !/^# /m.test(markdown)) {
+    markdown = `# ${title}\n\n${markdown}`;
+  }
+  return { content: markdown, warnings };
+}
+
+const cellText = (source) => (Array.isArray(source) ? source.join('') : source || '');
+// Tracebacks carry terminal colour codes
+const stripAnsi = (text) => text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+
+// Markdown and code cells in order; each code cell is followed by its text outputs.
+// Image and other rich outputs are left out with a warning.
+function convertNotebook(buffer) {
+  const warnings = [];
+  let notebook;
+  try {
+    notebook = JSON.parse(decodeText(buffer, warnings).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new SourceConversionError(`not a valid notebook: ${error.message}`);
+  }
+  if (!notebook || !Array.isArray(notebook.cells)) {
+    throw new SourceConversionError('not a valid notebook: only nbformat 4 notebooks are supported');
+  }
+
+  const language = notebook.metadata?.kernelspec?.language || notebook.metadata?.language_info?.name || '';
+  let richOutputs = 0;
+  let shortened = 0;
+  const outputBlock = (text) => {
+    let output = stripAnsi(text);
+    if (output.length > MAX_OUTPUT_CHARS) {
+      output = `${output.slice(0, MAX_OUTPUT_CHARS)}\n...`;
+      shortened++;
+    }
+    return `Output:\n\n${fence(output, 'text')}`;
+  };
+
+  const parts = [];
+  for (const cell of notebook.cells) {
+    const source = cellText(cell.source).trim();
+    if (cell.cell_type === 'markdown') {
+      if (source) parts.push(source);
+      continue;
+    }
+    if (cell.cell_type !== 'code') {
+      if (source) parts.push(fence(source));
+      continue;
+    }
+
+    if (source) parts.push(fence(source, language));
+    for (const output of cell.outputs || []) {
+      if (output.output_type === 'stream') {
+        parts.push(outputBlock(cellText(output.text)));
+      } else if (output.output_type === 'error') {
+        parts.push(outputBlock((output.traceback?.length ? output.traceback.join('\n') : `${output.ename}: ${output.evalue}`)));
+      } else if (output.data?.['text/markdown']) {
+        parts.push(cellText(output.data['text/markdown']));
+      } else if (output.data?.['text/plain']) {
+        parts.push(outputBlock(cellText(output.data['text/plain'])));
+        if (Object.keys(output.data).some(type => type !== 'text/plain')) richOutputs++;
+      } else if (output.data) {
+        richOutputs++;
+      }
+    }
+  }
+
+  if (richOutputs > 0) {
+    warnings.push(`Left out ${plural(richOutputs, 'image or rich output')}; only text outputs are included`);
+  }
+  if (shortened > 0) {
+    warnings.push(`Shortened ${plural(shortened, 'output')} longer than ${MAX_OUTPUT_CHARS} characters`);
+  }
+  return { content: `${parts.join('\n\n')}\n`, warnings };
+}
+
+const NOT_A_DOCX = 'not a readable Word document; only .docx files saved by Word or a compatible editor are supported';
+
+// Word documents go through HTML, so headings, lists, tables and links come out as they would from a page
+async function convertDocx(buffer) {
+  const warnings = [];
+  // A .docx is a zip, held to the limits of a zip upload before mammoth unpacks it into memory
+  try {
+    await checkArchiveBuffer(buffer);
+  } catch (error) {
+    if (error instanceof SourceArchiveError) {
+      throw new SourceConversionError(`not a Word document the server will unpack: ${error.message}`);
+    }
+    throw new SourceConversionError(NOT_A_DOCX);
+  }
+
+  let result;
+  try {
+    // Images come out as data URIs otherwise, only to be dropped again
+    result = await mammoth.convertToHtml({ buffer }, { convertImage: mammoth.images.imgElement(() => ({ src: '' })) });
+  } catch {
+    // The underlying zip errors mean nothing to an author
+    throw new SourceConversionError(NOT_A_DOCX);
+  }
+
+  // mammoth reports every unrecognised style once per paragraph
+  warnings.push(...new Set(result.messages.filter(message => message.type === 'warning').map(message => message.message)));
+  return { content: htmlToMarkdown(result.value, warnings), warnings };
+}
+
+// Source formats by extension. Only markdown may carry YAML front matter; binary formats
+// are not checked for text on upload.
+export const SOURCE_CONVERTERS = {
+  '.md': { format: 'markdown', frontMatter: true, convert: convertMarkdown },
+  '.txt': { format: 'text', convert: convertText },
+  '.html': { format: 'html', convert: convertHTML },
+  '.htm': { format: 'html', convert: convertHTML },
+  '.ipynb': { format: 'notebook', convert: convertNotebook },
+  '.docx': { format: 'docx', binary: true, convert: convertDocx },
+};
+
+export const sourceConverter = (name) => SOURCE_CONVERTERS[path.extname(name).toLowerCase()] || null;
@@ -0,0 +1,173 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+// Courses built from a local git repository. Sources are read at a branch, tag or commit
+// straight from the repository's objects, never from its working tree, so uncommitted edits
+// and whatever happens to be checked out make no difference. A course records where it came
+// from as course_data.repository ({ path, ref, subdirectory, commit }); re-sync reads the
+// same ref again and reports how many commits the course is behind.
+
+const MAX_REPOSITORY_FILE_BYTES = 25 * 1024 * 1024;
+
+export class SourceRepositoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceRepositoryError';
+  }
+}
+
+const execGit = promisify(execFile);
+
+async function git(repoPath, args, { encoding = 'utf8', maxBuffer = 16 * 1024 * 1024 } = {}) {
+  try {
+    const { stdout } = await execGit('git', ['-C', repoPath, ...args], { encoding, maxBuffer });
+    return stdout;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new SourceRepositoryError('git is not installed on the server');
+    }
+    const message = error.stderr?.toString().trim().replace(/^(fatal|error): /, '');
+    throw new SourceRepositoryError(message || error.message);
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Turn request input into { repository: { path, ref, subdirectory }, violations }, with
+// violations in the course schema format. The ref defaults to whatever HEAD points at.
+export function parseRepositorySource(input) {
+  const violations = [];
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { repository: null, violations: [{ path: 'repository', message: 'must be an object' }] };
+  }
+
+  if (typeof input.path !== 'string' || !path.isAbsolute(input.path.trim())) {
+    violations.push({ path: 'repository.path', message: 'must be the absolute path of a local git repository' });
+  }
+
+  const ref = isBlank(input.ref) ? 'HEAD' : input.ref;
+  // A ref starting with a dash would be read as an option
+  if (typeof ref !== 'string' || !/^[^\s-][^\s]*$/.test(ref.trim())) {
+    violations.push({ path: 'repository.ref', message: 'must be a branch, tag or commit' });
+  }
+
+  let subdirectory = null;
+  if (!isBlank(input.subdirectory)) {
+    const normalized = typeof input.subdirectory === 'string'
+      ? path.posix.normalize(input.subdirectory.trim().replace(/\\/g, '/')).replace(/^\.\/|\/+$/g, '')
+      : '';
+    if (!normalized || normalized.startsWith('/') || normalized.split('/').includes('..')) {
+      violations.push({ path: 'repository.subdirectory', message: 'must be a folder inside the repository' });
+    } else if (normalized !== '.') {
+      subdirectory = normalized;
+    }
+  }
+
+  if (violations.length > 0) {
+    return { repository: null, violations };
+  }
+  return { repository: { path: input.path.trim(), ref: ref.trim(), subdirectory }, violations };
+}
+
+// The commit a branch, tag or commit id points at now
+export async function resolveCommit(repository) {
+  // Fails with git's own message when the path is missing or not a repository
+  await git(repository.path, ['rev-parse', '--git-dir']);
+  try {
+    return (await git(repository.path, ['rev-parse', '--verify', '--quiet', `${repository.ref}^{commit}`])).trim();
+  } catch {
+    throw new SourceRepositoryError(`${repository.ref} is not a branch, tag or commit in ${repository.path}`);
+  }
+}
+
+// Write the files of the source folder at a commit into destDir. Symbolic links, submodules
+// and files over the size limit are left out with a warning; hidden files and folders
+// (.github, .gitignore) are skipped, as they are in zip uploads. Returns the warnings.
+async function writeRevision(repository, commit, destDir) {
+  const args = ['ls-tree', '-r', '-z', '--long', commit];
+  if (repository.subdirectory) args.push('--', repository.subdirectory);
+  const listing = (await git(repository.path, args)).split('\0').filter(Boolean);
+
+  const prefix = repository.subdirectory ? `${repository.subdirectory}/` : '';
+  const skippedLinks = [];
+  const skippedLarge = [];
+  let fileCount = 0;
+
+  for (const line of listing) {
+    // <mode> <type> <object> <size>\t<path>
+    const [meta, filePath] = [line.slice(0, line.indexOf('\t')), line.slice(line.indexOf('\t') + 1)];
+    const [mode, type, object, size] = meta.split(/\s+/);
+    const name = filePath.slice(prefix.length);
+    if (!filePath.startsWith(prefix) || name.split('/').some(segment => segment.startsWith('.'))) continue;
+
+    if (type !== 'blob' || mode === '120000') {
+      skippedLinks.push(name);
+      continue;
+    }
+    if (Number(size) > MAX_REPOSITORY_FILE_BYTES) {
+      skippedLarge.push(name);
+      continue;
+    }
+
+    const target = path.resolve(destDir, ...name.split('/'));
+    if (!target.startsWith(path.resolve(destDir) + path.sep)) continue;
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, await git(repository.path, ['cat-file', 'blob', object], {
+      encoding: 'buffer',
+      maxBuffer: MAX_REPOSITORY_FILE_BYTES + 1,
+    }));
+    fileCount++;
+  }
+
+  if (fileCount === 0) {
+    const where = repository.subdirectory ? `${repository.subdirectory} at ${repository.ref}` : repository.ref;
+    throw new SourceRepositoryError(`There are no files in ${where}`);
+  }
+
+  const warnings = [];
+  if (skippedLinks.length > 0) {
+    warnings.push(`Left out symbolic links and submodules: ${skippedLinks.join(', ')}`);
+  }
+  if (skippedLarge.length > 0) {
+    warnings.push(`Left out files larger than ${MAX_REPOSITORY_FILE_BYTES / (1024 * 1024)} MB: ${skippedLarge.join(', ')}`);
+  }
+  return warnings;
+}
+
+// Copy the sources at the repository's ref into destDir. Returns { repository, warnings },
+// where repository is the record to store on the course, with the commit that was read.
+export async function checkoutRepositorySources(repository, destDir) {
+  const commit = await resolveCommit(repository);
+  await fs.mkdir(destDir, { recursive: true });
+  const warnings = await writeRevision(repository, commit, destDir);
+  return { repository: { ...repository, commit }, warnings };
+}
+
+// Commits on the ref since the course's commit that touched its source folder.
+// Null when the course's commit is gone, as after a force push.
+export async function countCommitsBehind(repository, latestCommit) {
+  try {
+    await git(repository.path, ['cat-file', '-e', `${repository.commit}^{commit}`]);
+  } catch {
+    return null;
+  }
+  const args = ['rev-list', '--count', `${repository.commit}..${latestCommit}`];
+  if (repository.subdirectory) args.push('--', repository.subdirectory);
+  return Number((await git(repository.path, args)).trim());
+}
+
+// Local branches and tags, newest commit first, for choosing a ref
+export async function listRepositoryRefs(repoPath) {
+  const output = await git(repoPath, ['for-each-ref', '--sort=-committerdate', '--format=%(refname)', 'refs/heads', 'refs/tags']);
+  const refs = { branches: [], tags: [] };
+  for (const refName of output.split('\n').filter(Boolean)) {
+    if (refName.startsWith('refs/tags/')) {
+      refs.tags.push(refName.slice('refs/tags/'.length));
+    } else {
+      refs.branches.push(refName.slice('refs/heads/'.length));
+    }
+  }
+  return refs;
+}
@@ -0,0 +1,229 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parse as parseYAML } from 'yaml';
+import { CourseValidationError, LESSON_TYPES } from './course-schema.js';
+import { hashContent } from './course-sync.js';
+import { MAX_ASSET_BYTES, assetContentType, rewriteAssetLinks } from './course-assets.js';
+import { sourceConverter } from './source-converters.js';
+import { codeFileConverter, isIgnoredCodeFolder } from './source-code.js';
+import { SourceAccessError, checkSourceRead } from './source-access.js';
+
+// Authors control the course structure from the source files themselves.
+// A markdown file may start with YAML front matter:
+//
+//   ---
+//   title: Arrays and Loops
+//   order: 2
+//   tags: [basics, loops]
+//   type: lab          # lesson, overview, quiz or lab
+//   include: false     # or `exclude: true`, to leave the file out entirely
+//   ---
+//
+// Folders become course sections. Once any file has front matter or sits in a folder,
+// the author owns the layout: one lesson per file, in folder and `order` sequence, and
+// the model only writes what the author left out (titles without front matter, summaries).
+
+// Closing fence may be `---` or `...`; the body may be empty
+const FRONT_MATTER_PATTERN = /^---[ \t]*\r?\n([\s\S]*?\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// "01-getting-started" sorts as 1 and reads as "Getting started"
+const NUMERIC_PREFIX_PATTERN = /^(\d+)[-_. ]+/;
+
+function checkFrontMatter(data, filePath) {
+  const violations = [];
+  const frontMatter = {};
+  const fail = (field, message) => violations.push({ path: `${filePath}.${field}`, message });
+
+  if (data.title !== undefined) {
+    if (typeof data.title !== 'string' || !data.title.trim()) fail('title', 'must be a non-empty string');
+    else frontMatter.title = data.title.trim();
+  }
+  if (data.order !== undefined) {
+    if (typeof data.order !== 'number' || !Number.isFinite(data.order)) fail('order', 'must be a number');
+    else frontMatter.order = data.order;
+  }
+  if (data.tags !== undefined) {
+    // A single comma-separated string is accepted as well as a YAML list
+    const tags = typeof data.tags === 'string' ? data.tags.split(',') : data.tags;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) fail('tags', 'must be a list of strings');
+    else frontMatter.tags = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+  }
+  if (data.type !== undefined) {
+    if (!LESSON_TYPES.includes(data.type)) fail('type', `must be one of: ${LESSON_TYPES.join(', ')}`);
+    else frontMatter.type = data.type;
+  }
+  for (const field of ['include', 'exclude']) {
+    if (data[field] !== undefined && typeof data[field] !== 'boolean') fail(field, 'must be true or false');
+  }
+
+  return { frontMatter, excluded: data.include === false || data.exclude === true, violations };
+}
+
+// Split a file into its front matter and markdown body. A leading `---` block that is not
+// a YAML mapping is a horizontal rule, not front matter, and is left in the body.
+// Fields other than the ones above are ignored, so files can carry front matter for other tools.
+export function parseFrontMatter(content, filePath = 'file') {
+  const text = content.replace(/^\uFEFF/, '');
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { frontMatter: null, body: content, excluded: false, violations: [] };
+  }
+
+  let data;
+  try {
+    data = parseYAML(match[1] || '') ?? {};
+  } catch (error) {
+    return { frontMatter: null, body: content, excluded: false, violations: [{ path: filePath, message: `invalid front matter: ${error.message.split('\n')[0].replace(/:$/, '')}` }] };
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { frontMatter: null, body: content, excluded: false, violations: [] };
+  }
+
+  return { ...checkFrontMatter(data, filePath), body: text.slice(match[0].length) };
+}
+
+export function humanizeName(name) {
+  const baseName = sourceConverter(name) ? name.slice(0, -path.extname(name).length) : name;
+  const words = baseName.replace(NUMERIC_PREFIX_PATTERN, '').replace(/[-_]+/g, ' ').trim();
+  return words ? words.charAt(0).toUpperCase() + words.slice(1) : name;
+}
+
+function prefixOrder(name) {
+  const match = name.match(NUMERIC_PREFIX_PATTERN);
+  return match ? Number(match[1]) : null;
+}
+
+// Explicit order first, then numeric name prefixes, then everything else; ties by name
+function compareEntries(a, b) {
+  const orderA = a.order ?? Infinity;
+  const orderB = b.order ?? Infinity;
+  if (orderA !== orderB) return orderA < orderB ? -1 : 1;
+  return a.name.localeCompare(b.name, undefined, { numeric: true });
+}
+
+async function readFolder(rootDir, dirPath, sectionTitles, result, mode) {
+  const entries = [];
+  for (const name of await fs.readdir(dirPath)) {
+    // Hidden files and folders (.git, .github, .DS_Store) are left out, as they are from zips
+    if (name.startsWith('.')) continue;
+    const entryPath = path.join(dirPath, name);
+    const stat = await fs.lstat(entryPath);
+    // Names are relative to the upload root, so files in different folders never collide
+    const relativeName = path.relative(rootDir, entryPath).split(path.sep).join('/');
+    // A link could lead anywhere on the server's disk, outside the folder it may read
+    if (stat.isSymbolicLink()) {
+      throw new SourceAccessError(`${relativeName} is a symbolic link; replace it with the file or folder it points to`);
+    }
+    const converter = sourceConverter(name) || (mode === 'code' ? codeFileConverter(name) : null);
+
+    if (stat.isDirectory()) {
+      if (mode === 'code' && isIgnoredCodeFolder(name)) continue;
+      entries.push({ name, order: prefixOrder(name), folder: entryPath });
+    } else if (assetContentType(name)) {
+      if (stat.size > MAX_ASSET_BYTES) {
+        result.skippedAssets.push(relativeName);
+      } else {
+        checkSourceRead(result.read, relativeName, stat.size);
+        const hash = hashContent(await fs.readFile(entryPath));
+        result.assets.push({ name: relativeName, path: entryPath, contentType: assetContentType(name), size: stat.size, hash });
+      }
+    } else if (converter) {
+      checkSourceRead(result.read, relativeName, stat.size);
+      let converted;
+      try {
+        converted = await converter.convert(await fs.readFile(entryPath), humanizeName(name), relativeName);
+        if (!converted.content.trim()) throw new Error('no text left after conversion');
+      } catch (error) {
+        result.conversions.push({ name: relativeName, format: converter.format, warnings: [], error: error.message });
+        continue;
+      }
+      if (converter.format !== 'markdown' || converted.warnings.length > 0) {
+        result.conversions.push({ name: relativeName, format: converter.format, warnings: converted.warnings, error: null });
+      }
+
+      const { frontMatter, body, excluded, violations } = converter.frontMatter
+        ? parseFrontMatter(converted.content, relativeName)
+        : { frontMatter: null, body: converted.content, excluded: false, violations: [] };
+      result.violations.push(...violations);
+      entries.push({
+        name,
+        order: frontMatter?.order ?? prefixOrder(name),
+        excluded,
+        file: {
+          name: relativeName,
+          path: entryPath,
+          content: body,
+          frontMatter,
+          // A package layout is not a course layout: with code, the model groups modules into lessons
+          section: mode === 'code' ? null : sectionTitles.join(' / ') || null,
+          ...(converted.symbols && { symbols: converted.symbols }),
+        },
+      });
+    }
+  }
+
+  // Sorted so the same files always produce the same prompts, and so the same cache keys
+  for (const entry of entries.sort(compareEntries)) {
+    if (entry.folder) {
+      await readFolder(rootDir, entry.folder, [...sectionTitles, humanizeName(entry.name)], result, mode);
+    } else if (entry.excluded) {
+      result.excluded.push(entry.file.name);
+    } else {
+      result.files.push(entry.file);
+    }
+  }
+}
+
+// Read every source file under a directory in the author's order, converted to markdown,
+// with the assets beside them. Returns {
+//   files: [{ name, path, content, frontMatter, section, symbols? }], with links to assets rewritten;
+//     code summaries list the names they export as symbols,
+//   assets: [{ name, path, contentType, size, hash }],
+//   conversions: [{ name, format, warnings, error }] for converted files and files with warnings;
+//     files with an error could not be read and are left out,
+//   excluded: [name], skippedAssets: [name] (over the size limit)
+// }. Invalid front matter fails the whole read so the author can fix it before any model call,
+// and so do a symbolic link and going over the limits on files read (SourceAccessError).
+// The `code` mode also reads JavaScript, TypeScript and Python modules as summaries (source-code.js)
+// and skips dependency and build folders.
+export async function readSourceTree(rootDir, { mode = 'documents' } = {}) {
+  const result = { files: [], assets: [], conversions: [], excluded: [], skippedAssets: [], violations: [], read: { files: 0, bytes: 0 } };
+  await readFolder(rootDir, rootDir, [], result, mode);
+
+  if (result.violations.length > 0) {
+    throw new CourseValidationError('Invalid front matter in source files', result.violations);
+  }
+
+  const assetNames = result.assets.map(asset => asset.name);
+  return {
+    files: result.files.map(file => ({ ...file, content: rewriteAssetLinks(file.content, file.name, assetNames) })),
+    assets: result.assets,
+    conversions: result.conversions,
+    excluded: result.excluded,
+    skippedAssets: result.skippedAssets,
+  };
+}
+
+// The lessons fixed by the author, one per file, or null when the model plans the course.
+// Titles are only fixed where front matter sets them.
+export function authorLessonLayout(markdownFiles) {
+  const authored = markdownFiles.some(file => file.frontMatter || file.section);
+  if (!authored) {
+    return null;
+  }
+
+  return markdownFiles.map(file => ({
+    sourceFiles: [file.name],
+    title: file.frontMatter?.title || null,
+    structure: lessonStructure(file),
+  }));
+}
+
+// Structural lesson fields taken from a source file, leaving out the ones it does not set
+export function lessonStructure(file) {
+  const structure = {};
+  if (file.section) structure.section = file.section;
+  if (file.frontMatter?.tags?.length) structure.tags = file.frontMatter.tags;
+  if (file.frontMatter?.type) structure.type = file.frontMatter.type;
+  return structure;
+}
@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getLLMProvider } from './llm-provider.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -9,16 +10,8 @@ const __dirname = path.dirname(__filename);
 // Load .env from the project root
 dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
 
-// Grok API configuration
-const GROK_API_URL = 'https://api.x.ai/v1/chat/completions';
-const GROK_API_KEY = process.env.GROK_API_KEY;
-
 async function testGrokAPI() {
   try {
-    if (!GROK_API_KEY) {
-      throw new Error('GROK_API_KEY is not set in environment variables');
-    }
-
     // Use minimal test content
     const testContent = `# Variables in JavaScript
 
@@ -58,41 +51,24 @@ Return a JSON object with this EXACT structure:
 Markdown Content:
 ${testContent}`;
 
-    console.log('🧪 TEST: Making small API call to Grok...');
+    const provider = getLLMProvider();
+    console.log(`🧪 TEST: Making small API call to ${provider.name}...`);
     console.log('Test content length:', testContent.length);
     console.log('Prompt length:', prompt.length);
     console.log('');
 
-    const response = await fetch(GROK_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${GROK_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'grok-4-1-fast-reasoning',
-        max_tokens: 4000, // Small limit for testing
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-      }),
+    const result = await provider.complete({
+      prompt,
+      maxTokens: 4000, // Small limit for testing
+      label: 'test',
     });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`Grok API error (${response.status}): ${errorData.error?.message || response.statusText}`);
-    }
-
-    const data = await response.json();
-
     // Collect all response data
     const responseData = {
-      finish_reason: data.choices?.[0]?.finish_reason,
-      model: data.model,
-      usage: data.usage,
+      provider: provider.name,
+      finish_reason: result.finishReason,
+      model: result.model,
+      usage: result.usage,
     };
 
     console.log('📊 API Response metadata:');
@@ -100,7 +76,7 @@ ${testContent}`;
     console.log('');
 
     // Extract text content
-    const rawContent = data.choices?.[0]?.message?.content || '';
+    const rawContent = result.content;
 
     console.log('📝 Raw response length:', rawContent.length);
     console.log('📝 Raw response (first 500 chars):');
@@ -184,7 +160,7 @@ ${testContent}`;
       console.error(`Brace count - Open: ${openBraces}, Close: ${closeBraces}`);
       
       // Check if truncated
-      if (data.choices?.[0]?.finish_reason === 'length') {
+      if (result.finishReason === 'length') {
         console.error('');
         console.error('🔴 Response was truncated due to max_tokens!');
       }
@@ -0,0 +1,121 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SourceAccessError, checkSourceRead, resolveSourcePath, sanitizeUploadName } from './source-access.js';
+import { readSourceTree } from './source-structure.js';
+
+// Checks for the rules on what the server reads sources from (source-access.js): upload names,
+// folders inside SOURCE_ROOTS and what is read from a folder. Needs no server, database or
+// model; everything is written to a temporary folder that is removed afterwards.
+// Run with: node test-source-access.js
+
+async function expectRejection(promise, ErrorClass, pattern) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof ErrorClass, `expected ${ErrorClass.name}, got ${error.name}: ${error.message}`);
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+async function testSanitizeUploadName() {
+  console.log('📝 sanitizeUploadName');
+  assert.equal(sanitizeUploadName('intro.md'), 'intro.md');
+  assert.equal(sanitizeUploadName('../../etc/passwd'), 'passwd');
+  assert.equal(sanitizeUploadName('C:\\docs\\lesson.md'), 'lesson.md');
+  assert.equal(sanitizeUploadName('a:b*c?.md'), 'a_b_c_.md');
+  assert.equal(sanitizeUploadName('bad\u0000name.md'), 'bad_name.md');
+  assert.equal(sanitizeUploadName('.env'), null);
+  assert.equal(sanitizeUploadName('docs/'), null);
+  assert.equal(sanitizeUploadName(''), null);
+  assert.equal(sanitizeUploadName(`${'a'.repeat(300)}.md`), null);
+  console.log('✅ Names are stripped of folders and unsafe characters; hidden and empty names are refused');
+}
+
+async function testSourceRoots(tempDir) {
+  console.log('📝 resolveSourcePath');
+  const root = path.join(tempDir, 'root');
+  const outside = path.join(tempDir, 'outside');
+  await fs.mkdir(path.join(root, 'docs'), { recursive: true });
+  await fs.mkdir(outside, { recursive: true });
+  await fs.writeFile(path.join(root, 'notes.md'), '# Notes');
+  await fs.symlink(outside, path.join(root, 'escape'));
+  await fs.symlink(path.join(root, 'docs'), path.join(outside, 'back-in'));
+  const realRoot = await fs.realpath(root);
+
+  const previousRoots = process.env.SOURCE_ROOTS;
+  try {
+    delete process.env.SOURCE_ROOTS;
+    await expectRejection(resolveSourcePath(path.join(root, 'docs')), SourceAccessError, /SOURCE_ROOTS/);
+
+    process.env.SOURCE_ROOTS = ['relative/ignored', root].join(path.delimiter);
+    assert.equal(await resolveSourcePath(path.join(root, 'docs')), path.join(realRoot, 'docs'));
+    assert.equal(await resolveSourcePath(`${root}/docs/../docs/`), path.join(realRoot, 'docs'));
+
+    const status = async (requestedPath) => {
+      try {
+        await resolveSourcePath(requestedPath);
+      } catch (error) {
+        assert.ok(error instanceof SourceAccessError, error.message);
+        return error.status;
+      }
+      return 200;
+    };
+    assert.equal(await status('docs'), 400);
+    assert.equal(await status(outside), 403);
+    assert.equal(await status(path.join(root, '..', 'outside')), 403);
+    assert.equal(await status(`${root}-sibling`), 403);
+    assert.equal(await status(path.join(root, 'escape')), 403);
+    assert.equal(await status(path.join(outside, 'back-in')), 403);
+    assert.equal(await status(path.join(root, 'missing')), 404);
+    assert.equal(await status(path.join(root, 'notes.md')), 400);
+  } finally {
+    if (previousRoots === undefined) delete process.env.SOURCE_ROOTS;
+    else process.env.SOURCE_ROOTS = previousRoots;
+  }
+  console.log('✅ Only folders inside SOURCE_ROOTS are read, checked again once links are resolved');
+}
+
+async function testFolderReads(tempDir) {
+  console.log('📝 readSourceTree and checkSourceRead');
+  const folder = path.join(tempDir, 'folder');
+  await fs.mkdir(folder, { recursive: true });
+  await fs.writeFile(path.join(folder, 'lesson.md'), '# Lesson');
+  await fs.mkdir(path.join(folder, '.git'));
+  await fs.writeFile(path.join(folder, '.git', 'HEAD.md'), '# Not a lesson');
+  assert.deepEqual((await readSourceTree(folder)).files.map(file => file.name), ['lesson.md']);
+  console.log('✅ Hidden files and folders are skipped');
+
+  await fs.symlink('/etc/passwd', path.join(folder, 'passwd.md'));
+  await expectRejection(readSourceTree(folder), SourceAccessError, /passwd\.md is a symbolic link/);
+  console.log('✅ A symbolic link in a folder rejects the read');
+
+  const totals = { files: 0, bytes: 0 };
+  checkSourceRead(totals, 'a.md', 1024);
+  assert.deepEqual(totals, { files: 1, bytes: 1024 });
+  assert.throws(() => checkSourceRead(totals, 'big.pdf', 51 * 1024 * 1024), /big\.pdf is larger than 50 MB/);
+  assert.throws(() => checkSourceRead({ files: 0, bytes: 190 * 1024 * 1024 }, 'b.md', 20 * 1024 * 1024), /larger than 200 MB together/);
+  assert.throws(() => checkSourceRead({ files: 5000, bytes: 0 }, 'c.md', 1), /more than 5000 files/);
+  console.log('✅ Folder reads stop at the upload limits');
+}
+
+async function testSourceAccess() {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'test-source-access-'));
+  try {
+    console.log('🧪 TEST: Checking what the server reads sources from...');
+    console.log('');
+    await testSanitizeUploadName();
+    await testSourceRoots(tempDir);
+    await testFolderReads(tempDir);
+    console.log('');
+    console.log('✅ ALL TESTS PASSED');
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testSourceAccess();
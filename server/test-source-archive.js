@@ -0,0 +1,127 @@
+import assert from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import archiver from 'archiver';
+import { SourceArchiveError, checkArchiveBuffer, extractSourceArchive } from './source-archive.js';
+
+// Checks for the rules zip uploads are unpacked by (source-archive.js): entries that leave the
+// folder, links, compression ratios, sizes and duplicate names. Needs no server, database or
+// model; everything is written to a temporary folder that is removed afterwards.
+// Run with: node test-source-archive.js
+
+// A zip of { name: content } entries; a content of { symlink: target } makes a link entry
+async function makeZip(entries) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const chunks = [];
+  archive.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+  for (const [name, content] of Object.entries(entries)) {
+    if (content.symlink) archive.symlink(name, content.symlink);
+    else archive.append(content, { name });
+  }
+  await archive.finalize();
+  await done;
+  return Buffer.concat(chunks);
+}
+
+// archiver cleans up entry names, so a path that leaves the folder is written over a
+// placeholder of the same length in both the local and the central header
+function renameEntry(zip, from, to) {
+  assert.equal(from.length, to.length);
+  const patched = Buffer.from(zip);
+  for (let at = patched.indexOf(from); at !== -1; at = patched.indexOf(from, at + 1)) {
+    patched.write(to, at);
+  }
+  return patched;
+}
+
+async function expectRejection(promise, ErrorClass, pattern) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof ErrorClass, `expected ${ErrorClass.name}, got ${error.name}: ${error.message}`);
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+async function testArchives(tempDir) {
+  console.log('📝 extractSourceArchive');
+  const extract = async (label, zip) => {
+    const zipPath = path.join(tempDir, `${label}.zip`);
+    await fs.writeFile(zipPath, zip);
+    return { destDir: path.join(tempDir, label), result: extractSourceArchive(zipPath, path.join(tempDir, label)) };
+  };
+  const exists = (target) => fs.access(target).then(() => true, () => false);
+
+  const good = await extract('good', await makeZip({
+    'docs/01-intro.md': '# Intro',
+    'docs/images/a.png': Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+    'docs/.DS_Store': 'clutter',
+    '__MACOSX/docs/._01-intro.md': 'clutter',
+  }));
+  const { rootDir, warnings } = await good.result;
+  assert.equal(rootDir, path.join(good.destDir, 'docs'));
+  assert.deepEqual(warnings, []);
+  assert.deepEqual((await fs.readdir(rootDir)).sort(), ['01-intro.md', 'images']);
+  console.log('✅ A zipped folder unpacks as the root, without hidden files');
+
+  const slip = await extract('slip', renameEntry(await makeZip({ 'ok.md': '# Ok', 'xx/evil.md': 'escaped' }), 'xx/evil.md', '../evil.md'));
+  await expectRejection(slip.result, SourceArchiveError, /Invalid zip archive|points outside/);
+  assert.equal(await exists(path.join(tempDir, 'evil.md')), false);
+  assert.equal(await exists(slip.destDir), false);
+  console.log('✅ An entry leaving the folder rejects the archive and nothing is left behind');
+
+  const absolute = await extract('absolute', renameEntry(await makeZip({ 'xtmp/evil.md': 'escaped' }), 'xtmp/evil.md', '/tmp/evil.md'));
+  await expectRejection(absolute.result, SourceArchiveError, /Invalid zip archive|points outside/);
+  console.log('✅ An absolute entry path rejects the archive');
+
+  const links = await extract('links', await makeZip({ 'lesson.md': '# Lesson', 'passwd.md': { symlink: '/etc/passwd' } }));
+  const linked = await links.result;
+  assert.equal(await exists(path.join(linked.rootDir, 'passwd.md')), false);
+  assert.match(linked.warnings.join('\n'), /symbolic links.*passwd\.md/);
+  console.log('✅ Symbolic links are left out with a warning');
+
+  const ratio = await extract('ratio', await makeZip({ 'zeros.md': Buffer.alloc(5 * 1024 * 1024) }));
+  await expectRejection(ratio.result, SourceArchiveError, /compressed more than 100 to 1/);
+  assert.equal(await exists(ratio.destDir), false);
+  console.log('✅ An entry compressed far beyond what source files reach rejects the archive');
+
+  const large = await extract('large', await makeZip({ 'huge.md': Buffer.alloc(26 * 1024 * 1024, 'a') }));
+  await expectRejection(large.result, SourceArchiveError, /larger than 25 MB/);
+  console.log('✅ An entry over the size limit rejects the archive');
+
+  const duplicate = await extract('duplicate', renameEntry(await makeZip({ 'a.md': 'one', 'b.md': 'two' }), 'b.md', 'a.md'));
+  await expectRejection(duplicate.result, SourceArchiveError, /Could not unpack a\.md/);
+  console.log('✅ Two entries with the same name reject the archive');
+}
+
+async function testArchiveBuffers() {
+  console.log('📝 checkArchiveBuffer');
+  await checkArchiveBuffer(await makeZip({ 'word/document.xml': '<w:document/>' }));
+  await expectRejection(checkArchiveBuffer(await makeZip({ 'word/document.xml': Buffer.alloc(5 * 1024 * 1024) })), SourceArchiveError, /compressed more than/);
+  await assert.rejects(checkArchiveBuffer(Buffer.from('not a zip')));
+  console.log('✅ Zips in memory, such as .docx files, are held to the same limits');
+}
+
+async function testSourceArchive() {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'test-source-archive-'));
+  try {
+    console.log('🧪 TEST: Checking how zip uploads are unpacked...');
+    console.log('');
+    await testArchives(tempDir);
+    await testArchiveBuffers();
+    console.log('');
+    console.log('✅ ALL TESTS PASSED');
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+testSourceArchive();
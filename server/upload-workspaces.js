@@ -0,0 +1,73 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+// Every upload, re-sync and repository checkout gets a workspace of its own under uploads/,
+// so no request ever reads another's files. A workspace is released once whatever reads from
+// it is done: the generation job, or the re-sync plan being applied or expiring. Released
+// workspaces are removed straight away, or kept for UPLOAD_RETENTION_HOURS to look into a
+// failed run; a sweep removes them after that, along with anything left behind by a restart.
+
+export const UPLOADS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'uploads');
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Workspaces still in use; the sweep never touches them
+const activeWorkspaces = new Set();
+
+const retentionMs = () => Math.max(Number(process.env.UPLOAD_RETENTION_HOURS) || 0, 0) * 60 * 60 * 1000;
+
+// A new, empty workspace folder. kind ('upload', 'resync', 'repo') starts its name, which is
+// all that tells workspaces apart when looking through kept ones.
+export async function createWorkspace(kind) {
+  const dir = path.join(UPLOADS_DIR, `${kind}-${randomUUID()}`);
+  // Marked before it exists, so a sweep running meanwhile cannot take it
+  activeWorkspaces.add(dir);
+  await fs.mkdir(dir, { recursive: true });
+  return dir;
+}
+
+// Done with a workspace. Releasing one twice, or null, does nothing.
+export async function releaseWorkspace(dir) {
+  if (!dir || !activeWorkspaces.delete(dir)) return;
+  try {
+    if (retentionMs() > 0) {
+      // The retention period counts from now
+      const now = new Date();
+      await fs.utimes(dir, now, now);
+    } else {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  } catch (error) {
+    console.error(`Could not release workspace ${dir}:`, error.message);
+  }
+}
+
+// Remove everything in uploads/ that is not in use and older than the retention period,
+// including uploads from before workspaces and from a server that stopped mid-job
+export async function sweepWorkspaces() {
+  const cutoff = Date.now() - retentionMs();
+  let names;
+  try {
+    names = await fs.readdir(UPLOADS_DIR);
+  } catch {
+    return;
+  }
+  for (const name of names) {
+    const entryPath = path.join(UPLOADS_DIR, name);
+    if (activeWorkspaces.has(entryPath)) continue;
+    try {
+      const stat = await fs.lstat(entryPath);
+      if (stat.mtimeMs < cutoff) {
+        await fs.rm(entryPath, { recursive: true, force: true });
+        console.log(`Removed upload workspace ${name}`);
+      }
+    } catch (error) {
+      console.error(`Could not remove ${entryPath}:`, error.message);
+    }
+  }
+}
+
+setInterval(() => {
+  sweepWorkspaces();
+}, SWEEP_INTERVAL_MS).unref();
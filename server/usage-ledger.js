@@ -0,0 +1,250 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { supabase } from './supabase.js';
+
+// Token usage and cost ledger.
+// Every model call is written to the generation_log table with the course, job and user
+// it was made for. Those ids are not passed down through the generator; callers wrap
+// their work in withUsageContext and every call made inside it picks them up.
+// Monthly budgets in generation_budgets block new generations once spending reaches them.
+
+const usageContext = new AsyncLocalStorage();
+
+// Prices in USD per million tokens. LLM_PRICE_INPUT_PER_MTOK / LLM_PRICE_OUTPUT_PER_MTOK
+// override them, e.g. for an openai-compatible model that is not listed here.
+const MODEL_PRICING = {
+  'grok-4-1-fast-reasoning': { input: 0.2, output: 0.5 },
+  'grok-4-1-fast-non-reasoning': { input: 0.2, output: 0.5 },
+  'grok-4-fast-reasoning': { input: 0.2, output: 0.5 },
+  'grok-4': { input: 3, output: 15 },
+  'grok-3': { input: 3, output: 15 },
+  'grok-3-mini': { input: 0.3, output: 0.5 },
+};
+
+export const GLOBAL_BUDGET_SCOPE = 'global';
+const USER_BUDGET_PREFIX = 'user:';
+
+// Supabase returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+export class BudgetExceededError extends Error {
+  constructor(message, budget) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.budget = budget;
+  }
+}
+
+// Run fn with { courseId, jobId, userId } attached to every model call it makes
+export function withUsageContext(context, fn) {
+  return usageContext.run({ ...usageContext.getStore(), ...context }, fn);
+}
+
+function modelPricing(model) {
+  if (process.env.LLM_PRICE_INPUT_PER_MTOK || process.env.LLM_PRICE_OUTPUT_PER_MTOK) {
+    return {
+      input: Number(process.env.LLM_PRICE_INPUT_PER_MTOK) || 0,
+      output: Number(process.env.LLM_PRICE_OUTPUT_PER_MTOK) || 0,
+    };
+  }
+  return MODEL_PRICING[model] || { input: 0, output: 0 };
+}
+
+export function estimateCost(model, promptTokens, completionTokens) {
+  const pricing = modelPricing(model);
+  return (promptTokens * pricing.input + completionTokens * pricing.output) / 1_000_000;
+}
+
+// Ledger writes never fail the call they describe
+async function recordModelCall(entry) {
+  const context = usageContext.getStore() || {};
+  const row = {
+    course_id: context.courseId || null,
+    job_id: context.jobId || null,
+    user_id: context.userId || null,
+    ...entry,
+    estimated_cost: estimateCost(entry.model, entry.prompt_tokens, entry.completion_tokens),
+  };
+
+  console.log(`Usage (${row.label}): ${row.prompt_tokens} prompt + ${row.completion_tokens} completion tokens, ${row.duration_ms}ms, ~$${row.estimated_cost.toFixed(4)}`);
+  if (!supabase) return;
+
+  try {
+    const { error } = await supabase.from('generation_log').insert(row);
+    if (error) throw error;
+  } catch (error) {
+    console.warn('⚠️ Could not write generation log entry:', error.message);
+  }
+}
+
+// Wrap a provider so every completion, successful or not, lands in the ledger
+export function withUsageLedger(provider) {
+  return {
+    ...provider,
+    async complete(request) {
+      const startedAt = Date.now();
+      try {
+        const result = await provider.complete(request);
+        await recordModelCall({
+          label: request.label || null,
+          provider: provider.name,
+          model: result.model || provider.model,
+          prompt_tokens: result.usage?.prompt_tokens || 0,
+          completion_tokens: result.usage?.completion_tokens || 0,
+          duration_ms: Date.now() - startedAt,
+          finish_reason: result.finishReason || null,
+        });
+        return result;
+      } catch (error) {
+        await recordModelCall({
+          label: request.label || null,
+          provider: provider.name,
+          model: provider.model,
+          prompt_tokens: 0,
+          completion_tokens: 0,
+          duration_ms: Date.now() - startedAt,
+          finish_reason: 'error',
+        });
+        throw error;
+      }
+    },
+  };
+}
+
+function requireSupabase() {
+  if (!supabase) {
+    throw new Error('Supabase is not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in your .env file');
+  }
+}
+
+function startOfMonth(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+async function fetchLogSince(since, columns = '*') {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('generation_log')
+      .select(columns)
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: false })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+function addToTotals(totals, key, row) {
+  const entry = totals.get(key) || { key, calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+  entry.calls++;
+  entry.promptTokens += row.prompt_tokens || 0;
+  entry.completionTokens += row.completion_tokens || 0;
+  entry.cost += Number(row.estimated_cost) || 0;
+  totals.set(key, entry);
+}
+
+export async function listBudgets() {
+  requireSupabase();
+  const { data, error } = await supabase.from('generation_budgets').select('*');
+  if (error) throw error;
+
+  return (data || []).map(row => ({
+    scope: row.scope,
+    userId: row.scope.startsWith(USER_BUDGET_PREFIX) ? row.scope.slice(USER_BUDGET_PREFIX.length) : null,
+    monthlyLimit: Number(row.monthly_limit_usd),
+    updatedAt: row.updated_at,
+  }));
+}
+
+// Set a monthly limit in USD for everyone (userId omitted) or for one user; null removes it
+export async function saveBudget({ userId, monthlyLimit }) {
+  requireSupabase();
+  const scope = userId ? `${USER_BUDGET_PREFIX}${userId}` : GLOBAL_BUDGET_SCOPE;
+
+  if (monthlyLimit === null) {
+    const { error } = await supabase.from('generation_budgets').delete().eq('scope', scope);
+    if (error) throw error;
+    return;
+  }
+
+  const { error } = await supabase
+    .from('generation_budgets')
+    .upsert({ scope, monthly_limit_usd: monthlyLimit, updated_at: new Date().toISOString() });
+  if (error) throw error;
+}
+
+// Totals per day, per course and per user over the last `days` days, plus month-to-date spend
+// against the configured budgets
+export async function getUsageSummary({ days = 30 } = {}) {
+  requireSupabase();
+  const monthStart = startOfMonth();
+  const windowStart = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const since = windowStart < monthStart ? windowStart : monthStart;
+
+  const rows = await fetchLogSince(since);
+  const perDay = new Map();
+  const perCourse = new Map();
+  const perUser = new Map();
+  const monthToDate = new Map();
+
+  for (const row of rows) {
+    const createdAt = new Date(row.created_at);
+    if (createdAt >= windowStart) {
+      addToTotals(perDay, row.created_at.slice(0, 10), row);
+      addToTotals(perCourse, row.course_id || '(no course)', row);
+      addToTotals(perUser, row.user_id || 'anonymous', row);
+    }
+    if (createdAt >= monthStart) {
+      addToTotals(monthToDate, 'all', row);
+      addToTotals(monthToDate, `${USER_BUDGET_PREFIX}${row.user_id || 'anonymous'}`, row);
+    }
+  }
+
+  const byCostDesc = (a, b) => b.cost - a.cost;
+  return {
+    days,
+    perDay: [...perDay.values()].sort((a, b) => b.key.localeCompare(a.key)),
+    perCourse: [...perCourse.values()].sort(byCostDesc),
+    perUser: [...perUser.values()].sort(byCostDesc),
+    recentCalls: rows.filter(row => new Date(row.created_at) >= windowStart).slice(0, 50),
+    monthToDate: {
+      since: monthStart.toISOString(),
+      cost: monthToDate.get('all')?.cost || 0,
+      perUser: Object.fromEntries(
+        [...monthToDate.entries()]
+          .filter(([key]) => key.startsWith(USER_BUDGET_PREFIX))
+          .map(([key, totals]) => [key.slice(USER_BUDGET_PREFIX.length), totals.cost])
+      ),
+    },
+    budgets: await listBudgets(),
+  };
+}
+
+// Throws BudgetExceededError when this month's spending has reached the global budget
+// or the user's own budget. Without Supabase there is no ledger, so nothing is enforced.
+export async function checkBudget(userId) {
+  if (!supabase) return;
+
+  const budgets = await listBudgets();
+  const relevant = budgets.filter(budget =>
+    budget.scope === GLOBAL_BUDGET_SCOPE || budget.userId === (userId || 'anonymous')
+  );
+  if (relevant.length === 0) return;
+
+  const rows = await fetchLogSince(startOfMonth(), 'user_id, estimated_cost');
+  for (const budget of relevant) {
+    const spent = rows
+      .filter(row => budget.scope === GLOBAL_BUDGET_SCOPE || (row.user_id || 'anonymous') === budget.userId)
+      .reduce((sum, row) => sum + (Number(row.estimated_cost) || 0), 0);
+
+    if (spent >= budget.monthlyLimit) {
+      const who = budget.userId ? `${budget.userId}'s` : 'The';
+      throw new BudgetExceededError(
+        `${who} monthly generation budget of $${budget.monthlyLimit.toFixed(2)} has been reached ($${spent.toFixed(2)} spent). An admin can raise it on the Usage page.`,
+        { ...budget, spent }
+      );
+    }
+  }
+}
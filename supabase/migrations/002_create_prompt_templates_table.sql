@@ -0,0 +1,23 @@
+-- Create prompt_templates table
+-- Each row is one immutable version of a template; saving an edit inserts a new version
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  -- Template bodies with {{variable}} placeholders for the outline and lesson passes
+  outline_prompt TEXT NOT NULL,
+  lesson_prompt TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (id, version)
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE prompt_templates ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations for service role (server-side)
+CREATE POLICY "Allow all operations for service role"
+  ON prompt_templates
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,47 @@
+-- Create generation_log table
+-- One row per model call, for token usage and cost reporting
+CREATE TABLE IF NOT EXISTS generation_log (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  course_id TEXT,
+  job_id TEXT,
+  user_id TEXT,
+  label TEXT,
+  provider TEXT,
+  model TEXT,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  duration_ms INTEGER,
+  finish_reason TEXT,
+  -- Estimated from the model's per-token prices at the time of the call
+  estimated_cost NUMERIC(12, 6) NOT NULL DEFAULT 0
+);
+
+-- Reports and budget checks always filter by date
+CREATE INDEX IF NOT EXISTS idx_generation_log_created_at ON generation_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generation_log_course_id ON generation_log(course_id);
+
+-- Create generation_budgets table
+-- scope is 'global' or 'user:<name>'; limits are in USD per calendar month (UTC)
+CREATE TABLE IF NOT EXISTS generation_budgets (
+  scope TEXT PRIMARY KEY,
+  monthly_limit_usd NUMERIC(12, 2) NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE generation_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE generation_budgets ENABLE ROW LEVEL SECURITY;
+
+-- Create policies to allow all operations for service role (server-side)
+CREATE POLICY "Allow all operations for service role"
+  ON generation_log
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Allow all operations for service role"
+  ON generation_budgets
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
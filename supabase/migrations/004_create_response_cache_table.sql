@@ -0,0 +1,23 @@
+-- Create response_cache table
+-- Model responses keyed by a hash of the normalized prompt, provider, model and token limit
+CREATE TABLE IF NOT EXISTS response_cache (
+  key TEXT PRIMARY KEY,
+  label TEXT,
+  model TEXT,
+  content TEXT NOT NULL,
+  finish_reason TEXT,
+  usage JSONB,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_hit_at TIMESTAMPTZ
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE response_cache ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations for service role (server-side)
+CREATE POLICY "Allow all operations for service role"
+  ON response_cache
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,25 @@
+-- Create flashcard_reviews table
+-- Spaced-repetition state for each learner and flashcard, updated after every review
+CREATE TABLE IF NOT EXISTS flashcard_reviews (
+  user_id TEXT NOT NULL,
+  course_id TEXT NOT NULL,
+  card_id TEXT NOT NULL,
+  ease_factor NUMERIC(4, 2) NOT NULL DEFAULT 2.5,
+  interval_days INTEGER NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  due_at TIMESTAMPTZ NOT NULL,
+  last_reviewed_at TIMESTAMPTZ NOT NULL,
+  review_count INTEGER NOT NULL DEFAULT 0,
+  -- A review session loads every card state for one learner and course
+  PRIMARY KEY (user_id, course_id, card_id)
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE flashcard_reviews ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations for service role (server-side)
+CREATE POLICY "Allow all operations for service role"
+  ON flashcard_reviews
+  FOR ALL
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,13 @@
+-- Create course-assets storage bucket
+-- Images and other files uploaded with a course's markdown, stored as <course id>/<sha-256 of the content>
+-- Private: the server reads them with the service role and serves them through the API
+INSERT INTO storage.buckets (id, name, public, file_size_limit)
+VALUES ('course-assets', 'course-assets', false, 10485760)
+ON CONFLICT (id) DO NOTHING;
+
+-- Create policy to allow all operations for service role (server-side), scoped to this bucket
+CREATE POLICY "Allow all operations on course assets for service role"
+  ON storage.objects
+  FOR ALL
+  USING (bucket_id = 'course-assets')
+  WITH CHECK (bucket_id = 'course-assets');